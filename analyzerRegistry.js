@@ -0,0 +1,87 @@
+import path from 'path';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+
+// An analyzer plugin is a plain object:
+//   name      unique key; the plugin's result is stored under report.results[name]
+//   category  grouping used for scoring and reporting (e.g. 'performance', 'security')
+//   run       async ({ url, session, auditor, options }) => result, null when it could not run
+//   score     optional (result) => number between 0 and 100
+class AnalyzerRegistry {
+    constructor(plugins = []) {
+        this._plugins = new Map();
+        plugins.forEach(plugin => this.register(plugin));
+    }
+
+    register(plugin) {
+        if (!plugin || typeof plugin.name !== 'string' || !plugin.name) {
+            throw new Error('Analyzer plugins need a non-empty string name');
+        }
+        if (typeof plugin.category !== 'string' || !plugin.category) {
+            throw new Error(`Analyzer "${plugin.name}" needs a category`);
+        }
+        if (typeof plugin.run !== 'function') {
+            throw new Error(`Analyzer "${plugin.name}" needs a run function`);
+        }
+        if (plugin.score !== undefined && typeof plugin.score !== 'function') {
+            throw new Error(`Analyzer "${plugin.name}" has a score that is not a function`);
+        }
+        if (this._plugins.has(plugin.name)) {
+            throw new Error(`An analyzer named "${plugin.name}" is already registered`);
+        }
+
+        this._plugins.set(plugin.name, plugin);
+        return this;
+    }
+
+    has(name) {
+        return this._plugins.has(name);
+    }
+
+    get(name) {
+        const plugin = this._plugins.get(name);
+        if (!plugin) throw new Error(`Unknown analyzer "${name}"`);
+        return plugin;
+    }
+
+    names() {
+        return Array.from(this._plugins.keys());
+    }
+
+    // Plugins in registration order; built-ins come first so Lighthouse keeps running first
+    list(names = null) {
+        if (!names) return Array.from(this._plugins.values());
+        return this.names().filter(name => names.includes(name)).map(name => this._plugins.get(name));
+    }
+
+    // Loads plugins from file paths (relative to baseDir) or npm package names. A module's
+    // default export may be a single plugin or an array of them.
+    async load(specifiers = [], baseDir = process.cwd()) {
+        for (const specifier of specifiers) {
+            const module = await import(resolvePluginSpecifier(specifier, baseDir));
+            const exported = module.default ?? module.analyzers;
+            if (!exported) {
+                throw new Error(`Plugin module "${specifier}" has no default export`);
+            }
+
+            (Array.isArray(exported) ? exported : [exported]).forEach(plugin => this.register(plugin));
+        }
+        return this;
+    }
+}
+
+export function resolvePluginSpecifier(specifier, baseDir) {
+    if (specifier.startsWith('.') || path.isAbsolute(specifier)) {
+        return pathToFileURL(path.resolve(baseDir, specifier)).href;
+    }
+
+    // Resolve packages from the config's directory first so a project can install its own
+    try {
+        const require = createRequire(path.join(baseDir, 'package.json'));
+        return pathToFileURL(require.resolve(specifier)).href;
+    } catch {
+        return specifier;
+    }
+}
+
+export default AnalyzerRegistry;
@@ -0,0 +1,24 @@
+import fs from 'fs';
+import path from 'path';
+
+export const DEFAULT_CONFIG_FILE = 'audit.config.json';
+
+// Reads the JSON audit config. An explicit path must exist; without one the default file in
+// the working directory is used when present. `configDir` is where relative paths resolve.
+export function loadConfig(configPath = null) {
+    const resolved = path.resolve(configPath ?? DEFAULT_CONFIG_FILE);
+
+    if (!fs.existsSync(resolved)) {
+        if (configPath) throw new Error(`Config file not found: ${resolved}`);
+        return { configDir: process.cwd() };
+    }
+
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not parse config file ${resolved}: ${error.message}`);
+    }
+
+    return { ...config, configDir: path.dirname(resolved) };
+}
@@ -0,0 +1,71 @@
+import fs from 'fs';
+import path from 'path';
+
+// Local history of full audit reports. Every run is stored as its own JSON file under a
+// per-URL directory; index.json maps each URL to its runs, oldest first.
+class AuditHistory {
+    constructor(historyDir) {
+        this.historyDir = historyDir;
+        this.indexPath = path.join(historyDir, 'index.json');
+    }
+
+    _readIndex() {
+        if (!fs.existsSync(this.indexPath)) return {};
+        return JSON.parse(fs.readFileSync(this.indexPath, 'utf8'));
+    }
+
+    _writeIndex(index) {
+        fs.mkdirSync(this.historyDir, { recursive: true });
+        fs.writeFileSync(this.indexPath, JSON.stringify(index, null, 2));
+    }
+
+    record(report) {
+        const index = this._readIndex();
+        const runs = index[report.url] ?? [];
+
+        let id = report.timestamp.replace(/[:.]/g, '-');
+        // Two runs within the same millisecond still get distinct ids
+        while (runs.some(run => run.id === id)) id = `${id}-1`;
+
+        const directory = report.url.replace(/[^a-z0-9]/gi, '_').toLowerCase();
+        const file = path.join(directory, `${id}.json`);
+
+        fs.mkdirSync(path.join(this.historyDir, directory), { recursive: true });
+        fs.writeFileSync(path.join(this.historyDir, file), JSON.stringify(report, null, 2));
+
+        runs.push({
+            id,
+            timestamp: report.timestamp,
+            overallScore: report.overallScore ?? null,
+            grade: report.grade ?? null,
+            file
+        });
+        index[report.url] = runs;
+        this._writeIndex(index);
+
+        return id;
+    }
+
+    list(url) {
+        return this._readIndex()[url] ?? [];
+    }
+
+    urls() {
+        return Object.keys(this._readIndex());
+    }
+
+    // Loads a stored report by id; 'latest' and 'previous' pick the last two runs
+    load(url, id = 'latest') {
+        const runs = this.list(url);
+        const run = id === 'latest' ? runs[runs.length - 1]
+            : id === 'previous' ? runs[runs.length - 2]
+                : runs.find(entry => entry.id === id);
+
+        if (!run) {
+            throw new Error(`No stored run "${id}" for ${url}`);
+        }
+        return JSON.parse(fs.readFileSync(path.join(this.historyDir, run.file), 'utf8'));
+    }
+}
+
+export default AuditHistory;
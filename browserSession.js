@@ -0,0 +1,106 @@
+import puppeteer from 'puppeteer';
+
+// One Chrome instance shared by every analyzer of an audit. Read-only analyzers share a
+// single captured page load per URL; analyzers that change page state get isolated contexts.
+class BrowserSession {
+    constructor(options = {}) {
+        this.options = {
+            timeout: 30000,
+            userAgent: null,
+            args: ['--no-sandbox', '--disable-gpu', '--disable-dev-shm-usage'],
+            ...options
+        };
+
+        this.browser = null;
+        this._captures = new Map();
+    }
+
+    async launch() {
+        if (!this.browser) {
+            this.browser = await puppeteer.launch({
+                headless: 'new',
+                args: this.options.args
+            });
+        }
+        return this;
+    }
+
+    // DevTools port of the shared browser, used to point Lighthouse at it
+    get port() {
+        return Number(new URL(this.browser.wsEndpoint()).port);
+    }
+
+    async _configurePage(page) {
+        page.setDefaultTimeout(this.options.timeout);
+        if (this.options.userAgent) await page.setUserAgent(this.options.userAgent);
+        return page;
+    }
+
+    // Loads the URL once and hands every caller the same page, the requests it made and the
+    // main document response. Callers must not navigate or otherwise mutate the page.
+    capture(url) {
+        if (!this._captures.has(url)) {
+            this._captures.set(url, this._load(url));
+        }
+        return this._captures.get(url);
+    }
+
+    // Closes a captured page once no analyzer needs it, e.g. between pages of a crawl
+    async release(url) {
+        const capture = this._captures.get(url);
+        if (!capture) return;
+
+        this._captures.delete(url);
+        try {
+            const { page } = await capture;
+            await page.close();
+        } catch {
+            // The load itself failed, so there is no page to close
+        }
+    }
+
+    async _load(url) {
+        const page = await this._configurePage(await this.browser.newPage());
+
+        const requests = [];
+        page.on('request', request => requests.push({
+            url: request.url(),
+            type: request.resourceType(),
+            method: request.method()
+        }));
+
+        try {
+            const response = await page.goto(url, { waitUntil: 'networkidle0' });
+            return { page, requests, response };
+        } catch (error) {
+            await page.close();
+            throw error;
+        }
+    }
+
+    // Opens a page in a fresh incognito context. `beforeNavigate` runs before the URL is
+    // loaded so listeners and interception can be attached. Call `close()` when done.
+    async isolatedPage(url, { beforeNavigate } = {}) {
+        const context = await this.browser.createBrowserContext();
+        try {
+            const page = await this._configurePage(await context.newPage());
+            if (beforeNavigate) await beforeNavigate(page);
+            if (url) await page.goto(url, { waitUntil: 'networkidle0' });
+
+            return { page, context, close: () => context.close() };
+        } catch (error) {
+            await context.close();
+            throw error;
+        }
+    }
+
+    async close() {
+        this._captures.clear();
+        if (this.browser) {
+            await this.browser.close();
+            this.browser = null;
+        }
+    }
+}
+
+export default BrowserSession;
@@ -0,0 +1,136 @@
+// Performance and security budgets for CI. A budget config maps budget names to limits, e.g.
+//   { "largestContentfulPaint": 2500, "securityScore": 80, "brokenLinks": 0, "thirdPartyDomains": 10 }
+
+// A usable result, or undefined when the analyzer did not run or failed
+const resultOf = (report, name) => {
+    const result = report.results?.[name];
+    return result && !result.error ? result : undefined;
+};
+
+const lighthouseMetric = metric => report => resultOf(report, 'performance')?.performance.metrics[metric];
+
+// `max` budgets fail when the value is above the limit, `min` budgets when it is below
+export const BUDGETS = {
+    firstContentfulPaint: { analyzer: 'performance', type: 'max', unit: 'ms', read: lighthouseMetric('firstContentfulPaint') },
+    largestContentfulPaint: { analyzer: 'performance', type: 'max', unit: 'ms', read: lighthouseMetric('largestContentfulPaint') },
+    speedIndex: { analyzer: 'performance', type: 'max', unit: 'ms', read: lighthouseMetric('speedIndex') },
+    totalBlockingTime: { analyzer: 'performance', type: 'max', unit: 'ms', read: lighthouseMetric('totalBlockingTime') },
+    cumulativeLayoutShift: { analyzer: 'performance', type: 'max', unit: '', read: lighthouseMetric('cumulativeLayoutShift') },
+    performanceScore: {
+        analyzer: 'performance',
+        type: 'min',
+        unit: 'points',
+        read: report => resultOf(report, 'performance')?.performance.score
+    },
+    securityScore: {
+        analyzer: 'security',
+        type: 'min',
+        unit: 'points',
+        read: report => resultOf(report, 'security')?.score
+    },
+    pwaScore: {
+        analyzer: 'pwa',
+        type: 'min',
+        unit: 'points',
+        read: report => resultOf(report, 'pwa')?.score
+    },
+    overallScore: {
+        analyzer: null,
+        type: 'min',
+        unit: 'points',
+        read: report => report.overallScore ?? undefined
+    },
+    brokenLinks: {
+        analyzer: 'backlinks',
+        type: 'max',
+        unit: 'links',
+        read: report => resultOf(report, 'backlinks')?.brokenLinks.length
+    },
+    thirdPartyDomains: {
+        analyzer: 'third-party',
+        type: 'max',
+        unit: 'domains',
+        read: report => resultOf(report, 'third-party')?.totalThirdPartyDomains
+    }
+};
+
+export function validateBudgets(budgets) {
+    if (!budgets || typeof budgets !== 'object' || Array.isArray(budgets)) {
+        throw new Error('Budgets must be an object of budget names to limits');
+    }
+
+    for (const [name, limit] of Object.entries(budgets)) {
+        if (!BUDGETS[name]) {
+            throw new Error(`Unknown budget "${name}". Known budgets: ${Object.keys(BUDGETS).join(', ')}`);
+        }
+        if (!Number.isFinite(limit)) {
+            throw new Error(`Budget "${name}" needs a numeric limit`);
+        }
+    }
+    return budgets;
+}
+
+// Analyzers the budgets read from; null when a budget needs the overall score of every analyzer
+export function analyzersForBudgets(budgets) {
+    const analyzers = Object.keys(budgets).map(name => BUDGETS[name].analyzer);
+    if (analyzers.includes(null)) return null;
+    return Array.from(new Set(analyzers));
+}
+
+// Each budget passes, fails, or errors when the report has no value for it (its analyzer
+// failed or was not run); CI should treat errors as failures too
+export function evaluateBudgets(report, budgets) {
+    return Object.entries(budgets).map(([name, limit]) => {
+        const { type, unit, read } = BUDGETS[name];
+        const actual = read(report);
+        const comparison = type === 'max' ? '<=' : '>=';
+        const result = { name, limit, actual: actual ?? null, type, unit, description: `${name} ${comparison} ${limit}` };
+
+        if (actual === undefined || actual === null || Number.isNaN(actual)) {
+            return { ...result, status: 'error', message: `No value for ${name}; its analyzer failed or did not run` };
+        }
+
+        const passed = type === 'max' ? actual <= limit : actual >= limit;
+        const shown = Number.isInteger(actual) ? actual : +actual.toFixed(3);
+        return {
+            ...result,
+            status: passed ? 'passed' : 'failed',
+            message: passed ? null
+                : `${name} is ${shown}${unit ? ` ${unit}` : ''}, budget is ${type === 'max' ? 'at most' : 'at least'} ${limit}${unit ? ` ${unit}` : ''}`
+        };
+    });
+}
+
+const escapeXml = value => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// JUnit XML with one test case per budget, as read by most CI systems
+export function toJUnitXml(report, results) {
+    const failures = results.filter(result => result.status === 'failed').length;
+    const errors = results.filter(result => result.status === 'error').length;
+    const suiteName = `Budgets for ${report.url}`;
+
+    const cases = results.map(result => {
+        const classname = `budgets.${BUDGETS[result.name].analyzer ?? 'overall'}`;
+        const open = `    <testcase classname="${escapeXml(classname)}" name="${escapeXml(result.description)}" time="0"`;
+
+        if (result.status === 'passed') return `${open}/>`;
+
+        const tag = result.status === 'failed' ? 'failure' : 'error';
+        return `${open}>
+      <${tag} message="${escapeXml(result.message)}">${escapeXml(`actual: ${result.actual ?? 'n/a'}, limit: ${result.limit}`)}</${tag}>
+    </testcase>`;
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="website-audit" tests="${results.length}" failures="${failures}" errors="${errors}">
+  <testsuite name="${escapeXml(suiteName)}" tests="${results.length}" failures="${failures}" errors="${errors}" timestamp="${escapeXml(report.timestamp)}">
+${cases.join('\n')}
+  </testsuite>
+</testsuites>
+`;
+}
@@ -0,0 +1,91 @@
+// Share of passing items as a 0-100 score, or null when there was nothing to check
+const ratioScore = (passed, total) => total > 0 ? Math.round((passed / total) * 100) : null;
+
+// Built-in analyzers, registered with every WebsiteAuditor in this order. Scorers only see
+// results of analyzers that completed and return null when a page gives them nothing to judge.
+const builtinAnalyzers = [
+    {
+        name: 'performance',
+        category: 'performance',
+        run: ({ auditor, url, session }) => auditor.analyzePerformance(url, session),
+        score: result => result.performance.score
+    },
+    {
+        name: 'security',
+        category: 'security',
+        run: ({ auditor, url, session }) => auditor.analyzeSecurity(url, session),
+        score: result => result.score
+    },
+    {
+        name: 'tls',
+        category: 'security',
+        run: ({ auditor, url }) => auditor.analyzeTls(url),
+        score: result => result.score
+    },
+    {
+        name: 'redirects',
+        category: 'security',
+        run: ({ auditor, url }) => auditor.analyzeRedirects(url),
+        score: result => result.score
+    },
+    {
+        name: 'cors',
+        category: 'security',
+        run: ({ auditor, url, session }) => auditor.analyzeCors(url, session),
+        score: result => result.score
+    },
+    {
+        name: 'accessibility',
+        category: 'accessibility',
+        run: ({ auditor, url, session }) => auditor.analyzeAccessibility(url, session),
+        score: result => result.score
+    },
+    {
+        name: 'contrast',
+        category: 'accessibility',
+        run: ({ auditor, url, session }) => auditor.analyzeContrast(url, session),
+        score: result => result.score
+    },
+    {
+        name: 'keyboard',
+        category: 'accessibility',
+        run: ({ auditor, url, session }) => auditor.analyzeKeyboardNavigation(url, session),
+        score: result => result.score
+    },
+    {
+        name: 'stress',
+        category: 'interaction',
+        run: ({ auditor, url, session }) => auditor.analyzeButtonsAndFields(url, session),
+        score: result => {
+            const elements = [...result.buttons, ...result.inputFields];
+            return ratioScore(elements.filter(element => element.success).length, elements.length);
+        }
+    },
+    {
+        name: 'third-party',
+        category: 'thirdParty',
+        run: ({ auditor, url, session }) => auditor.analyzeThirdPartyServices(url, session),
+        // Up to five third-party domains is normal; each one beyond costs five points
+        score: result => Math.max(0, 100 - Math.max(0, result.totalThirdPartyDomains - 5) * 5)
+    },
+    {
+        name: 'forms',
+        category: 'forms',
+        run: ({ auditor, url, session }) => auditor.analyzeFormValidation(url, session),
+        score: result => result.score
+    },
+    {
+        name: 'pwa',
+        category: 'pwa',
+        run: ({ auditor, url, session }) => auditor.analyzePWAReadiness(url, session),
+        score: result => result.score
+    },
+    {
+        name: 'backlinks',
+        category: 'links',
+        run: ({ auditor, url, session }) => auditor.analyzeBacklinks(url, session),
+        score: result => ratioScore(result.totalChecked - result.brokenLinks.length, result.totalChecked)
+    }
+];
+
+export default builtinAnalyzers;
@@ -0,0 +1,529 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import chalk from 'chalk';
+import WebsiteAuditor from './index.js';
+import ScreenshotAnalyzer from './uiuxAnalysis.js';
+import { loadConfig, DEFAULT_CONFIG_FILE } from './auditConfig.js';
+import builtinAnalyzers from './builtinAnalyzers.js';
+import { renderHtmlReport } from './htmlReport.js';
+import { validateBudgets, analyzersForBudgets, evaluateBudgets, toJUnitXml } from './budgets.js';
+import { VISION_PROVIDERS, loadVisionProvider } from './visionProviders.js';
+import { DEFAULT_DEVICE_PROFILES, resolveDeviceProfiles } from './deviceProfiles.js';
+
+export const EXIT_CODES = {
+    success: 0,
+    failure: 1,
+    usage: 2,
+    failedChecks: 3
+};
+
+const usage = analyzerNames => `Usage: audit <command> <url> [options]
+       audit render <report.json> [screenshot-report.json]
+
+Commands:
+  full           Run every selected analyzer and save a JSON report
+  crawl          Crawl same-origin pages from the URL and audit each of them
+  ci             Audit the URL and fail when any budget is breached
+  screenshots    Capture device screenshots and run the AI UX review
+  baseline       Capture device screenshots and approve them as the visual baseline
+  visual         Compare device screenshots with the approved baseline
+  render         Write the HTML version of a saved JSON report
+  history        List the recorded full-report runs of the URL
+  compare        Diff two recorded runs of the URL and flag regressions
+${analyzerNames.map(name => `  ${name.padEnd(15)}Run only the ${name} analyzer and print its result`).join('\n')}
+
+Options:
+  -c, --config <file>        Config file with plugins and defaults (default ${DEFAULT_CONFIG_FILE})
+  -o, --output-dir <dir>     Directory for reports and screenshots
+  -t, --timeout <ms>         Navigation and request timeout (default 30000)
+  -u, --user-agent <ua>      User agent sent with page loads and requests
+  -a, --analyzers <list>     Comma-separated analyzers for "full", "crawl" and "ci" (default: all)
+  --html                     Also write a self-contained HTML report
+  --screenshots              Full: capture screenshots and add them to the HTML report
+  --contrast-screenshot      Save a screenshot outlining text that fails the contrast check
+  --devices <list>           Device profiles to capture: comma-separated configured or Puppeteer
+                             device names (default: mobile, tablet, desktop)
+  --vision-provider <name>   Screenshots: ${Object.keys(VISION_PROVIDERS).join(', ')} or a provider module path
+  --vision-model <model>     Screenshots: model used for the AI review (default gpt-4o)
+  --baseline-dir <dir>       Baseline, visual: where approved screenshots are kept
+  --mask <selector>          Baseline, visual: cover matching elements before capture; repeatable
+  --ignore-region <x,y,w,h>  Visual: leave out a page area in CSS pixels, optionally suffixed @device; repeatable
+  --pixel-threshold <0-1>    Visual: colour difference tolerated per pixel (default 0.1)
+  --max-mismatch <percent>   Visual: mismatched pixels allowed per device (default 0.1)
+  --from <run id>            Compare: older run (default: previous)
+  --to <run id>              Compare: newer run (default: latest)
+  --budgets <file>           CI: JSON budgets file (default: "budgets" in the config)
+  --junit <file>             CI: also write budget results as JUnit XML
+  --max-depth <n>            Crawl: link depth to follow from the start URL (default 2)
+  --max-pages <n>            Crawl: maximum pages to audit (default 20)
+  --include <regex>          Crawl: only audit paths matching; repeatable
+  --exclude <regex>          Crawl: skip paths matching; repeatable
+  --ignore-robots            Crawl: do not apply robots.txt rules
+  --skip-sitemap             Crawl: do not seed from sitemap.xml
+  -v, --verbose              Log progress (default)
+  -q, --quiet                Only print results and errors
+  -h, --help                 Show this help
+
+Exit codes:
+  0  audit completed
+  1  audit or analyzer failed
+  2  invalid command line
+  3  compare found regressions, ci found breached budgets, or visual found differences`;
+
+const OPTIONS = {
+    config: { type: 'string', short: 'c' },
+    'output-dir': { type: 'string', short: 'o' },
+    timeout: { type: 'string', short: 't' },
+    'user-agent': { type: 'string', short: 'u' },
+    analyzers: { type: 'string', short: 'a' },
+    'max-depth': { type: 'string' },
+    'max-pages': { type: 'string' },
+    include: { type: 'string', multiple: true },
+    exclude: { type: 'string', multiple: true },
+    'ignore-robots': { type: 'boolean' },
+    'skip-sitemap': { type: 'boolean' },
+    html: { type: 'boolean' },
+    screenshots: { type: 'boolean' },
+    'contrast-screenshot': { type: 'boolean' },
+    devices: { type: 'string' },
+    'vision-provider': { type: 'string' },
+    'vision-model': { type: 'string' },
+    'baseline-dir': { type: 'string' },
+    mask: { type: 'string', multiple: true },
+    'ignore-region': { type: 'string', multiple: true },
+    'pixel-threshold': { type: 'string' },
+    'max-mismatch': { type: 'string' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    budgets: { type: 'string' },
+    junit: { type: 'string' },
+    verbose: { type: 'boolean', short: 'v' },
+    quiet: { type: 'boolean', short: 'q' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+class UsageError extends Error {}
+
+// Commands whose argument is a saved report rather than a URL
+const FILE_COMMANDS = ['render'];
+
+function parseInteger(value, flag, min = 1) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min) {
+        throw new UsageError(`Invalid ${flag} "${value}"`);
+    }
+    return number;
+}
+
+function parseNumber(value, flag, min, max) {
+    const number = Number(value);
+    if (value === '' || !Number.isFinite(number) || number < min || number > max) {
+        throw new UsageError(`Invalid ${flag} "${value}"`);
+    }
+    return number;
+}
+
+// "x,y,width,height" with an optional "@device" limiting the region to one device
+function parseRegion(value) {
+    const [box, device] = value.split('@');
+    const numbers = box.split(',').map(Number);
+    if (numbers.length !== 4 || !numbers.every(number => Number.isFinite(number) && number >= 0)) {
+        throw new UsageError(`Invalid --ignore-region "${value}"; expected x,y,width,height`);
+    }
+
+    const [x, y, width, height] = numbers;
+    return { x, y, width, height, ...(device && { device }) };
+}
+
+function parseVisualOptions(values) {
+    const visual = {};
+
+    if (values['baseline-dir']) visual.baselineDir = values['baseline-dir'];
+    if (values.mask) visual.maskSelectors = values.mask;
+    if (values['ignore-region']) visual.ignoreRegions = values['ignore-region'].map(parseRegion);
+    if (values['pixel-threshold'] !== undefined) {
+        visual.threshold = parseNumber(values['pixel-threshold'], '--pixel-threshold', 0, 1);
+    }
+    if (values['max-mismatch'] !== undefined) {
+        visual.maxMismatch = parseNumber(values['max-mismatch'], '--max-mismatch', 0, 100);
+    }
+
+    return visual;
+}
+
+function parseCrawlOptions(values) {
+    const crawl = {};
+
+    if (values['max-depth'] !== undefined) crawl.maxDepth = parseInteger(values['max-depth'], '--max-depth', 0);
+    if (values['max-pages'] !== undefined) crawl.maxPages = parseInteger(values['max-pages'], '--max-pages');
+    if (values['ignore-robots']) crawl.respectRobots = false;
+    if (values['skip-sitemap']) crawl.useSitemap = false;
+
+    for (const key of ['include', 'exclude']) {
+        if (!values[key]) continue;
+        for (const pattern of values[key]) {
+            try {
+                new RegExp(pattern);
+            } catch {
+                throw new UsageError(`Invalid --${key} pattern "${pattern}"`);
+            }
+        }
+        crawl[key] = values[key];
+    }
+
+    return crawl;
+}
+
+function parseCommandLine(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    const { values, positionals } = parsed;
+    const [command, target, ...extra] = positionals;
+
+    if (values.help) return { command: 'help', values };
+    if (!command) throw new UsageError('Please provide a command');
+
+    if (FILE_COMMANDS.includes(command)) {
+        if (!target) throw new UsageError('Please provide a report file');
+    } else {
+        if (!target) throw new UsageError('Please provide a URL to audit');
+        try {
+            new URL(target);
+        } catch {
+            throw new UsageError(`Invalid URL "${target}"`);
+        }
+    }
+
+    const options = { verbose: !values.quiet || !!values.verbose, html: !!values.html };
+
+    if (values['output-dir']) options.outputDir = values['output-dir'];
+    if (values['user-agent']) options.userAgent = values['user-agent'];
+    if (values['contrast-screenshot']) options.contrastScreenshot = true;
+
+    if (values.timeout !== undefined) options.timeout = parseInteger(values.timeout, 'timeout');
+
+    if (values.analyzers) {
+        options.analyzers = values.analyzers.split(',').map(name => name.trim()).filter(Boolean);
+    }
+
+    return {
+        command,
+        target,
+        extra,
+        options,
+        crawl: parseCrawlOptions(values),
+        visual: parseVisualOptions(values),
+        values
+    };
+}
+
+// Plugins can add commands, so the command and analyzer names are only checked once the
+// config has been loaded and its plugins registered
+function validateNames(command, options, registry) {
+    const commands = ['full', 'crawl', 'ci', 'screenshots', 'baseline', 'visual', 'history', 'compare', ...FILE_COMMANDS];
+    if (!commands.includes(command) && !registry.has(command)) {
+        throw new UsageError(`Unknown command "${command}"`);
+    }
+
+    const unknown = (options.analyzers ?? []).filter(name => !registry.has(name));
+    if (unknown.length) {
+        throw new UsageError(`Unknown analyzer(s): ${unknown.join(', ')}`);
+    }
+}
+
+const readJson = file => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+// Renders a saved audit or screenshot report next to the JSON file and returns the HTML path
+function renderReportFile(reportFile, screenshotReportFile) {
+    const report = readJson(reportFile);
+    const isScreenshotReport = !report.results && !!report.screenshots;
+    const screenshotReport = isScreenshotReport ? report
+        : screenshotReportFile ? readJson(screenshotReportFile) : null;
+
+    const htmlPath = `${reportFile.replace(/\.json$/, '')}.html`;
+    fs.writeFileSync(htmlPath, renderHtmlReport(isScreenshotReport ? null : report, { screenshotReport }));
+    return htmlPath;
+}
+
+// Budgets come from --budgets (a file holding the budgets, optionally under a "budgets" key)
+// or from the config file
+function loadBudgets(budgetsFile, config) {
+    let budgets = config.budgets;
+    if (budgetsFile) {
+        let content;
+        try {
+            content = readJson(budgetsFile);
+        } catch (error) {
+            throw new UsageError(`Could not read budgets file ${budgetsFile}: ${error.message}`);
+        }
+        budgets = content.budgets ?? content;
+    }
+    if (!budgets) throw new UsageError('No budgets configured; pass --budgets or add "budgets" to the config');
+
+    try {
+        return validateBudgets(budgets);
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+}
+
+// AI review settings from the config's "vision" object, overridden by the command line. A
+// provider that is not built in is loaded as a module relative to the config file.
+async function loadVisionOptions(config, values) {
+    if (config.vision !== undefined && (typeof config.vision !== 'object' || Array.isArray(config.vision))) {
+        throw new UsageError('"vision" in the config must be an object');
+    }
+
+    const vision = { ...config.vision };
+    if (values['vision-provider']) vision.provider = values['vision-provider'];
+    if (values['vision-model']) vision.model = values['vision-model'];
+
+    if (typeof vision.provider === 'string' && !VISION_PROVIDERS[vision.provider]) {
+        vision.provider = await loadVisionProvider(vision.provider, vision, config.configDir);
+    }
+    return vision;
+}
+
+// Device profiles from the config's "devices" object (replacing the defaults), narrowed by
+// --devices. Names that are not configured are taken as Puppeteer known devices.
+function loadDeviceProfiles(config, values) {
+    if (config.devices !== undefined && (typeof config.devices !== 'object' || Array.isArray(config.devices))) {
+        throw new UsageError('"devices" in the config must be an object');
+    }
+
+    const available = config.devices ?? DEFAULT_DEVICE_PROFILES;
+    const names = values.devices?.split(',').map(name => name.trim()).filter(Boolean);
+    const devices = names ? Object.fromEntries(names.map(name => [name, available[name] ?? name])) : available;
+
+    try {
+        resolveDeviceProfiles(devices);
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+    return devices;
+}
+
+// Visual regression settings from the config's "visual" object, overridden by the command line.
+// A relative baseline directory in the config resolves against the config file.
+function loadVisualOptions(config, visual) {
+    if (config.visual !== undefined && (typeof config.visual !== 'object' || Array.isArray(config.visual))) {
+        throw new UsageError('"visual" in the config must be an object');
+    }
+
+    const merged = { ...config.visual, ...visual };
+    if (config.visual?.baselineDir && !visual.baselineDir) {
+        merged.baselineDir = path.resolve(config.configDir, config.visual.baselineDir);
+    }
+    return merged;
+}
+
+async function runBudgetCheck(auditor, url, budgets, junitFile) {
+    const report = await auditor.generateFullReport(url);
+    const results = evaluateBudgets(report, budgets);
+
+    if (junitFile) {
+        fs.writeFileSync(junitFile, toJUnitXml(report, results));
+        console.log(`JUnit results written to ${junitFile}`);
+    }
+
+    const breached = results.filter(result => result.status !== 'passed');
+    if (!breached.length) {
+        console.log(chalk.green(`All ${results.length} budgets passed`));
+        return EXIT_CODES.success;
+    }
+
+    console.log(chalk.red(`${breached.length} of ${results.length} budgets breached:`));
+    breached.forEach(result => console.log(chalk.red(`  ✗ ${result.message}`)));
+    return EXIT_CODES.failedChecks;
+}
+
+const formatChange = ({ before, after, delta }) =>
+    `${before ?? '-'} -> ${after ?? '-'}${delta ? ` (${delta > 0 ? '+' : ''}${+delta.toFixed(3)})` : ''}`;
+
+function printComparison(diff) {
+    console.log(`\nComparison for ${diff.url}`);
+    console.log(`${diff.before} -> ${diff.after}`);
+    console.log('--------------');
+    console.log(`Overall score: ${formatChange(diff.overallScore)}`);
+
+    if (diff.lighthouse) {
+        console.log('Lighthouse metrics:');
+        for (const [metric, entry] of Object.entries(diff.lighthouse.metrics)) {
+            console.log(`  ${metric}: ${formatChange(entry)}`);
+        }
+    }
+    if (diff.securityHeaders) {
+        const { added, removed, changed } = diff.securityHeaders;
+        added.forEach(({ header }) => console.log(chalk.green(`  + security header ${header}`)));
+        removed.forEach(({ header }) => console.log(chalk.red(`  - security header ${header}`)));
+        changed.forEach(({ header }) => console.log(chalk.yellow(`  ~ security header ${header} changed`)));
+    }
+    diff.thirdParty?.added.forEach(domain => console.log(chalk.yellow(`  + third-party domain ${domain}`)));
+    diff.brokenLinks?.new.forEach(link => console.log(chalk.red(`  + broken link ${link.url}`)));
+    diff.brokenLinks?.fixed.forEach(link => console.log(chalk.green(`  - fixed link ${link.url}`)));
+
+    if (!diff.regressions.length) {
+        console.log(chalk.green('No regressions beyond thresholds'));
+        return;
+    }
+    console.log(chalk.red(`${diff.regressions.length} regression(s):`));
+    diff.regressions.forEach(regression => console.log(chalk.red(`  ${regression.message}`)));
+}
+
+export async function run(argv = process.argv.slice(2)) {
+    let parsed;
+    let config;
+    let auditor;
+    try {
+        parsed = parseCommandLine(argv);
+
+        config = loadConfig(parsed.values.config);
+        auditor = new WebsiteAuditor({
+            outputDir: './website-audit-reports',
+            ...(config.analyzers && { analyzers: config.analyzers }),
+            ...(config.weights && { weights: config.weights }),
+            ...(config.thirdPartyDatabase && { thirdPartyDatabase: path.resolve(config.configDir, config.thirdPartyDatabase) }),
+            ...parsed.options
+        });
+        await auditor.registry.load(config.plugins, config.configDir);
+
+        if (parsed.command !== 'help') {
+            validateNames(parsed.command, auditor.options, auditor.registry);
+        }
+
+        if (parsed.command === 'ci') {
+            parsed.budgets = loadBudgets(parsed.values.budgets, config);
+            // Without an explicit selection only the analyzers the budgets read from are run
+            if (!parsed.options.analyzers && !config.analyzers) {
+                auditor.options.analyzers = analyzersForBudgets(parsed.budgets);
+            }
+        }
+    } catch (error) {
+        console.error(chalk.red(error.message));
+        if (!(error instanceof UsageError)) return EXIT_CODES.failure;
+
+        console.error(usage(auditor?.registry.names() ?? builtinAnalyzers.map(plugin => plugin.name)));
+        return EXIT_CODES.usage;
+    }
+
+    const { command, target: url, options, values } = parsed;
+
+    if (command === 'help') {
+        console.log(usage(auditor.registry.names()));
+        return EXIT_CODES.success;
+    }
+
+    try {
+        if (command === 'screenshots') {
+            const vision = await loadVisionOptions(config, values);
+            const analyzer = new ScreenshotAnalyzer({
+                outputDir: './screenshot-analysis',
+                ...options,
+                devices: loadDeviceProfiles(config, values),
+                vision
+            });
+            await analyzer.generateReport(url);
+            return EXIT_CODES.success;
+        }
+
+        if (command === 'baseline' || command === 'visual') {
+            const visual = loadVisualOptions(config, parsed.visual);
+            const analyzer = new ScreenshotAnalyzer({
+                outputDir: './screenshot-analysis',
+                ...options,
+                devices: loadDeviceProfiles(config, values),
+                vision: { provider: 'none' },
+                visual
+            });
+
+            if (command === 'baseline') {
+                await analyzer.approveBaseline(url);
+                return EXIT_CODES.success;
+            }
+            const report = await analyzer.runVisualRegression(url);
+            return report.visual.passed ? EXIT_CODES.success : EXIT_CODES.failedChecks;
+        }
+
+        if (command === 'full') {
+            let screenshotReport = null;
+            if (values.screenshots) {
+                const vision = await loadVisionOptions(config, values);
+                const analyzer = new ScreenshotAnalyzer({
+                    outputDir: './screenshot-analysis',
+                    ...options,
+                    html: false,
+                    devices: loadDeviceProfiles(config, values),
+                    vision
+                });
+                screenshotReport = await analyzer.generateReport(url);
+            }
+
+            // The report is saved either way, but a run with failed analyzers is not a success
+            const report = await auditor.generateFullReport(url, { screenshotReport });
+            const failed = Object.entries(report.analyzers).filter(([, summary]) => summary.status === 'failed');
+            if (failed.length) {
+                console.error(chalk.red(`${failed.length} analyzer(s) failed: ${failed.map(([name]) => name).join(', ')}`));
+                return EXIT_CODES.failure;
+            }
+            return EXIT_CODES.success;
+        }
+
+        if (command === 'history') {
+            const runs = auditor.history.list(url);
+            if (!runs.length) console.log(`No recorded runs for ${url}`);
+            runs.forEach(entry => console.log(`${entry.id}  score ${entry.overallScore ?? '-'} (${entry.grade ?? '-'})`));
+            return EXIT_CODES.success;
+        }
+
+        if (command === 'compare') {
+            const diff = auditor.compareRuns(url, {
+                from: values.from,
+                to: values.to,
+                thresholds: config.regressionThresholds
+            });
+            printComparison(diff);
+            return diff.regressions.length ? EXIT_CODES.failedChecks : EXIT_CODES.success;
+        }
+
+        if (command === 'render') {
+            console.log(renderReportFile(parsed.target, parsed.extra[0]));
+            return EXIT_CODES.success;
+        }
+
+        if (command === 'ci') {
+            return await runBudgetCheck(auditor, url, parsed.budgets, values.junit);
+        }
+
+        if (command === 'crawl') {
+            await auditor.generateSiteReport(url, { ...config.crawl, ...parsed.crawl });
+            return EXIT_CODES.success;
+        }
+
+        // Analyzers swallow their own errors and return null, or a fallback result carrying an
+        // `error`, when they could not run
+        const result = await auditor.runAnalyzer(command, url);
+        if (result === null || result?.error) {
+            if (result?.error) console.error(chalk.red(`${command} analysis failed: ${result.error}`));
+            return EXIT_CODES.failure;
+        }
+
+        console.log(JSON.stringify(result, null, 2));
+        return EXIT_CODES.success;
+    } catch (error) {
+        console.error(chalk.red(`Audit failed: ${error.message}`));
+        return EXIT_CODES.failure;
+    }
+}
+
+// Run if called directly, including through the npm bin symlink
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    process.exitCode = await run();
+}
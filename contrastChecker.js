@@ -0,0 +1,215 @@
+import { installPageHelpers } from './pageHelpers.js';
+
+// Computed colour contrast of visible text against WCAG 1.4.3 (AA) and 1.4.6 (AAA). Colours are
+// resolved in the page, including semi-transparent text, inherited backgrounds and opacity.
+
+// Minimum ratios per level; large text is 24px, or 18.66px when bold
+export const CONTRAST_THRESHOLDS = {
+    AA: { normal: 4.5, large: 3 },
+    AAA: { normal: 7, large: 4.5 }
+};
+
+const MAX_ELEMENTS = 1000;
+
+// Runs in the page after installPageHelpers()
+function measureText(maxElements) {
+    const WHITE = [255, 255, 255, 1];
+    const SKIPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'OPTION']);
+
+    // Computed colours serialise as rgb()/rgba(); other colour spaces are left unmeasured
+    const parseColor = value => {
+        const match = value.match(/^rgba?\(([^)]+)\)$/);
+        if (!match) return null;
+        const parts = match[1].split(/[\s,/]+/).filter(Boolean).map(Number);
+        return parts.length >= 3 && parts.every(Number.isFinite)
+            ? [parts[0], parts[1], parts[2], parts[3] ?? 1] : null;
+    };
+
+    // Source-over compositing of a colour onto an opaque backdrop
+    const over = (backdrop, color) => [0, 1, 2]
+        .map(channel => color[channel] * color[3] + backdrop[channel] * (1 - color[3]))
+        .concat(1);
+
+    const { selectorFor } = window.__auditHelpers;
+
+    // Paints the ancestor backgrounds from the root down, then undoes each opacity group on the
+    // way back up: an element with opacity blends everything it paints with what lies beneath it
+    const effectiveColors = element => {
+        const chain = [];
+        for (let node = element; node; node = node.parentElement) chain.unshift(node);
+
+        let backdrop = WHITE;
+        let uncertain = false;
+        const groups = [];
+        for (const node of chain) {
+            const style = getComputedStyle(node);
+            groups.push({ beneath: backdrop, opacity: Number(style.opacity) });
+
+            const background = parseColor(style.backgroundColor);
+            if (!background) {
+                if (style.backgroundColor !== 'transparent') uncertain = true;
+            } else if (background[3] > 0) {
+                backdrop = over(backdrop, background);
+                // An opaque colour hides any image painted further down
+                if (background[3] === 1) uncertain = false;
+            }
+            // Images and gradients are painted above the element's own background colour
+            if (style.backgroundImage !== 'none') uncertain = true;
+        }
+
+        const foreground = parseColor(getComputedStyle(element).color);
+        if (!foreground) return null;
+
+        let text = over(backdrop, foreground);
+        let background = backdrop;
+        for (const group of groups.reverse()) {
+            if (group.opacity >= 1) continue;
+            const blend = color => [0, 1, 2]
+                .map(channel => color[channel] * group.opacity + group.beneath[channel] * (1 - group.opacity))
+                .concat(1);
+            text = blend(text);
+            background = blend(background);
+        }
+
+        return { foreground: text, background, uncertain };
+    };
+
+    const elements = new Set();
+    const walker = document.createTreeWalker(document.body ?? document.documentElement, NodeFilter.SHOW_TEXT);
+    for (let node = walker.nextNode(); node && elements.size < maxElements; node = walker.nextNode()) {
+        const element = node.parentElement;
+        if (!element || !node.textContent.trim() || SKIPPED_TAGS.has(element.tagName) || element.closest('svg')) continue;
+        elements.add(element);
+    }
+
+    const results = [];
+    for (const element of elements) {
+        const style = getComputedStyle(element);
+        if (!element.getClientRects().length || style.visibility !== 'visible') continue;
+
+        // Disabled controls are exempt from the contrast requirement
+        if (element.closest(':disabled, [aria-disabled="true"]')) continue;
+
+        const colors = effectiveColors(element);
+        if (!colors) continue;
+
+        const text = Array.from(element.childNodes)
+            .filter(child => child.nodeType === Node.TEXT_NODE)
+            .map(child => child.textContent).join(' ').replace(/\s+/g, ' ').trim();
+
+        results.push({
+            selector: selectorFor(element),
+            text: text.length > 80 ? `${text.slice(0, 80)}...` : text,
+            foreground: colors.foreground.slice(0, 3).map(Math.round),
+            background: colors.background.slice(0, 3).map(Math.round),
+            backgroundUncertain: colors.uncertain,
+            fontSize: parseFloat(style.fontSize),
+            fontWeight: Number(style.fontWeight) || (style.fontWeight === 'bold' ? 700 : 400)
+        });
+    }
+
+    return results;
+}
+
+// WCAG relative luminance of an sRGB colour
+export function relativeLuminance([red, green, blue]) {
+    const linear = channel => {
+        const value = channel / 255;
+        return value <= 0.04045 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+    };
+    return 0.2126 * linear(red) + 0.7152 * linear(green) + 0.0722 * linear(blue);
+}
+
+export function contrastRatio(first, second) {
+    const [lighter, darker] = [relativeLuminance(first), relativeLuminance(second)].sort((a, b) => b - a);
+    return (lighter + 0.05) / (darker + 0.05);
+}
+
+export function isLargeText(fontSize, fontWeight) {
+    return fontSize >= 24 || (fontSize >= 18.66 && fontWeight >= 700);
+}
+
+const toHex = color => `#${color.map(channel => channel.toString(16).padStart(2, '0')).join('')}`;
+
+// Grades one measured text element against both levels
+export function gradeContrast(measurement) {
+    const ratio = contrastRatio(measurement.foreground, measurement.background);
+    const size = isLargeText(measurement.fontSize, measurement.fontWeight) ? 'large' : 'normal';
+
+    return {
+        selector: measurement.selector,
+        text: measurement.text,
+        foreground: toHex(measurement.foreground),
+        background: toHex(measurement.background),
+        backgroundUncertain: measurement.backgroundUncertain,
+        fontSize: measurement.fontSize,
+        fontWeight: measurement.fontWeight,
+        largeText: size === 'large',
+        ratio: Math.round(ratio * 100) / 100,
+        required: { AA: CONTRAST_THRESHOLDS.AA[size], AAA: CONTRAST_THRESHOLDS.AAA[size] },
+        passesAA: ratio >= CONTRAST_THRESHOLDS.AA[size],
+        passesAAA: ratio >= CONTRAST_THRESHOLDS.AAA[size]
+    };
+}
+
+// Outlines failing elements with their ratio, takes a full-page screenshot and removes the marks
+async function annotatedScreenshot(page, failures, screenshotPath) {
+    await page.evaluate(items => {
+        for (const { selector, ratio } of items) {
+            const element = document.querySelector(selector);
+            if (!element) continue;
+
+            const rect = element.getBoundingClientRect();
+            const mark = document.createElement('div');
+            mark.setAttribute('data-contrast-mark', '');
+            mark.textContent = `${ratio}:1`;
+            Object.assign(mark.style, {
+                position: 'absolute',
+                left: `${rect.left + window.scrollX - 2}px`,
+                top: `${rect.top + window.scrollY - 2}px`,
+                width: `${rect.width + 4}px`,
+                height: `${rect.height + 4}px`,
+                outline: '3px solid #e53935',
+                font: 'bold 11px sans-serif',
+                color: '#fff',
+                textShadow: '0 0 2px #e53935, 0 0 2px #e53935',
+                zIndex: 2147483647,
+                pointerEvents: 'none'
+            });
+            document.body.appendChild(mark);
+        }
+    }, failures.map(({ selector, ratio }) => ({ selector, ratio })));
+
+    try {
+        await page.screenshot({ path: screenshotPath, fullPage: true });
+    } finally {
+        await page.evaluate(() => document.querySelectorAll('[data-contrast-mark]').forEach(mark => mark.remove()));
+    }
+}
+
+// Measures every visible text element and reports the ones below AA or AAA. The score is the
+// share of elements passing AA. A screenshot highlighting AA failures is written when a path is given.
+export async function checkContrast(page, { screenshotPath = null, maxElements = MAX_ELEMENTS } = {}) {
+    await installPageHelpers(page);
+    const measurements = await page.evaluate(measureText, maxElements);
+    const graded = measurements.map(gradeContrast);
+
+    const failingAA = graded.filter(item => !item.passesAA).sort((a, b) => a.ratio - b.ratio);
+    const failingAAAOnly = graded.filter(item => item.passesAA && !item.passesAAA).sort((a, b) => a.ratio - b.ratio);
+
+    let screenshot = null;
+    if (screenshotPath && failingAA.length) {
+        await annotatedScreenshot(page, failingAA, screenshotPath);
+        screenshot = screenshotPath;
+    }
+
+    return {
+        checked: graded.length,
+        passingAA: graded.length - failingAA.length,
+        passingAAA: graded.filter(item => item.passesAAA).length,
+        failingAA,
+        failingAAAOnly,
+        score: graded.length ? Math.round(((graded.length - failingAA.length) / graded.length) * 100) : null,
+        screenshot
+    };
+}
@@ -0,0 +1,167 @@
+// Cookie security checks. Cookies are gathered from Set-Cookie response headers and from the
+// browser's cookie jar; values are never recorded.
+
+const SEVERITY_PENALTY = { high: 20, medium: 10, low: 3, info: 0 };
+
+const DAY = 24 * 60 * 60;
+
+// Names that usually identify a login or session, where theft means account takeover
+const SESSION_COOKIE_PATTERN = /sess|sid|auth|token|jwt|login|remember/i;
+
+// Second-level public suffixes common enough to matter for first/third-party grouping
+const TWO_LEVEL_SUFFIXES = /\.(co|com|net|org|gov|ac|edu)\.[a-z]{2}$/i;
+
+// Approximate registrable domain ("site") of a hostname, e.g. shop.example.co.uk -> example.co.uk
+export function siteOf(hostname) {
+    const host = hostname.replace(/^\./, '').toLowerCase();
+    const labels = host.split('.');
+    const keep = TWO_LEVEL_SUFFIXES.test(host) ? 3 : 2;
+    return labels.slice(-keep).join('.');
+}
+
+export function parseSetCookie(header, responseUrl) {
+    const [pair, ...attributeParts] = header.split(';');
+    const separator = pair.indexOf('=');
+    const cookie = {
+        name: (separator === -1 ? '' : pair.slice(0, separator)).trim(),
+        domain: new URL(responseUrl).hostname,
+        hostOnly: true,
+        path: '/',
+        secure: false,
+        httpOnly: false,
+        sameSite: null,
+        expires: null
+    };
+
+    let maxAge = null;
+    for (const part of attributeParts) {
+        const [rawKey, ...rest] = part.split('=');
+        const key = rawKey.trim().toLowerCase();
+        const value = rest.join('=').trim();
+
+        if (key === 'domain' && value) {
+            cookie.domain = value.replace(/^\./, '');
+            cookie.hostOnly = false;
+        } else if (key === 'path' && value) cookie.path = value;
+        else if (key === 'secure') cookie.secure = true;
+        else if (key === 'httponly') cookie.httpOnly = true;
+        else if (key === 'samesite') cookie.sameSite = value ? value[0].toUpperCase() + value.slice(1).toLowerCase() : null;
+        else if (key === 'max-age' && value) maxAge = Number(value);
+        else if (key === 'expires' && value) {
+            const time = Date.parse(value);
+            if (!Number.isNaN(time)) cookie.expires = time / 1000;
+        }
+    }
+
+    // Max-Age takes precedence over Expires
+    if (Number.isFinite(maxAge)) cookie.expires = Date.now() / 1000 + maxAge;
+    return cookie;
+}
+
+// Normalizes a cookie from the CDP cookie jar (Network.getAllCookies) to the parsed shape
+export function fromBrowserCookie(cookie) {
+    return {
+        name: cookie.name,
+        domain: cookie.domain.replace(/^\./, ''),
+        hostOnly: !cookie.domain.startsWith('.'),
+        path: cookie.path,
+        secure: cookie.secure,
+        httpOnly: cookie.httpOnly,
+        sameSite: cookie.sameSite ?? null,
+        expires: cookie.session || cookie.expires < 0 ? null : cookie.expires
+    };
+}
+
+function checkCookie(cookie, { https }) {
+    const findings = [];
+    const add = (severity, message) => findings.push({ severity, message });
+    const sessionLike = SESSION_COOKIE_PATTERN.test(cookie.name);
+
+    if (!cookie.secure && https) {
+        add(sessionLike ? 'high' : 'medium', 'Missing Secure, so the cookie can be sent over plain http');
+    }
+    if (!cookie.httpOnly) {
+        if (sessionLike) add('high', 'Session cookie is readable from JavaScript; set HttpOnly');
+        else add('low', 'Missing HttpOnly, so scripts (including injected ones) can read it');
+    }
+    if (!cookie.sameSite) {
+        add('low', 'Missing SameSite; set Lax or Strict instead of relying on browser defaults');
+    } else if (cookie.sameSite === 'None' && !cookie.secure) {
+        add('high', 'SameSite=None without Secure is rejected by browsers');
+    } else if (cookie.sameSite === 'None' && sessionLike) {
+        add('medium', 'Session cookie with SameSite=None is sent on cross-site requests (CSRF risk)');
+    }
+
+    if (cookie.lifetimeDays !== null) {
+        if (sessionLike && cookie.lifetimeDays > 30) {
+            add('medium', `Session cookie lives ${cookie.lifetimeDays} days; keep login sessions short`);
+        } else if (cookie.lifetimeDays > 365) {
+            add('low', `Lifetime of ${cookie.lifetimeDays} days is longer than a year`);
+        }
+    }
+
+    if (!cookie.thirdParty && cookie.name.startsWith('__Host-') &&
+        (!cookie.secure || !cookie.hostOnly || cookie.path !== '/')) {
+        add('medium', '__Host- cookies must be Secure, host-only and use Path=/');
+    }
+
+    return findings;
+}
+
+// Merges cookies seen in headers and the cookie jar, flags weak ones and scores the first-party
+// cookies (0-100, the average over cookies; null when the page sets none). Third-party cookies
+// are reported per domain.
+export function auditCookies({ pageUrl, headerCookies = [], browserCookies = [], jsReadableNames = [] }) {
+    const { hostname, protocol } = new URL(pageUrl);
+    const pageSite = siteOf(hostname);
+    const now = Date.now() / 1000;
+
+    const merged = new Map();
+    const sources = [
+        ...browserCookies.map(cookie => ({ cookie: fromBrowserCookie(cookie), source: 'browser' })),
+        ...headerCookies.map(({ header, url }) => ({ cookie: parseSetCookie(header, url), source: 'header' }))
+    ];
+    for (const { cookie, source } of sources) {
+        if (!cookie.name) continue;
+
+        const key = `${cookie.name}|${cookie.domain}|${cookie.path}`;
+        // The browser's view wins as it reflects what was actually stored
+        if (!merged.has(key)) merged.set(key, { ...cookie, sources: [] });
+        merged.get(key).sources.push(source);
+    }
+
+    const readable = new Set(jsReadableNames);
+    const cookies = Array.from(merged.values()).map(cookie => {
+        const thirdParty = siteOf(cookie.domain) !== pageSite;
+        const entry = {
+            ...cookie,
+            sources: Array.from(new Set(cookie.sources)),
+            session: cookie.expires === null,
+            lifetimeDays: cookie.expires === null ? null : Math.max(0, Math.round((cookie.expires - now) / DAY)),
+            thirdParty,
+            jsReadable: !thirdParty && readable.has(cookie.name)
+        };
+        entry.findings = checkCookie(entry, { https: protocol === 'https:' });
+        return entry;
+    });
+
+    const firstParty = cookies.filter(cookie => !cookie.thirdParty);
+    const thirdPartyDomains = {};
+    for (const cookie of cookies.filter(item => item.thirdParty)) {
+        thirdPartyDomains[cookie.domain] = (thirdPartyDomains[cookie.domain] ?? 0) + 1;
+    }
+
+    const cookieScores = firstParty.map(cookie => Math.max(0, 100 - cookie.findings
+        .reduce((sum, finding) => sum + SEVERITY_PENALTY[finding.severity], 0)));
+
+    return {
+        total: cookies.length,
+        firstParty: firstParty.length,
+        thirdParty: cookies.length - firstParty.length,
+        thirdPartyDomains,
+        score: cookieScores.length
+            ? Math.round(cookieScores.reduce((sum, score) => sum + score, 0) / cookieScores.length)
+            : null,
+        cookies
+    };
+}
@@ -0,0 +1,197 @@
+import axios from 'axios';
+import { siteOf } from './cookieAnalyzer.js';
+
+// CORS policy probing. The site's API endpoints are taken from the XHR and fetch traffic of the
+// page load, then asked with preflight requests from origins that should never be trusted.
+// Only OPTIONS requests, and GETs to endpoints the page itself fetched with GET, are sent.
+
+const SEVERITY_PENALTY = { high: 20, medium: 10, low: 3, info: 0 };
+
+const MAX_ENDPOINTS = 10;
+
+// Methods a cross-origin caller should rarely be granted, and ones no API needs to expose
+const WRITE_METHODS = ['PUT', 'PATCH', 'DELETE'];
+const UNSAFE_METHODS = ['TRACE', 'CONNECT', 'TRACK'];
+
+// Asked for in every preflight; a server that grants the made-up one grants anything
+const PROBE_HEADER = 'x-audit-probe';
+const REQUESTED_HEADERS = ['content-type', 'authorization', PROBE_HEADER];
+
+const finding = (severity, message, endpoint) => ({ severity, message, endpoint });
+
+// Origins an attacker could send from: any site, sandboxed documents and files ("null"), and
+// look-alikes that pass careless prefix or suffix matching against the site's own host
+export function hostileOrigins(pageUrl) {
+    const { protocol, hostname } = new URL(pageUrl);
+    const origins = [
+        { kind: 'arbitrary', origin: 'https://cors-probe.invalid' },
+        { kind: 'null', origin: 'null' },
+        { kind: 'prefix', origin: `${protocol}//${hostname}.cors-probe.invalid` },
+        { kind: 'suffix', origin: `${protocol}//corsprobe${hostname}` }
+    ];
+    // An http origin trusted by an https API lets a network attacker inject script that reads it
+    if (protocol === 'https:') origins.push({ kind: 'insecure', origin: `http://${hostname}` });
+    return origins;
+}
+
+// The site's own XHR and fetch endpoints, one per origin and path, in the order they were called
+export function findApiEndpoints(requests, pageUrl, maxEndpoints = MAX_ENDPOINTS) {
+    const site = siteOf(new URL(pageUrl).hostname);
+    const endpoints = new Map();
+
+    for (const request of requests) {
+        if (request.type !== 'xhr' && request.type !== 'fetch') continue;
+
+        let parsed;
+        try {
+            parsed = new URL(request.url);
+        } catch {
+            continue;
+        }
+        if (!parsed.protocol.startsWith('http') || siteOf(parsed.hostname) !== site) continue;
+
+        const key = `${parsed.origin}${parsed.pathname}`;
+        const endpoint = endpoints.get(key) ?? { url: request.url, methods: [] };
+        if (!endpoint.methods.includes(request.method)) endpoint.methods.push(request.method);
+        endpoints.set(key, endpoint);
+    }
+
+    return Array.from(endpoints.values()).slice(0, maxEndpoints);
+}
+
+const splitList = value => value ? value.split(',').map(item => item.trim()).filter(Boolean) : [];
+
+function corsHeaders(response) {
+    const headers = response.headers;
+    return {
+        status: response.status,
+        allowOrigin: headers['access-control-allow-origin'] ?? null,
+        allowCredentials: headers['access-control-allow-credentials']?.toLowerCase() === 'true',
+        allowMethods: splitList(headers['access-control-allow-methods']).map(method => method.toUpperCase()),
+        allowHeaders: splitList(headers['access-control-allow-headers']).map(header => header.toLowerCase()),
+        exposeHeaders: splitList(headers['access-control-expose-headers']),
+        maxAge: headers['access-control-max-age'] ? Number(headers['access-control-max-age']) : null,
+        vary: headers.vary ?? null
+    };
+}
+
+async function probe(endpoint, origin, { preflight, timeout, userAgent }) {
+    const method = endpoint.methods.find(item => item !== 'GET' && item !== 'HEAD') ?? 'PUT';
+    const response = await axios.request({
+        url: endpoint.url,
+        method: preflight ? 'OPTIONS' : 'GET',
+        headers: {
+            Origin: origin,
+            ...(preflight && {
+                'Access-Control-Request-Method': method,
+                'Access-Control-Request-Headers': REQUESTED_HEADERS.join(',')
+            }),
+            ...(userAgent && { 'User-Agent': userAgent })
+        },
+        timeout,
+        maxRedirects: 0,
+        validateStatus: () => true,
+        responseType: 'stream'
+    });
+    response.data.destroy();
+    return corsHeaders(response);
+}
+
+// Whether a response lets the given origin read it
+const grants = (result, origin) => result.allowOrigin === origin || result.allowOrigin === '*';
+
+// Findings for one endpoint from the results of probing it with every hostile origin
+export function checkEndpoint(endpoint, probes) {
+    const findings = [];
+    const add = (severity, message) => findings.push(finding(severity, message, endpoint.url));
+    const granted = probes.filter(item => !item.error && item.allowOrigin === item.origin);
+    const withCredentials = kind => granted.some(item => item.kind === kind && item.allowCredentials);
+
+    const wildcard = probes.find(item => item.allowOrigin === '*');
+    if (wildcard?.allowCredentials) {
+        add('medium', 'Allows any origin ("*") together with credentials; browsers refuse this combination, which suggests the policy is built by hand');
+    } else if (wildcard) {
+        add('info', 'Readable from any origin ("*") without credentials; fine for public data only');
+    }
+
+    const described = {
+        arbitrary: 'Reflects an arbitrary Origin back in Access-Control-Allow-Origin',
+        null: 'Accepts the "null" origin, which sandboxed iframes and local files can send',
+        prefix: 'Accepts a look-alike origin that starts with the site\'s host; the origin check matches a prefix',
+        suffix: 'Accepts a look-alike origin that ends with the site\'s host; the origin check matches a suffix',
+        insecure: 'Trusts the plain http origin of the site, so a network attacker can read responses'
+    };
+    // A server that reflects any origin also grants the look-alikes, so only that is reported
+    const reflectsAny = granted.some(item => item.kind === 'arbitrary');
+    for (const [kind, message] of Object.entries(described)) {
+        if (!granted.some(item => item.kind === kind) || (reflectsAny && kind !== 'arbitrary')) continue;
+        if (withCredentials(kind)) {
+            add(kind === 'insecure' ? 'medium' : 'high', `${message}, with credentials allowed`);
+        } else {
+            add(kind === 'insecure' ? 'low' : 'medium', message);
+        }
+    }
+
+    // Broad grants only matter when a hostile origin is allowed at all
+    const preflights = probes.filter(item => item.preflight && !item.error && grants(item, item.origin));
+    const methods = new Set(preflights.flatMap(item => item.allowMethods));
+    const headers = new Set(preflights.flatMap(item => item.allowHeaders));
+
+    const unsafe = UNSAFE_METHODS.filter(method => methods.has(method));
+    if (unsafe.length) add('medium', `Allows the ${unsafe.join(', ')} method(s) cross-origin`);
+    if (methods.has('*')) {
+        add('low', 'Allows every method cross-origin ("*")');
+    } else {
+        const writes = WRITE_METHODS.filter(method => methods.has(method) && !endpoint.methods.includes(method));
+        if (writes.length) add('low', `Allows ${writes.join(', ')} cross-origin although the page never uses them here`);
+    }
+    if (headers.has('*') || headers.has(PROBE_HEADER)) {
+        add('low', 'Allows any request header cross-origin, including made-up ones');
+    }
+
+    // Responses that depend on the Origin must say so, or caches can serve one origin's grant to another
+    const reflecting = granted.find(item => item.allowOrigin !== '*');
+    if (reflecting && !/(^|,)\s*origin\s*(,|$)/i.test(reflecting.vary ?? '')) {
+        add('low', 'Access-Control-Allow-Origin varies with the request but the response has no "Vary: Origin"');
+    }
+
+    return findings;
+}
+
+// Probes the page's own API endpoints, falling back to the page URL when it made no XHR or fetch
+// calls. Every endpoint gets a preflight from each hostile origin, and a plain GET when the page
+// fetched it with GET.
+export async function auditCors({ pageUrl, requests, timeout = 30000, userAgent, maxEndpoints = MAX_ENDPOINTS }) {
+    const discovered = findApiEndpoints(requests, pageUrl, maxEndpoints);
+    const endpoints = discovered.length ? discovered : [{ url: pageUrl, methods: ['GET'], document: true }];
+    const origins = hostileOrigins(pageUrl);
+
+    const results = [];
+    const findings = [];
+    for (const endpoint of endpoints) {
+        const probes = [];
+        for (const { kind, origin } of origins) {
+            const requestsToSend = endpoint.methods.includes('GET') ? [true, false] : [true];
+            for (const preflight of requestsToSend) {
+                try {
+                    probes.push({ kind, origin, preflight, ...await probe(endpoint, origin, { preflight, timeout, userAgent }) });
+                } catch (error) {
+                    probes.push({ kind, origin, preflight, error: error.message });
+                }
+            }
+        }
+
+        const endpointFindings = probes.every(item => item.error)
+            ? [finding('info', `Could not be probed: ${probes[0].error}`, endpoint.url)]
+            : checkEndpoint(endpoint, probes);
+        findings.push(...endpointFindings);
+        results.push({ ...endpoint, probes, findings: endpointFindings });
+    }
+
+    return {
+        endpointsFound: discovered.length,
+        endpoints: results,
+        score: Math.max(0, 100 - findings.reduce((sum, item) => sum + SEVERITY_PENALTY[item.severity], 0)),
+        findings
+    };
+}
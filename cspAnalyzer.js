@@ -0,0 +1,168 @@
+// Content-Security-Policy parsing and weakness detection. Enforced policies come from the
+// Content-Security-Policy header and <meta http-equiv> tags; Content-Security-Policy-Report-Only
+// policies are analyzed too but only reported, since browsers do not enforce them.
+
+const SEVERITY_PENALTY = { high: 25, medium: 10, low: 5, info: 0 };
+
+// Directives that fall back to default-src when absent
+const FETCH_DIRECTIVES = ['script-src', 'style-src', 'object-src', 'img-src', 'connect-src', 'font-src', 'frame-src', 'media-src', 'worker-src'];
+
+// Directives browsers ignore when the policy is delivered through a <meta> tag
+const META_IGNORED_DIRECTIVES = ['frame-ancestors', 'report-uri', 'sandbox'];
+
+// One header value can carry several policies separated by commas
+export function parseCsp(value) {
+    return value.split(',').map(policy => {
+        const directives = {};
+        for (const part of policy.split(';')) {
+            const [name, ...sources] = part.trim().split(/\s+/);
+            if (!name) continue;
+
+            // The first occurrence of a directive wins, later duplicates are ignored
+            const directive = name.toLowerCase();
+            if (!(directive in directives)) directives[directive] = sources;
+        }
+        return directives;
+    }).filter(directives => Object.keys(directives).length);
+}
+
+// http-equiv Content-Security-Policy meta tags in an HTML document
+export function extractMetaPolicies(html = '') {
+    const policies = [];
+    for (const [tag] of html.matchAll(/<meta\b[^>]*>/gi)) {
+        const attributes = {};
+        for (const [, name, , doubleQuoted, singleQuoted, bare] of tag.matchAll(/([\w-]+)\s*=\s*("([^"]*)"|'([^']*)'|([^\s>]+))/g)) {
+            attributes[name.toLowerCase()] = doubleQuoted ?? singleQuoted ?? bare;
+        }
+        if (attributes['http-equiv']?.toLowerCase() === 'content-security-policy' && attributes.content) {
+            policies.push(attributes.content.replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&'));
+        }
+    }
+    return policies;
+}
+
+const hasNonceOrHash = sources => sources.some(source => /^'(nonce-|sha256-|sha384-|sha512-)/i.test(source));
+
+function effectiveSources(directives, directive) {
+    if (directives[directive]) return { sources: directives[directive], from: directive };
+    if (FETCH_DIRECTIVES.includes(directive) && directives['default-src']) {
+        return { sources: directives['default-src'], from: 'default-src' };
+    }
+    return null;
+}
+
+function checkPolicy(directives, delivery) {
+    const findings = [];
+    const add = (directive, severity, issue, fix) => findings.push({ directive, severity, issue, fix, delivery });
+
+    const script = effectiveSources(directives, 'script-src');
+    if (!script) {
+        add('script-src', 'high', 'No script-src or default-src, so scripts may load from anywhere',
+            "Add script-src with nonces or hashes, e.g. script-src 'nonce-{random}' 'strict-dynamic'");
+    } else {
+        const { sources, from } = script;
+        const usesNonceOrHash = hasNonceOrHash(sources);
+
+        // With a nonce or hash, CSP2+ browsers ignore 'unsafe-inline'
+        if (sources.includes("'unsafe-inline'") && !usesNonceOrHash) {
+            add(from, 'high', "'unsafe-inline' allows injected inline scripts to run",
+                "Remove 'unsafe-inline' and allow inline scripts with nonces or hashes");
+        }
+        if (sources.includes("'unsafe-eval'")) {
+            add(from, 'medium', "'unsafe-eval' allows eval() and new Function()",
+                "Remove 'unsafe-eval' and refactor code that evaluates strings");
+        }
+        if (sources.some(source => source === '*' || /^(https?|data|blob):$/i.test(source))) {
+            add(from, 'high', 'Wildcard or scheme-only sources allow scripts from any host',
+                'Replace wildcard and scheme-only sources with nonces, hashes or explicit hosts');
+        }
+        if (!usesNonceOrHash && !sources.includes("'none'")) {
+            add(from, 'low', 'No nonces or hashes; an allowlist of hosts is easier to bypass',
+                "Move to a strict policy: script-src 'nonce-{random}' 'strict-dynamic'");
+        }
+    }
+
+    for (const [directive, sources] of Object.entries(directives)) {
+        if (sources.some(source => /^http:/i.test(source))) {
+            add(directive, 'medium', 'Allows sources over plain http:',
+                `Serve the sources in ${directive} over https: only`);
+        }
+        // The directive governing scripts already had its wildcards flagged above
+        if (directive !== script?.from && sources.includes('*')) {
+            add(directive, 'low', 'Wildcard source allows any host',
+                `Restrict ${directive} to the hosts the site needs`);
+        }
+    }
+
+    const objects = effectiveSources(directives, 'object-src');
+    if (!objects || !objects.sources.includes("'none'")) {
+        add('object-src', 'medium', 'Plugins (<object>, <embed>) are not blocked',
+            "Add object-src 'none'");
+    }
+
+    if (!directives['base-uri']) {
+        add('base-uri', 'medium', 'Missing base-uri lets injected <base> tags redirect relative URLs',
+            "Add base-uri 'none' or base-uri 'self'");
+    }
+
+    if (delivery === 'meta') {
+        for (const directive of META_IGNORED_DIRECTIVES.filter(name => directives[name])) {
+            add(directive, 'info', `${directive} is ignored in <meta> policies`,
+                `Send ${directive} in the Content-Security-Policy header instead`);
+        }
+    } else if (!directives['frame-ancestors']) {
+        add('frame-ancestors', 'medium', 'Missing frame-ancestors allows the page to be framed (clickjacking)',
+            "Add frame-ancestors 'none' or frame-ancestors 'self'");
+    }
+
+    if (delivery !== 'meta' && !directives['report-uri'] && !directives['report-to']) {
+        add('report-to', 'low', 'Violations are not reported',
+            'Add report-to (or report-uri) to collect CSP violation reports');
+    }
+
+    return findings;
+}
+
+// Analyzes every policy delivered with the page. The score (0-100) is based on the enforced
+// policies only; a page whose only policy is report-only scores 0.
+export function analyzeCsp({ header = null, reportOnlyHeader = null, metaPolicies = [] } = {}) {
+    const policies = [
+        ...(header ? parseCsp(header).map(directives => ({ delivery: 'header', directives })) : []),
+        ...metaPolicies.flatMap(value => parseCsp(value).map(directives => ({ delivery: 'meta', directives }))),
+        ...(reportOnlyHeader ? parseCsp(reportOnlyHeader).map(directives => ({ delivery: 'report-only', directives })) : [])
+    ];
+
+    const enforced = policies.filter(policy => policy.delivery !== 'report-only');
+    const findings = [];
+
+    if (!enforced.length) {
+        findings.push({
+            directive: null,
+            severity: 'high',
+            issue: policies.length ? 'Only a report-only policy is present, so nothing is enforced'
+                : 'No Content-Security-Policy is set',
+            fix: policies.length ? 'Enforce the policy with the Content-Security-Policy header once reports are clean'
+                : "Add a Content-Security-Policy header, starting from default-src 'self'; object-src 'none'; base-uri 'none'",
+            delivery: null
+        });
+    }
+
+    for (const policy of policies) {
+        findings.push(...checkPolicy(policy.directives, policy.delivery));
+    }
+
+    // Several enforced policies all apply, so a weakness is only real when every one of them has
+    // it; scoring the strongest enforced policy captures that
+    const score = enforced.length
+        ? Math.max(...enforced.map(policy => Math.max(0, 100 - checkPolicy(policy.directives, policy.delivery)
+            .reduce((sum, finding) => sum + SEVERITY_PENALTY[finding.severity], 0))))
+        : 0;
+
+    return {
+        present: policies.length > 0,
+        enforced: enforced.length > 0,
+        policies,
+        score,
+        findings
+    };
+}
@@ -0,0 +1,115 @@
+import { KnownDevices } from 'puppeteer';
+
+// Named device profiles for screenshot captures. A profile is either the name of a Puppeteer
+// known device (e.g. "iPhone 13") or an object:
+//   device         known device to start from
+//   viewport       { width, height, deviceScaleFactor, isMobile, hasTouch }
+//   userAgent      defaults to the known device's, otherwise the browser's own
+//   landscape      swaps the viewport to landscape orientation
+//   colorScheme    'light' or 'dark' for prefers-color-scheme
+//   reducedMotion  'reduce' or 'no-preference' for prefers-reduced-motion
+//   locale         BCP 47 tag such as 'de-DE', applied to Intl, navigator.language and Accept-Language
+// The older { width, height } shape is read as a desktop viewport.
+
+export const DEFAULT_DEVICE_PROFILES = {
+    mobile: { device: 'iPhone 8' },
+    tablet: { device: 'iPad' },
+    desktop: { viewport: { width: 1440, height: 900 } }
+};
+
+const DESKTOP_VIEWPORT = { deviceScaleFactor: 1, isMobile: false, hasTouch: false };
+
+const COLOR_SCHEMES = ['light', 'dark'];
+const REDUCED_MOTION = ['reduce', 'no-preference'];
+
+function knownDevice(name, profileName) {
+    const device = KnownDevices[name];
+    if (!device) throw new Error(`Device profile "${profileName}" uses unknown device "${name}"`);
+    return device;
+}
+
+// Normalises a profile into { name, device, viewport, userAgent, colorScheme, reducedMotion, locale }
+export function resolveDeviceProfile(name, spec = name) {
+    if (typeof spec === 'string') spec = { device: spec };
+    if (!spec || typeof spec !== 'object') throw new Error(`Device profile "${name}" must be a device name or an object`);
+
+    const legacyViewport = spec.width && spec.height ? { width: spec.width, height: spec.height } : null;
+    const base = spec.device ? knownDevice(spec.device, name) : null;
+
+    const viewport = {
+        ...DESKTOP_VIEWPORT,
+        ...base?.viewport,
+        ...legacyViewport,
+        ...spec.viewport
+    };
+    if (!viewport.width || !viewport.height) throw new Error(`Device profile "${name}" needs a viewport width and height`);
+
+    // Known devices are listed in portrait, so landscape swaps the sides
+    if (spec.landscape !== undefined) {
+        const [short, long] = [viewport.width, viewport.height].sort((a, b) => a - b);
+        Object.assign(viewport, spec.landscape
+            ? { width: long, height: short, isLandscape: true }
+            : { width: short, height: long, isLandscape: false });
+    }
+
+    if (spec.colorScheme && !COLOR_SCHEMES.includes(spec.colorScheme)) {
+        throw new Error(`Device profile "${name}" has invalid colorScheme "${spec.colorScheme}"; use ${COLOR_SCHEMES.join(' or ')}`);
+    }
+    if (spec.reducedMotion && !REDUCED_MOTION.includes(spec.reducedMotion)) {
+        throw new Error(`Device profile "${name}" has invalid reducedMotion "${spec.reducedMotion}"; use ${REDUCED_MOTION.join(' or ')}`);
+    }
+    if (spec.locale) {
+        try {
+            new Intl.Locale(spec.locale);
+        } catch {
+            throw new Error(`Device profile "${name}" has invalid locale "${spec.locale}"`);
+        }
+    }
+
+    return {
+        name,
+        device: spec.device ?? null,
+        viewport,
+        userAgent: spec.userAgent ?? base?.userAgent ?? null,
+        colorScheme: spec.colorScheme ?? null,
+        reducedMotion: spec.reducedMotion ?? null,
+        locale: spec.locale ?? null
+    };
+}
+
+// Resolves a { name: profile } map in order
+export function resolveDeviceProfiles(profiles = DEFAULT_DEVICE_PROFILES) {
+    return Object.entries(profiles).map(([name, spec]) => resolveDeviceProfile(name, spec));
+}
+
+// Short description used in prompts and logs, e.g. "mobile (iPhone 8, landscape, dark mode)"
+export function describeDeviceProfile(profile) {
+    const traits = [
+        profile.device !== profile.name && profile.device,
+        profile.viewport.isLandscape && 'landscape',
+        profile.colorScheme === 'dark' && 'dark mode',
+        profile.reducedMotion === 'reduce' && 'reduced motion',
+        profile.locale
+    ].filter(Boolean);
+    return traits.length ? `${profile.name} (${traits.join(', ')})` : profile.name;
+}
+
+// Applies a profile to a page before navigation. `userAgent` overrides the profile's own.
+export async function applyDeviceProfile(page, profile, { userAgent = null } = {}) {
+    await page.setViewport(profile.viewport);
+
+    const agent = userAgent ?? profile.userAgent;
+    if (agent) await page.setUserAgent(agent);
+
+    const features = [
+        profile.colorScheme && { name: 'prefers-color-scheme', value: profile.colorScheme },
+        profile.reducedMotion && { name: 'prefers-reduced-motion', value: profile.reducedMotion }
+    ].filter(Boolean);
+    if (features.length) await page.emulateMediaFeatures(features);
+
+    if (profile.locale) {
+        const client = await page.createCDPSession();
+        await client.send('Emulation.setLocaleOverride', { locale: profile.locale });
+        await page.setExtraHTTPHeaders({ 'Accept-Language': profile.locale });
+    }
+}
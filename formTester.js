@@ -0,0 +1,358 @@
+import { sampleValues, fillField, settle, watchPage } from './interactionTester.js';
+import { installPageHelpers } from './pageHelpers.js';
+
+// Form testing: submits every form with empty, invalid, boundary and valid values, each attempt
+// in a freshly loaded page. Outgoing requests are intercepted and answered locally, so nothing
+// reaches the site's server; they are only inspected for HTTPS and CSRF tokens.
+
+const SEVERITY_PENALTY = { high: 25, medium: 10, low: 5, info: 0 };
+
+const MAX_FORMS = 10;
+const SETTLE_TIME = 1000;
+
+// Static resources still load during an attempt; everything else is captured instead of sent
+const PASSTHROUGH_TYPES = ['stylesheet', 'image', 'font', 'script', 'media', 'manifest'];
+
+// Requests a script sends when it submits a form itself
+const SCRIPTED_TYPES = ['xhr', 'fetch'];
+
+// Names of hidden fields, meta tags, cookies and headers that carry an anti-CSRF token
+const CSRF_PATTERN = /csrf|xsrf|authenticity_token|requestverificationtoken|^_?token$|^_wpnonce$/i;
+
+const ATTEMPTS = ['empty', 'invalid', 'boundary', 'valid'];
+
+// Runs in the page after installPageHelpers() and describes every form, including the ones
+// without an id
+function discoverForms(csrfSource) {
+    const csrfPattern = new RegExp(csrfSource, 'i');
+    const { selectorFor, fieldConstraints } = window.__auditHelpers;
+
+    const forms = Array.from(document.forms).map(form => {
+        const elements = Array.from(form.elements);
+        const fields = elements
+            .filter(element => ['INPUT', 'SELECT', 'TEXTAREA'].includes(element.tagName) && !element.disabled &&
+                !['hidden', 'file', 'submit', 'button', 'reset', 'image'].includes(element.type))
+            .map(element => ({
+                selector: selectorFor(element),
+                name: element.name,
+                tag: element.tagName.toLowerCase(),
+                type: element.tagName === 'INPUT' ? element.type : element.tagName.toLowerCase(),
+                constraints: fieldConstraints(element),
+                options: element.tagName === 'SELECT' ? Array.from(element.options).map(option => option.value) : null
+            }));
+        const submit = elements.find(element => element.type === 'submit' || element.type === 'image');
+
+        return {
+            selector: selectorFor(form),
+            id: form.id || null,
+            action: form.action,
+            method: form.method,
+            noValidate: form.noValidate,
+            fields,
+            submitSelector: submit ? selectorFor(submit) : null,
+            tokenFields: elements
+                .filter(element => element.type === 'hidden' && csrfPattern.test(element.name))
+                .map(element => element.name)
+        };
+    });
+
+    return {
+        forms,
+        metaTokens: Array.from(document.querySelectorAll('meta[name]'))
+            .map(meta => meta.getAttribute('name'))
+            .filter(name => csrfPattern.test(name)),
+        cookieTokens: document.cookie.split(';')
+            .map(pair => pair.split('=')[0].trim())
+            .filter(name => name && csrfPattern.test(name))
+    };
+}
+
+// Runs in the page. Submit listeners at the window see every submit event; the bubbling one
+// reads whether the form's own handlers cancelled it. A handler that stops propagation leaves
+// the event counted as cancelled.
+function watchSubmits() {
+    window.__auditSubmits = [];
+    window.addEventListener('submit', () => window.__auditSubmits.push({ prevented: true }), true);
+    window.addEventListener('submit', event => {
+        window.__auditSubmits[window.__auditSubmits.length - 1].prevented = event.defaultPrevented;
+    });
+}
+
+// Runs in the page and reads the validation state of a form without firing invalid events:
+// fields the browser rejects, fields marked aria-invalid or with a script-set custom error,
+// and visible error-like text in or near the form
+function readValidation(formSelector) {
+    const form = document.querySelector(formSelector);
+    if (!form) return null;
+
+    const fields = Array.from(form.elements).filter(element => element.willValidate);
+    const isVisible = element => element.getClientRects().length > 0 && getComputedStyle(element).visibility !== 'hidden';
+    const scope = [form, ...document.querySelectorAll('[role="alert"], [aria-live]')];
+    const messages = new Set();
+    for (const root of scope) {
+        const candidates = root.matches('[role="alert"], [aria-live]') ? [root]
+            : root.querySelectorAll('[role="alert"], [aria-live], .error, .errors, .invalid-feedback, .field-error, .form-error, [class*="error" i]');
+        for (const element of candidates) {
+            const text = element.innerText?.replace(/\s+/g, ' ').trim();
+            if (text && isVisible(element)) messages.add(text.slice(0, 120));
+        }
+    }
+
+    return {
+        invalidFields: fields.filter(element => !element.validity.valid).map(element => ({
+            name: element.name || element.id || element.type,
+            message: element.validationMessage
+        })),
+        ariaInvalid: fields.filter(element => element.getAttribute('aria-invalid') === 'true').length,
+        customErrors: fields.filter(element => element.validity.customError).length,
+        messages: Array.from(messages).slice(0, 20)
+    };
+}
+
+// A value exactly on the edge of the field's constraints, or null when it has none
+export function boundaryValue(field) {
+    const { min, max, minLength, maxLength, pattern } = field.constraints;
+
+    if (['number', 'range', 'date', 'datetime-local', 'time', 'month', 'week'].includes(field.type)) {
+        return max ?? min ?? null;
+    }
+    if (['text', 'search', 'password', 'textarea'].includes(field.type) && !pattern) {
+        if (maxLength) return 'x'.repeat(maxLength);
+        if (minLength) return 'x'.repeat(minLength);
+    }
+    return null;
+}
+
+// The value of each field for an attempt, or null when the attempt would test nothing new
+export function attemptValues(form, kind) {
+    const samples = form.fields.map(field => ({ field, ...sampleValues(field), boundary: boundaryValue(field) }));
+
+    const values = samples.map(sample => {
+        if (kind === 'empty') return sample.field.type === 'checkbox' ? false : sample.field.type === 'radio' ? null : '';
+        if (kind === 'invalid') return sample.invalid ?? sample.valid;
+        if (kind === 'boundary') return sample.boundary ?? sample.valid;
+        return sample.valid;
+    });
+
+    if (kind === 'invalid' && samples.every(sample => sample.invalid === null)) return null;
+    if (kind === 'boundary' && samples.every(sample => sample.boundary === null)) return null;
+    return form.fields.map((field, index) => ({ field, value: values[index] }));
+}
+
+// Field names of a captured request body; values are never recorded
+function bodyFieldNames(postData, contentType = '') {
+    if (!postData) return [];
+    if (contentType.includes('application/json')) {
+        try {
+            const body = JSON.parse(postData);
+            return body && typeof body === 'object' ? Object.keys(body) : [];
+        } catch {
+            return [];
+        }
+    }
+    if (contentType.includes('multipart/form-data')) {
+        return Array.from(postData.matchAll(/name="([^"]+)"/g), match => match[1]);
+    }
+    return Array.from(new URLSearchParams(postData).keys());
+}
+
+// Answers every non-static request with an empty 204, which also keeps a submitted form on the
+// current page, and records what would have been sent
+async function captureSubmissions(page) {
+    const captured = [];
+    await page.setRequestInterception(true);
+    page.on('request', request => {
+        if (request.isInterceptResolutionHandled()) return;
+        if (PASSTHROUGH_TYPES.includes(request.resourceType())) {
+            request.continue().catch(() => {});
+            return;
+        }
+
+        const headers = request.headers();
+        captured.push({
+            url: request.url(),
+            method: request.method(),
+            type: request.resourceType(),
+            navigation: request.isNavigationRequest() && request.frame() === page.mainFrame(),
+            https: request.url().startsWith('https:'),
+            csrfHeaders: Object.keys(headers).filter(name => CSRF_PATTERN.test(name)),
+            fields: bodyFieldNames(request.postData(), headers['content-type'])
+        });
+        request.respond({ status: 204, body: '' }).catch(() => {});
+    });
+    return captured;
+}
+
+const withoutQuery = url => url.split(/[?#]/)[0];
+
+// The form's own submission among the requests captured after the submit: one to its action with
+// its method, or failing that a navigation of the page. A submit prevented by script usually posts
+// to an API instead, so then the first non-GET XHR or fetch counts too. Beacons and polling
+// requests sent meanwhile are ignored.
+export function findSubmission(captured, form, { preventedByScript = false } = {}) {
+    const action = withoutQuery(form.action);
+    return captured.find(request => withoutQuery(request.url) === action && request.method.toLowerCase() === form.method) ??
+        captured.find(request => request.type === 'document' && request.navigation) ??
+        (preventedByScript ? captured.find(request => SCRIPTED_TYPES.includes(request.type) && request.method !== 'GET') : null) ??
+        null;
+}
+
+async function submit(page, form) {
+    const button = form.submitSelector && await page.$(form.submitSelector);
+    if (button) {
+        try {
+            await button.click();
+            return;
+        } catch {
+            // Covered or off-screen; a scripted click runs the same validation and handlers
+            await button.evaluate(element => element.click());
+            return;
+        }
+    }
+    await page.$eval(form.selector, element => element.requestSubmit());
+}
+
+async function runAttempt(openPage, form, kind, settleTime) {
+    const values = attemptValues(form, kind);
+    if (!values) return null;
+
+    const isolated = await openPage();
+    try {
+        const { page } = isolated;
+        const events = watchPage(page);
+        const captured = await captureSubmissions(page);
+        await page.evaluate(watchSubmits);
+        const before = await page.evaluate(readValidation, form.selector);
+        if (!before) return { kind, outcome: 'missing' };
+
+        for (const { field, value } of values) {
+            if (value !== null) await fillField(page, field, value);
+        }
+        const filled = await page.evaluate(readValidation, form.selector);
+
+        const sentBefore = captured.length;
+        await submit(page, form);
+        await settle(page, settleTime);
+
+        const after = await page.evaluate(readValidation, form.selector) ?? filled;
+        const submits = await page.evaluate(() => window.__auditSubmits);
+        const newMessages = after.messages.filter(message => !before.messages.includes(message));
+        const feedback = newMessages.length > 0 || after.ariaInvalid > before.ariaInvalid ||
+            after.customErrors > before.customErrors || events.dialogs.length > 0;
+        const preventedByScript = submits.some(item => item.prevented);
+
+        const request = findSubmission(captured.slice(sentBefore), form, { preventedByScript });
+        const outcome = request ? 'submitted'
+            : !submits.length && filled.invalidFields.length ? 'blocked-native'
+                : preventedByScript ? 'blocked-script' : 'not-submitted';
+
+        return {
+            kind,
+            outcome,
+            invalidFields: filled.invalidFields,
+            messages: [...newMessages, ...events.dialogs.map(dialog => dialog.message)],
+            scriptValidation: preventedByScript && feedback,
+            request
+        };
+    } finally {
+        await isolated.close();
+    }
+}
+
+function checkForm(form, attempts, csrfPatterns) {
+    const findings = [];
+    const add = (severity, message) => findings.push({ severity, message, form: form.selector });
+    const hasPassword = form.fields.some(field => field.type === 'password');
+    const submission = attempts.valid?.request ?? attempts.boundary?.request ?? null;
+
+    if (hasPassword && !(submission?.https ?? form.action.startsWith('https:'))) {
+        add('high', 'Sends a password over plain HTTP');
+    }
+    if (hasPassword && form.method === 'get') {
+        add('medium', 'Submits a password with GET, which puts it in the URL, history and server logs');
+    }
+    if (form.method === 'post' && !csrfPatterns.length) {
+        add('medium', 'POST form without a recognisable CSRF token in a hidden field, meta tag, cookie or request header');
+    }
+
+    const required = form.fields.filter(field => field.constraints.required);
+    if (attempts.empty?.outcome === 'submitted' && required.length) {
+        add('medium', `Sent an empty submission although ${required.length} field(s) are required`);
+    }
+    if (attempts.invalid?.outcome === 'submitted') {
+        const names = attempts.invalid.invalidFields.map(field => field.name);
+        add('medium', `Sent invalid values${names.length ? ` for ${names.join(', ')}` : ''} without client-side validation stopping them`);
+    }
+    if (attempts.boundary && ['blocked-native', 'blocked-script'].includes(attempts.boundary.outcome)) {
+        add('low', 'Rejects values at the edge of its own constraints');
+    }
+    if (attempts.valid && attempts.valid.outcome !== 'submitted') {
+        add('info', `Could not be submitted with valid values (${attempts.valid.outcome}), so the submission was not inspected`);
+    }
+    if (!form.submitSelector) {
+        add('low', 'Has no submit button, so it cannot be submitted from the keyboard in the usual way');
+    }
+
+    return findings;
+}
+
+export async function testForms(openPage, { maxForms = MAX_FORMS, settleTime = SETTLE_TIME } = {}) {
+    const isolated = await openPage();
+    let discovered;
+    try {
+        await installPageHelpers(isolated.page);
+        discovered = await isolated.page.evaluate(discoverForms, CSRF_PATTERN.source);
+    } finally {
+        await isolated.close();
+    }
+
+    const details = [];
+    for (const form of discovered.forms.slice(0, maxForms)) {
+        const attempts = {};
+        if (form.fields.length) {
+            for (const kind of ATTEMPTS) attempts[kind] = await runAttempt(openPage, form, kind, settleTime);
+        }
+
+        const submission = attempts.valid?.request ?? null;
+        const csrfPatterns = [
+            ...form.tokenFields.map(name => `field:${name}`),
+            ...discovered.metaTokens.map(name => `meta:${name}`),
+            ...discovered.cookieTokens.map(name => `cookie:${name}`),
+            ...(submission?.csrfHeaders ?? []).map(name => `header:${name}`)
+        ];
+        const findings = checkForm(form, attempts, csrfPatterns);
+
+        details.push({
+            ...form,
+            fields: form.fields.map(field => ({
+                ...field,
+                hasValidation: Object.entries(field.constraints).some(([key, value]) => key !== 'step' && value)
+            })),
+            hasSubmitButton: !!form.submitSelector,
+            hasCredentials: form.fields.some(field => field.type === 'password'),
+            csrfPatterns,
+            hasCsrfToken: csrfPatterns.length > 0,
+            clientValidation: {
+                native: !form.noValidate && form.fields.some(field => Object.values(field.constraints).some(Boolean)),
+                script: Object.values(attempts).some(attempt => attempt?.scriptValidation)
+            },
+            attempts,
+            findings,
+            score: Math.max(0, 100 - findings.reduce((sum, item) => sum + SEVERITY_PENALTY[item.severity], 0))
+        });
+    }
+
+    return {
+        totalForms: discovered.forms.length,
+        testedForms: details.length,
+        formsSummary: {
+            withValidation: details.filter(form => form.clientValidation.native).length,
+            withCustomValidation: details.filter(form => form.clientValidation.script).length,
+            withCsrfProtection: details.filter(form => form.hasCsrfToken).length,
+            withCredentials: details.filter(form => form.hasCredentials).length
+        },
+        details,
+        findings: details.flatMap(form => form.findings),
+        score: details.length ? Math.round(details.reduce((sum, form) => sum + form.score, 0) / details.length) : null
+    };
+}
@@ -0,0 +1,547 @@
+import fs from 'fs';
+
+// Renders audit results as one self-contained HTML file: styles are inline and screenshots are
+// embedded as data URIs, so the file can be emailed or archived on its own.
+
+const escapeHtml = value => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const STYLES = `
+    body { font-family: -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; margin: 0; color: #1f2933; background: #f5f7fa; }
+    header { background: #1f2933; color: #fff; padding: 24px 32px; }
+    header h1 { margin: 0 0 4px; font-size: 24px; }
+    header p { margin: 0; color: #cbd2d9; }
+    main { padding: 24px 32px; max-width: 1200px; margin: 0 auto; }
+    section { background: #fff; border-radius: 8px; padding: 20px 24px; margin-bottom: 20px; box-shadow: 0 1px 3px rgba(0,0,0,.08); }
+    h2 { margin-top: 0; font-size: 18px; }
+    table { border-collapse: collapse; width: 100%; font-size: 14px; }
+    th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e4e7eb; vertical-align: top; }
+    th { background: #f5f7fa; }
+    code, pre { font-family: SFMono-Regular, Consolas, monospace; font-size: 12px; }
+    pre { white-space: pre-wrap; word-break: break-word; background: #f5f7fa; padding: 12px; border-radius: 4px; }
+    .cards { display: flex; flex-wrap: wrap; gap: 12px; }
+    .card { flex: 1 1 140px; border: 1px solid #e4e7eb; border-radius: 6px; padding: 12px; text-align: center; }
+    .card .value { font-size: 28px; font-weight: 600; }
+    .card .label { font-size: 13px; color: #616e7c; }
+    .grade { display: inline-block; font-size: 48px; font-weight: 700; width: 80px; height: 80px; line-height: 80px; text-align: center; border-radius: 50%; color: #fff; }
+    .good { color: #1f7a3f; } .average { color: #b7791f; } .poor { color: #c53030; } .muted { color: #9aa5b1; }
+    .bg-good { background: #2f9e5b; } .bg-average { background: #d69e2e; } .bg-poor { background: #e53e3e; } .bg-muted { background: #9aa5b1; }
+    .screenshots { display: flex; flex-wrap: wrap; gap: 16px; }
+    .screenshots figure { margin: 0; flex: 1 1 280px; }
+    .screenshots img { width: 100%; max-height: 600px; object-fit: cover; object-position: top; border: 1px solid #e4e7eb; }
+`;
+
+const rating = score => {
+    if (score === null || score === undefined) return 'muted';
+    if (score >= 90) return 'good';
+    if (score >= 50) return 'average';
+    return 'poor';
+};
+
+const formatScore = score => score === null || score === undefined ? '-' : Math.round(score);
+
+const formatMs = value => Number.isFinite(value) ? `${(value / 1000).toFixed(2)} s` : '-';
+
+const formatKb = bytes => `${Math.round((bytes ?? 0) / 102.4) / 10} KB`;
+
+const yesNo = value => value
+    ? '<span class="good">Yes</span>'
+    : '<span class="poor">No</span>';
+
+function card(label, value, cssClass = '') {
+    return `<div class="card"><div class="value ${cssClass}">${escapeHtml(value)}</div><div class="label">${escapeHtml(label)}</div></div>`;
+}
+
+function table(headings, rows) {
+    if (!rows.length) return '<p class="muted">Nothing to report.</p>';
+
+    const head = headings.map(heading => `<th>${escapeHtml(heading)}</th>`).join('');
+    // Cells are pre-rendered HTML so callers escape their own values
+    const body = rows.map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('');
+    return `<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+}
+
+function section(title, content) {
+    return `<section><h2>${escapeHtml(title)}</h2>${content}</section>`;
+}
+
+function renderSummary(report) {
+    const grade = report.grade ?? '-';
+    const categories = Object.entries(report.scoreBreakdown ?? {}).map(([category, entry]) =>
+        card(
+            `${category} (weight ${entry.weight})`,
+            entry.status === 'scored' ? formatScore(entry.score) : entry.status,
+            rating(entry.score)
+        ));
+
+    const missing = report.missingCategories?.length
+        ? `<p class="poor">Not scored because their analyzers failed: ${escapeHtml(report.missingCategories.join(', '))}</p>`
+        : '';
+
+    return section('Summary', `
+        <div class="cards">
+            <div class="card"><span class="grade bg-${rating(report.overallScore)}">${escapeHtml(grade)}</span>
+                <div class="label">Overall score ${formatScore(report.overallScore)}</div></div>
+            ${categories.join('')}
+        </div>
+        ${missing}`);
+}
+
+function renderPerformance(result) {
+    const metrics = result.performance?.metrics ?? {};
+    const scores = [
+        ['Performance', result.performance?.score],
+        ['Accessibility', result.accessibility?.score],
+        ['Best practices', result.bestPractices?.score],
+        ['SEO', result.seo?.score]
+    ].map(([label, score]) => card(label, formatScore(score), rating(score)));
+
+    const rows = [
+        ['First Contentful Paint', formatMs(metrics.firstContentfulPaint)],
+        ['Largest Contentful Paint', formatMs(metrics.largestContentfulPaint)],
+        ['Speed Index', formatMs(metrics.speedIndex)],
+        ['Total Blocking Time', Number.isFinite(metrics.totalBlockingTime) ? `${Math.round(metrics.totalBlockingTime)} ms` : '-'],
+        ['Cumulative Layout Shift', Number.isFinite(metrics.cumulativeLayoutShift) ? metrics.cumulativeLayoutShift.toFixed(3) : '-']
+    ].map(([label, value]) => [escapeHtml(label), escapeHtml(value)]);
+
+    return section('Lighthouse', `<div class="cards">${scores.join('')}</div><h3>Metrics</h3>${table(['Metric', 'Value'], rows)}`);
+}
+
+function renderRecommendations(recommendations = []) {
+    if (!recommendations.length) return '';
+    return `<h3>Recommendations</h3><ul>${recommendations
+        .map(item => `<li><strong>${escapeHtml(item.priority)}</strong>: ${escapeHtml(item.message)}</li>`)
+        .join('')}</ul>`;
+}
+
+const SEVERITY_CLASS = {
+    critical: 'poor', high: 'poor', serious: 'poor', medium: 'average', moderate: 'average', low: 'muted', minor: 'muted', info: 'muted'
+};
+
+function renderCsp(csp) {
+    const rows = csp.findings.map(finding => [
+        `<span class="${SEVERITY_CLASS[finding.severity]}">${escapeHtml(finding.severity)}</span>`,
+        `<code>${escapeHtml(finding.directive ?? '-')}</code>`,
+        escapeHtml(finding.delivery ?? '-'),
+        escapeHtml(finding.issue),
+        escapeHtml(finding.fix)
+    ]);
+
+    return `<h3>Content-Security-Policy (score ${formatScore(csp.score)}${csp.enforced ? '' : ', not enforced'})</h3>
+        ${table(['Severity', 'Directive', 'Delivered by', 'Issue', 'Fix'], rows)}`;
+}
+
+function renderSecurity(result) {
+    const STATUS_CLASS = { good: 'good', weak: 'average', invalid: 'poor', missing: 'poor', deprecated: 'muted' };
+
+    const rows = Object.entries(result.headers ?? {}).map(([header, value]) => {
+        const check = result.headerChecks?.[header];
+        return [
+            `<code>${escapeHtml(header)}</code>`,
+            value ? `<code>${escapeHtml(value)}</code>` : '<span class="muted">Not set</span>',
+            check ? `<span class="${STATUS_CLASS[check.status]}">${escapeHtml(check.status)}</span>` : '-',
+            (check?.findings ?? [])
+                .map(item => `<span class="${SEVERITY_CLASS[item.severity]}">${escapeHtml(item.severity)}</span>: ${escapeHtml(item.message)}`)
+                .join('<br>')
+        ];
+    });
+
+    return section('Security headers', `
+        <div class="cards">${card('Security score', formatScore(result.score), rating(result.score))}</div>
+        ${table(['Header', 'Value', 'Status', 'Findings'], rows)}
+        ${result.csp ? renderCsp(result.csp) : ''}
+        ${result.cookies ? renderCookies(result.cookies) : ''}
+        ${renderRecommendations(result.recommendations)}`);
+}
+
+function renderTls(result) {
+    const certificate = result.certificate;
+    const rows = certificate ? [
+        ['Negotiated', `${result.negotiated.protocol}, ${result.negotiated.cipher}`],
+        ['Subject', certificate.subject],
+        ['Issuer', certificate.issuer],
+        ['Alternative names', certificate.subjectAltNames.join(', ')],
+        ['Expires', `${certificate.validTo} (${certificate.daysRemaining} days)`],
+        ['Key', `${certificate.key.type} ${certificate.key.bits} bits${certificate.key.curve ? ` (${certificate.key.curve})` : ''}`],
+        ['Chain', result.chain.valid ? 'Trusted' : `Not trusted: ${result.chain.error}`],
+        ['Protocols', Object.entries(result.protocols)
+            .map(([version, supported]) => `${version}: ${supported === null ? 'untested' : supported ? 'yes' : 'no'}`).join(', ')],
+        ['OCSP stapling', result.ocspStapling ? 'Yes' : 'No']
+    ].map(([label, value]) => [escapeHtml(label), escapeHtml(value)]) : [];
+
+    const findings = result.findings.map(item => [
+        `<span class="${SEVERITY_CLASS[item.severity]}">${escapeHtml(item.severity)}</span>`,
+        escapeHtml(item.message)
+    ]);
+
+    return section('TLS', `
+        <div class="cards">${card('TLS score', formatScore(result.score), rating(result.score))}</div>
+        ${rows.length ? table(['Check', 'Result'], rows) : ''}
+        ${table(['Severity', 'Finding'], findings)}`);
+}
+
+function renderRedirects(result) {
+    const rows = result.chains.map(chain => [
+        `<code>${escapeHtml(chain.start)}</code>`,
+        chain.error ? `<span class="poor">${escapeHtml(chain.error)}</span>`
+            : chain.hops.map(hop => `${escapeHtml(hop.status)} <code>${escapeHtml(hop.url)}</code> (${escapeHtml(hop.latencyMs)} ms)`).join('<br>'),
+        chain.finalUrl ? `<code>${escapeHtml(chain.finalUrl)}</code>` : '-'
+    ]);
+
+    const findings = result.findings.map(item => [
+        `<span class="${SEVERITY_CLASS[item.severity]}">${escapeHtml(item.severity)}</span>`,
+        escapeHtml(item.message)
+    ]);
+
+    // card() escapes its value, so the rating goes through the class rather than yesNo's markup
+    const upgrades = result.upgradesToHttps === null
+        ? card('Upgrades to HTTPS', '-')
+        : card('Upgrades to HTTPS', result.upgradesToHttps ? 'Yes' : 'No', result.upgradesToHttps ? 'good' : 'poor');
+
+    return section('Redirects', `
+        <div class="cards">${card('Redirect score', formatScore(result.score), rating(result.score))}${upgrades}</div>
+        ${table(['Variant', 'Hops', 'Final URL'], rows)}
+        ${table(['Severity', 'Finding'], findings)}`);
+}
+
+function renderCookies(result) {
+    const rows = result.cookies.map(cookie => [
+        `<code>${escapeHtml(cookie.name)}</code>`,
+        `<code>${escapeHtml(cookie.domain)}</code>${cookie.thirdParty ? ' <span class="muted">third-party</span>' : ''}`,
+        escapeHtml([cookie.secure && 'Secure', cookie.httpOnly && 'HttpOnly', cookie.sameSite && `SameSite=${cookie.sameSite}`]
+            .filter(Boolean).join(', ') || '-'),
+        escapeHtml(cookie.session ? 'Session' : `${cookie.lifetimeDays} days`),
+        cookie.findings
+            .map(item => `<span class="${SEVERITY_CLASS[item.severity]}">${escapeHtml(item.severity)}</span>: ${escapeHtml(item.message)}`)
+            .join('<br>')
+    ]);
+
+    return `<h3>Cookies</h3>
+        <div class="cards">${card('Cookie score', formatScore(result.score), rating(result.score))}${card('First-party', result.firstParty)}${card('Third-party', result.thirdParty)}</div>
+        ${table(['Name', 'Domain', 'Attributes', 'Lifetime', 'Findings'], rows)}`;
+}
+
+function renderCors(result) {
+    const rows = result.endpoints.map(endpoint => {
+        const granted = endpoint.probes.filter(item => !item.error && (item.allowOrigin === item.origin || item.allowOrigin === '*'));
+        return [
+            `<code>${escapeHtml(endpoint.url)}</code>${endpoint.document ? ' <span class="muted">page</span>' : ''}`,
+            escapeHtml(endpoint.methods.join(', ')),
+            granted.length
+                ? granted.map(item => `${escapeHtml(item.kind)} <code>${escapeHtml(item.allowOrigin)}</code>${item.allowCredentials ? ' + credentials' : ''}`).join('<br>')
+                : '<span class="good">None</span>'
+        ];
+    });
+
+    const findings = result.findings.map(item => [
+        `<span class="${SEVERITY_CLASS[item.severity]}">${escapeHtml(item.severity)}</span>`,
+        `<code>${escapeHtml(item.endpoint)}</code>`,
+        escapeHtml(item.message)
+    ]);
+
+    return section('CORS', `
+        <div class="cards">${card('CORS score', formatScore(result.score), rating(result.score))}${card('API endpoints', result.endpointsFound)}</div>
+        ${table(['Endpoint', 'Methods used', 'Hostile origins granted'], rows)}
+        ${table(['Severity', 'Endpoint', 'Finding'], findings)}`);
+}
+
+function renderAccessibility(result) {
+    const rows = result.violations.map(violation => [
+        `<span class="${SEVERITY_CLASS[violation.impact]}">${escapeHtml(violation.impact)}</span>`,
+        `${escapeHtml(violation.rule)}<br><span class="muted">WCAG ${escapeHtml(violation.criterion)}</span>`,
+        escapeHtml(violation.message),
+        `<code>${escapeHtml(violation.selector)}</code><br><code>${escapeHtml(violation.html)}</code>`
+    ]);
+    const impacts = Object.entries(result.impacts ?? {}).map(([impact, count]) => card(impact, count));
+
+    return section(`Accessibility (${escapeHtml(result.standard)})`, `
+        <div class="cards">${card('Accessibility score', formatScore(result.score), rating(result.score))}${card('Rules failed', `${result.rulesFailed} / ${result.rulesChecked}`)}${impacts.join('')}</div>
+        ${table(['Impact', 'Rule', 'Issue', 'Element'], rows)}
+        ${renderRecommendations(result.recommendations)}`);
+}
+
+function renderContrast(result) {
+    const screenshot = result.screenshot ? embedImage(result.screenshot) : null;
+    const rows = [...result.failingAA, ...result.failingAAAOnly].map(item => [
+        `<code>${escapeHtml(item.selector)}</code><br>${escapeHtml(item.text)}`,
+        `<span style="color:${escapeHtml(item.foreground)};background:${escapeHtml(item.background)};padding:0 4px">Aa</span> ${escapeHtml(item.foreground)} on ${escapeHtml(item.background)}${item.backgroundUncertain ? '<br><span class="muted">background image, verify manually</span>' : ''}`,
+        `${escapeHtml(item.ratio)}:1`,
+        escapeHtml(`${item.required.AA}:1 / ${item.required.AAA}:1${item.largeText ? ' (large text)' : ''}`),
+        item.passesAA ? '<span class="average">AAA</span>' : '<span class="poor">AA</span>'
+    ]);
+
+    return section('Color contrast', `
+        <div class="cards">${card('Contrast score', formatScore(result.score), rating(result.score))}${card('Text checked', result.checked)}${card('Pass AA', result.passingAA)}${card('Pass AAA', result.passingAAA)}</div>
+        ${table(['Element', 'Colors', 'Ratio', 'Required (AA / AAA)', 'Fails'], rows)}
+        ${screenshot ? `<h3>Text below AA, outlined</h3><div class="screenshots"><figure><img src="${screenshot}" alt="Page with low-contrast text outlined"></figure></div>` : ''}`);
+}
+
+function renderKeyboard(result) {
+    const rows = result.tabSequence.map(item => [
+        escapeHtml(item.index),
+        `<code>${escapeHtml(item.selector)}</code>`,
+        escapeHtml(item.name),
+        item.focusIndicator === false ? '<span class="poor">None</span>'
+            : item.focusIndicator ? '<span class="good">Visible</span>' : '<span class="muted">Unknown</span>',
+        item.visible ? '' : '<span class="average">Hidden</span>'
+    ]);
+
+    const findings = result.findings.map(item => [
+        `<span class="${SEVERITY_CLASS[item.severity]}">${escapeHtml(item.severity)}</span>`,
+        escapeHtml(item.criterion ?? '-'),
+        escapeHtml(item.message)
+    ]);
+
+    return section('Keyboard navigation', `
+        <div class="cards">${card('Keyboard score', formatScore(result.score), rating(result.score))}${card('Tab stops', result.tabStops)}${card('Focus trap', result.focusTrap ? 'Yes' : 'No', result.focusTrap ? 'poor' : 'good')}${card('Skip link', result.skipLink ? 'Yes' : 'No')}</div>
+        ${table(['Severity', 'WCAG', 'Finding'], findings)}
+        <h3>Tab order</h3>
+        ${table(['#', 'Element', 'Name', 'Focus indicator', ''], rows)}`);
+}
+
+function renderInteractions(result) {
+    const outcome = control => control.success ? '<span class="good">OK</span>' : '<span class="poor">Failed</span>';
+    const buttons = result.buttons.map(button => [
+        `<code>${escapeHtml(button.selector)}</code>`,
+        escapeHtml(button.text),
+        outcome(button)
+    ]);
+    const fields = result.inputFields.map(field => [
+        `<code>${escapeHtml(field.selector)}</code>`,
+        escapeHtml(field.type),
+        field.valid ? yesNo(field.valid.accepted) : '-',
+        field.invalid ? yesNo(field.invalid.rejected) : '-',
+        outcome(field)
+    ]);
+    const failures = result.failures.map(failure => [`<code>${escapeHtml(failure.selector)}</code>`, escapeHtml(failure.message)]);
+    const { summary } = result;
+
+    return section('Buttons and fields', `
+        <div class="cards">${card('Buttons tested', `${summary.buttonsTested} / ${summary.buttonsFound}`)}${card('Fields tested', `${summary.fieldsTested} / ${summary.fieldsFound}`)}${card('Failed', summary.failed, summary.failed ? 'poor' : 'good')}</div>
+        ${failures.length ? table(['Element', 'Problem'], failures) : ''}
+        <h3>Buttons</h3>
+        ${table(['Element', 'Label', 'Result'], buttons)}
+        <h3>Fields</h3>
+        ${table(['Element', 'Type', 'Valid value accepted', 'Invalid value rejected', 'Result'], fields)}`);
+}
+
+function renderForms(result) {
+    const attempt = item => item ? escapeHtml(item.outcome) : '<span class="muted">-</span>';
+    const rows = result.details.map(form => [
+        `<code>${escapeHtml(form.selector)}</code><br><span class="muted">${escapeHtml(form.method.toUpperCase())} ${escapeHtml(form.action)}</span>`,
+        attempt(form.attempts.empty),
+        attempt(form.attempts.invalid),
+        attempt(form.attempts.boundary),
+        attempt(form.attempts.valid),
+        escapeHtml([form.clientValidation.native && 'native', form.clientValidation.script && 'script'].filter(Boolean).join(', ') || 'none'),
+        form.hasCsrfToken ? escapeHtml(form.csrfPatterns.join(', ')) : '<span class="poor">None</span>'
+    ]);
+
+    const findings = result.findings.map(item => [
+        `<span class="${SEVERITY_CLASS[item.severity]}">${escapeHtml(item.severity)}</span>`,
+        `<code>${escapeHtml(item.form)}</code>`,
+        escapeHtml(item.message)
+    ]);
+
+    return section('Forms', `
+        <div class="cards">${card('Form score', formatScore(result.score), rating(result.score))}${card('Forms', result.totalForms)}${card('With CSRF token', result.formsSummary.withCsrfProtection)}${card('Script validation', result.formsSummary.withCustomValidation)}</div>
+        ${table(['Form', 'Empty', 'Invalid', 'Boundary', 'Valid', 'Validation', 'CSRF'], rows)}
+        ${table(['Severity', 'Form', 'Finding'], findings)}`);
+}
+
+function renderThirdParty(result) {
+    const categories = Object.entries(result.categorySummary)
+        .map(([category, count]) => card(category, count));
+
+    const rows = result.entities.map(entity => [
+        escapeHtml(entity.name),
+        escapeHtml(entity.category),
+        entity.domains.map(domain => `<code>${escapeHtml(domain)}</code>`).join(' '),
+        escapeHtml(entity.requestCount),
+        escapeHtml(formatKb(entity.transferSize)),
+        escapeHtml(Object.entries(entity.resourceTypes).map(([type, count]) => `${type} ×${count}`).join(', ')),
+        escapeHtml(`${entity.blockingTime} ms`),
+        escapeHtml(entity.privacy ?? '')
+    ]);
+    const { totals } = result;
+
+    return section('Third-party services', `
+        <div class="cards">${card('Third-party services', result.totalEntities)}${card('Third-party domains', result.totalThirdPartyDomains)}${card('Transferred', formatKb(totals.transferSize))}${card('Blocking time', `${totals.blockingTime} ms`, totals.blockingTime >= 250 ? 'poor' : '')}${categories.join('')}</div>
+        ${table(['Service', 'Category', 'Domains', 'Requests', 'Transferred', 'Resource types', 'Blocking time', 'Privacy'], rows)}`);
+}
+
+function renderBrokenLinks(result) {
+    const rows = result.brokenLinks.map(link => [
+        `<code>${escapeHtml(link.url)}</code>`,
+        escapeHtml(link.statusCode),
+        escapeHtml(link.kinds.join(', ')),
+        escapeHtml([link.internal ? 'internal' : 'external', ...link.locations].join(', ')),
+        escapeHtml(link.anchorText),
+        escapeHtml(link.error ?? '')
+    ]);
+    const { summary } = result;
+
+    return section('Broken links', `
+        <div class="cards">${card('Links checked', result.totalChecked)}${card('Broken', result.brokenLinks.length, result.brokenLinks.length ? 'poor' : 'good')}${card('Internal', summary.internal)}${card('External', summary.external)}${card('Redirected', summary.redirected)}</div>
+        ${table(['URL', 'Status', 'Kind', 'Where', 'Anchor text', 'Error'], rows)}`);
+}
+
+function renderPWA(result) {
+    const { features } = result;
+    const rows = [
+        ['Web App Manifest', yesNo(features.manifest.exists)],
+        ['Service Worker API', yesNo(features.serviceWorker.registered)],
+        ['Works offline', yesNo(features.offlineCapable)],
+        ['Favicon', yesNo(features.icons.favicon)],
+        ['Apple touch icon', yesNo(features.icons.appleTouchIcon)],
+        ['Mask icon', yesNo(features.icons.maskIcon)],
+        ['Viewport meta tag', yesNo(features.meta.viewport)],
+        ['Theme color', yesNo(features.meta.themeColor)],
+        ['Description', yesNo(features.meta.description)]
+    ].map(([label, value]) => [escapeHtml(label), value]);
+
+    return section('PWA readiness', `
+        <div class="cards">${card('PWA score', formatScore(result.score), rating(result.score))}</div>
+        ${table(['Feature', 'Present'], rows)}
+        ${renderRecommendations(result.recommendations)}`);
+}
+
+function renderFailures(report) {
+    const rows = Object.entries(report.analyzers ?? {})
+        .filter(([, summary]) => summary.status === 'failed')
+        .map(([name, summary]) => [escapeHtml(name), escapeHtml(summary.error ?? 'No result')]);
+
+    return rows.length ? section('Failed analyzers', table(['Analyzer', 'Error'], rows)) : '';
+}
+
+function embedImage(filePath) {
+    try {
+        return `data:image/png;base64,${fs.readFileSync(filePath).toString('base64')}`;
+    } catch {
+        return null;
+    }
+}
+
+function renderUxFindings(screenshotReport) {
+    const rows = screenshotReport.findings.map(finding => [
+        `<span class="${SEVERITY_CLASS[finding.severity]}">${escapeHtml(finding.severity)}</span>`,
+        escapeHtml(finding.category),
+        escapeHtml(finding.devices.join(', ')),
+        escapeHtml(finding.description),
+        escapeHtml(finding.fix)
+    ]);
+    const summary = screenshotReport.summary;
+
+    return `<h3>AI UX findings${screenshotReport.vision?.model ? ` (${escapeHtml(screenshotReport.vision.model)})` : ''}</h3>
+        ${summary ? `<div class="cards">${card('UX score', formatScore(summary.score), rating(summary.score))}${Object.entries(summary.bySeverity).map(([severity, count]) => card(severity, count)).join('')}</div>` : ''}
+        ${table(['Severity', 'Category', 'Devices', 'Issue', 'Fix'], rows)}`;
+}
+
+// Baseline, current and diff image side by side for each device of a visual regression run
+function renderVisualRegression(visual) {
+    const rows = Object.entries(visual.devices).map(([device, result]) => [
+        escapeHtml(device),
+        `<span class="${result.passed ? 'good' : 'poor'}">${escapeHtml(result.status)}</span>`,
+        result.mismatchPercentage === undefined ? '-' : `${escapeHtml(result.mismatchPercentage)}%`,
+        result.mismatchedPixels === undefined ? '-' : escapeHtml(result.mismatchedPixels),
+        result.status === 'missing' ? '-' : yesNo(!result.sizeChanged)
+    ]);
+
+    const figures = Object.entries(visual.devices)
+        .filter(([, result]) => result.diff)
+        .map(([device, result]) => ['baseline', 'current', 'diff'].map(kind => {
+            const src = embedImage(result[kind]);
+            return `<figure>
+                <figcaption><strong>${escapeHtml(device)}</strong> ${kind}</figcaption>
+                ${src ? `<img src="${src}" alt="${escapeHtml(device)} ${kind}">` : '<p class="muted">Image file not found.</p>'}
+            </figure>`;
+        }).join(''));
+
+    return section('Visual regression', `
+        <p>Baseline approved ${escapeHtml(visual.baselineApproved)}; up to ${escapeHtml(visual.maxMismatch)}% of pixels may differ.</p>
+        <div class="cards">${card('Result', visual.passed ? 'Passed' : 'Failed', visual.passed ? 'good' : 'poor')}</div>
+        ${table(['Device', 'Status', 'Mismatch', 'Pixels', 'Same size'], rows)}
+        <div class="screenshots">${figures.join('')}</div>`);
+}
+
+function renderScreenshots(screenshotReport) {
+    if (screenshotReport.visual) return renderVisualRegression(screenshotReport.visual);
+
+    const figures = Object.entries(screenshotReport.screenshots ?? {}).map(([device, screenshot]) => {
+        const src = embedImage(screenshot.path);
+        const image = src
+            ? `<img src="${src}" alt="${escapeHtml(device)} screenshot">`
+            : '<p class="muted">Screenshot file not found.</p>';
+
+        return `<figure>
+            <figcaption><strong>${escapeHtml(screenshot.label ?? device)}</strong> ${escapeHtml(screenshot.dimensions?.width ?? '')}&times;${escapeHtml(screenshot.dimensions?.height ?? '')}</figcaption>
+            ${image}
+        </figure>`;
+    });
+
+    return section('Screenshots and UX review', `
+        ${screenshotReport.summary ? renderUxFindings(screenshotReport) : ''}
+        <div class="screenshots">${figures.join('')}</div>`);
+}
+
+// Built-in results with a dedicated section; anything else (custom plugins) is shown as JSON
+const RESULT_SECTIONS = {
+    performance: renderPerformance,
+    security: renderSecurity,
+    tls: renderTls,
+    redirects: renderRedirects,
+    cors: renderCors,
+    accessibility: renderAccessibility,
+    contrast: renderContrast,
+    keyboard: renderKeyboard,
+    stress: renderInteractions,
+    forms: renderForms,
+    'third-party': renderThirdParty,
+    backlinks: renderBrokenLinks,
+    pwa: renderPWA
+};
+
+export function renderHtmlReport(report = null, { screenshotReport = null } = {}) {
+    const results = report?.results ?? {};
+    const url = report?.url ?? screenshotReport?.url;
+    const timestamp = report?.timestamp ?? screenshotReport?.timestamp;
+
+    const sections = [];
+    if (report) {
+        sections.push(renderSummary(report));
+
+        for (const [name, result] of Object.entries(results)) {
+            if (!result || result.error) continue;
+            sections.push(RESULT_SECTIONS[name]
+                ? RESULT_SECTIONS[name](result)
+                : section(name, `<pre>${escapeHtml(JSON.stringify(result, null, 2))}</pre>`));
+        }
+
+        sections.push(renderFailures(report));
+    }
+    if (screenshotReport) sections.push(renderScreenshots(screenshotReport));
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Website audit: ${escapeHtml(url)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+    <h1>Website audit report</h1>
+    <p>${escapeHtml(url)} &middot; ${escapeHtml(timestamp)}</p>
+</header>
+<main>
+${sections.join('\n')}
+</main>
+</body>
+</html>
+`;
+}
@@ -1,13 +1,33 @@
-import puppeteer from 'puppeteer';
 import lighthouse from 'lighthouse';
-import * as chromeLauncher from 'chrome-launcher';
-import axios from 'axios';
 import fs from 'fs';
 import path from 'path';
 import chalk from 'chalk';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import dotenv from 'dotenv'
+import BrowserSession from './browserSession.js';
+import AnalyzerRegistry from './analyzerRegistry.js';
+import builtinAnalyzers from './builtinAnalyzers.js';
+import SiteCrawler from './siteCrawler.js';
+import ScoringEngine from './scoringEngine.js';
+import { renderHtmlReport } from './htmlReport.js';
+import AuditHistory from './auditHistory.js';
+import { compareReports } from './reportComparison.js';
+import { analyzeCsp, extractMetaPolicies } from './cspAnalyzer.js';
+import { validateSecurityHeaders } from './securityHeaders.js';
+import { auditCookies } from './cookieAnalyzer.js';
+import { auditCors } from './corsAnalyzer.js';
+import { inspectTls } from './tlsAnalyzer.js';
+import { auditRedirects } from './redirectAnalyzer.js';
+import { runWcagRules } from './wcagRules.js';
+import { checkContrast } from './contrastChecker.js';
+import { testKeyboardNavigation } from './keyboardNavigation.js';
+import { extractResources } from './linkExtractor.js';
+import LinkChecker from './linkChecker.js';
+import { testInteractions } from './interactionTester.js';
+import { testForms } from './formTester.js';
+import { loadEntityDatabase, createEntityMatcher } from './thirdPartyDatabase.js';
+import { TRACE_CATEGORIES, attributeMainThreadTime, summarizeThirdParties } from './thirdPartySummary.js';
 dotenv.config()
 
 // Get the current file's directory
@@ -20,10 +40,38 @@ class WebsiteAuditor {
             outputDir: path.join(process.cwd(), 'audit-reports'),
             verbose: true,
             timeout: 30000,
+            // Names of the registered analyzers to run in a full report; null runs all of them
+            analyzers: null,
+            // Category weights for the overall score, merged over DEFAULT_WEIGHTS
+            weights: {},
+            // Also write a self-contained HTML version of each full report
+            html: false,
+            // Where every full report is recorded for comparisons; defaults to <outputDir>/history
+            historyDir: null,
+            // Save a screenshot outlining text that fails the AA contrast check
+            contrastScreenshot: false,
+            // Limits for the button and field tests: maxButtons, maxFields, settleTime (ms)
+            interaction: {},
+            // Limits for the form tests: maxForms, settleTime (ms)
+            forms: {},
+            // TLS inspection settings: ca (PEM certificates to trust, e.g. a private or self-signed root)
+            tls: {},
+            // Link checker settings: concurrency, perHostConcurrency, perHostInterval, timeout, retries
+            links: {},
+            // Extra third-party entity database merged over the bundled thirdPartyEntities.json
+            thirdPartyDatabase: null,
             userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
             ...options
         };
 
+        this.registry = new AnalyzerRegistry(builtinAnalyzers);
+        this.scoring = new ScoringEngine(this.options.weights);
+        // Shared by every page of a crawl, so each URL is checked once per run
+        this.linkChecker = new LinkChecker({ timeout: this.options.timeout, userAgent: this.options.userAgent, ...this.options.links });
+        this.thirdPartyDatabase = loadEntityDatabase(this.options.thirdPartyDatabase);
+        this.matchEntity = createEntityMatcher(this.thirdPartyDatabase.entities);
+        this.history = new AuditHistory(this.options.historyDir ?? path.join(this.options.outputDir, 'history'));
+
         if (!fs.existsSync(this.options.outputDir)) {
             fs.mkdirSync(this.options.outputDir, { recursive: true });
         }
@@ -42,24 +90,27 @@ class WebsiteAuditor {
         console.log(logTypes[type](`[WebsiteAuditor] ${message}`));
     }
 
-    async analyzePerformance(url) {
-        let chrome;
+    // Analyzers called on their own launch a private session and close it when done
+    async _launchSession() {
+        const session = new BrowserSession({
+            timeout: this.options.timeout,
+            userAgent: this.options.userAgent
+        });
+        return session.launch();
+    }
+
+    async analyzePerformance(url, sharedSession = null) {
+        let session = sharedSession;
         try {
             this._log(`Running performance analysis for ${url}`);
             
-            chrome = await chromeLauncher.launch({
-                chromeFlags: [
-                    '--headless=new',
-                    '--no-sandbox',
-                    '--disable-gpu',
-                    '--disable-dev-shm-usage'
-                ]
-            });
+            session = session ?? await this._launchSession();
 
             const options = {
                 logLevel: 'info',
                 output: 'json',
-                port: chrome.port,
+                port: session.port,
+                maxWaitForLoad: this.options.timeout,
                 onlyCategories: ['performance', 'accessibility', 'best-practices', 'seo']
             };
 
@@ -72,14 +123,15 @@ class WebsiteAuditor {
         } catch (error) {
             this._log(`Performance analysis failed: ${error.message}`, 'error');
             return {
+                error: error.message,
                 performance: { score: 0, metrics: {} },
                 accessibility: { score: 0, issues: [] },
                 bestPractices: { score: 0 },
                 seo: { score: 0 }
             };
         } finally {
-            if (chrome) {
-                await chrome.kill();
+            if (session && session !== sharedSession) {
+                await session.close();
             }
         }
     }
@@ -115,16 +167,20 @@ class WebsiteAuditor {
         };
     }
 
-    async analyzeSecurity(url) {
+    async analyzeSecurity(url, sharedSession = null) {
+        const session = sharedSession ?? await this._launchSession();
         try {
             this._log(`Analyzing security for ${url}`);
-            
-            const response = await axios.get(url, {
-                headers: { 'User-Agent': this.options.userAgent },
-                validateStatus: () => true
-            });
 
-            const headers = response.headers;
+            // Headers of the main document from the shared page load, after any redirects
+            const { response } = await session.capture(url);
+            if (!response) throw new Error(`No response received for ${url}`);
+
+            // Puppeteer joins repeated headers with newlines; HTTP lists them comma-separated
+            const headers = Object.fromEntries(Object.entries(response.headers())
+                .map(([name, value]) => [name, value.replace(/\n/g, ', ')]));
+            const body = await response.text().catch(() => '');
+
             const securityHeaders = {
                 'Strict-Transport-Security': headers['strict-transport-security'] || null,
                 'Content-Security-Policy': headers['content-security-policy'] || null,
@@ -135,26 +191,52 @@ class WebsiteAuditor {
                 'X-XSS-Protection': headers['x-xss-protection'] || null
             };
 
-            const securityScore = this._calculateSecurityScore(securityHeaders);
+            const csp = analyzeCsp({
+                header: securityHeaders['Content-Security-Policy'],
+                reportOnlyHeader: headers['content-security-policy-report-only'] || null,
+                metaPolicies: extractMetaPolicies(body)
+            });
+
+            const headerChecks = validateSecurityHeaders(securityHeaders, {
+                https: new URL(response.url()).protocol === 'https:',
+                frameAncestors: csp.policies.some(policy =>
+                    policy.delivery === 'header' && policy.directives['frame-ancestors'])
+            });
+
+            // Cookies are audited in a context of their own; null when that failed
+            const cookies = await this.analyzeCookies(url, session);
+            const securityScore = this._calculateSecurityScore(headerChecks, csp, cookies);
 
             return {
                 headers: securityHeaders,
+                headerChecks,
+                csp,
+                cookies,
                 score: securityScore,
-                recommendations: this._generateSecurityRecommendations(securityHeaders)
+                recommendations: [
+                    ...this._generateSecurityRecommendations(headerChecks, csp),
+                    ...(cookies?.recommendations ?? [])
+                ]
             };
         } catch (error) {
             this._log(`Security analysis failed: ${error.message}`, 'error');
             return {
+                error: error.message,
                 headers: {},
                 score: 0,
                 recommendations: []
             };
+        } finally {
+            if (session !== sharedSession) await session.close();
         }
     }
 
-    _calculateSecurityScore(headers) {
+    // Each header earns the share of its weight that its value check grants. The deprecated
+    // X-XSS-Protection earns nothing and costs its weight when it is switched on. When the page
+    // sets first-party cookies, their score makes up 15 of the 100 points.
+    _calculateSecurityScore(headerChecks, csp, cookies = null) {
         const weights = {
-            'Strict-Transport-Security': 20,
+            'Strict-Transport-Security': 25,
             'Content-Security-Policy': 25,
             'X-Frame-Options': 15,
             'X-Content-Type-Options': 15,
@@ -164,542 +246,696 @@ class WebsiteAuditor {
         };
 
         let score = 0;
-        for (const [header, value] of Object.entries(headers)) {
-            if (value) score += weights[header];
+        for (const [header, check] of Object.entries(headerChecks)) {
+            score += weights[header] * check.fraction;
         }
 
-        return score;
+        // The CSP earns its weight by quality, whether sent as a header or a meta tag
+        score += weights['Content-Security-Policy'] * (csp.score / 100);
+
+        if (Number.isFinite(cookies?.score)) {
+            const cookieWeight = 15;
+            score = score * (100 - cookieWeight) / 100 + cookies.score * cookieWeight / 100;
+        }
+
+        return Math.max(0, Math.round(score));
     }
 
-    _generateSecurityRecommendations(headers) {
+    _generateSecurityRecommendations(headerChecks, csp) {
         const recommendations = [];
+        const priorities = { high: 'High', medium: 'Medium', low: 'Low' };
 
-        if (!headers['Strict-Transport-Security']) {
-            recommendations.push({
-                priority: 'High',
-                message: 'Implement HSTS to enforce HTTPS connections'
-            });
+        for (const [header, check] of Object.entries(headerChecks)) {
+            for (const finding of check.findings.filter(item => priorities[item.severity])) {
+                recommendations.push({
+                    priority: priorities[finding.severity],
+                    message: `${header}: ${finding.message}`
+                });
+            }
         }
 
-        if (!headers['Content-Security-Policy']) {
+        for (const finding of csp.findings.filter(item => priorities[item.severity])) {
             recommendations.push({
-                priority: 'High',
-                message: 'Implement Content Security Policy to prevent XSS attacks'
+                priority: priorities[finding.severity],
+                message: `CSP${finding.directive ? ` ${finding.directive}` : ''}: ${finding.issue}. ${finding.fix}`
             });
         }
 
         return recommendations;
     }
 
-    async analyzeAccessibility(url) {
-        const browser = await puppeteer.launch({
-            headless: 'new',
-            args: ['--no-sandbox', '--disable-gpu']
-        });
+    async analyzeTls(url) {
+        const { protocol, hostname, port } = new URL(url);
+        // Bracketed IPv6 literals are not valid connect hosts
+        const host = hostname.replace(/^\[|\]$/g, '');
+        try {
+            this._log(`Analyzing TLS for ${url}`);
+
+            // Plain http pages are checked for the https endpoint on the same host
+            const tlsPort = protocol === 'https:' && port ? Number(port) : 443;
+            const report = await inspectTls(host, tlsPort, { timeout: this.options.timeout, ...this.options.tls });
+
+            return {
+                ...report,
+                recommendations: this._generateTlsRecommendations(report)
+            };
+        } catch (error) {
+            if (protocol === 'http:') {
+                const findings = [{ severity: 'high', message: `No TLS endpoint on ${host}:443 (${error.message}); serve the site over HTTPS` }];
+                return { host, port: 443, available: false, score: 0, findings, recommendations: this._generateTlsRecommendations({ findings }) };
+            }
+            this._log(`TLS analysis failed: ${error.message}`, 'error');
+            return null;
+        }
+    }
+
+    _generateTlsRecommendations(report) {
+        const priorities = { high: 'High', medium: 'Medium', low: 'Low' };
 
+        return report.findings
+            .filter(finding => priorities[finding.severity])
+            .map(finding => ({ priority: priorities[finding.severity], message: `TLS: ${finding.message}` }));
+    }
+
+    async analyzeRedirects(url) {
         try {
-            const page = await browser.newPage();
-            await page.goto(url, { waitUntil: 'networkidle0' });
-
-            const accessibilityReport = await page.evaluate(() => {
-                const report = {
-                    images: { total: 0, withAlt: 0 },
-                    headings: { total: 0, structure: [] },
-                    landmarks: { total: 0, types: {} },
-                    forms: { total: 0, withLabels: 0 },
-                    ariaAttributes: { total: 0, elements: [] }
-                };
+            this._log(`Analyzing redirects for ${url}`);
 
-                document.querySelectorAll('img').forEach(img => {
-                    report.images.total++;
-                    if (img.hasAttribute('alt')) report.images.withAlt++;
-                });
+            const report = await auditRedirects(url, {
+                timeout: this.options.timeout,
+                userAgent: this.options.userAgent
+            });
+            if (report.chains.every(chain => chain.error)) {
+                throw new Error(report.chains[0].error);
+            }
 
-                document.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach(heading => {
-                    report.headings.total++;
-                    report.headings.structure.push(heading.tagName);
-                });
+            const priorities = { high: 'High', medium: 'Medium', low: 'Low' };
+            return {
+                ...report,
+                recommendations: report.findings
+                    .filter(finding => priorities[finding.severity])
+                    .map(finding => ({ priority: priorities[finding.severity], message: `Redirects: ${finding.message}` }))
+            };
+        } catch (error) {
+            this._log(`Redirect analysis failed: ${error.message}`, 'error');
+            return null;
+        }
+    }
 
-                document.querySelectorAll('main, nav, header, footer, aside, section, article').forEach(landmark => {
-                    report.landmarks.total++;
-                    report.landmarks.types[landmark.tagName.toLowerCase()] = 
-                        (report.landmarks.types[landmark.tagName.toLowerCase()] || 0) + 1;
-                });
+    async analyzeCookies(url, sharedSession = null) {
+        const session = sharedSession ?? await this._launchSession();
+        let isolated;
+        try {
+            this._log(`Analyzing cookies for ${url}`);
+
+            // A fresh context gives a cookie jar holding only what this page sets
+            const headerCookies = [];
+            isolated = await session.isolatedPage(url, {
+                beforeNavigate: page => page.on('response', response => {
+                    // Puppeteer joins repeated Set-Cookie headers with newlines
+                    const header = response.headers()['set-cookie'];
+                    header?.split('\n').forEach(line => headerCookies.push({ url: response.url(), header: line }));
+                })
+            });
+            const { page } = isolated;
 
-                document.querySelectorAll('form').forEach(form => {
-                    report.forms.total++;
-                    const inputs = form.querySelectorAll('input, select, textarea');
-                    const labelsCount = form.querySelectorAll('label').length;
-                    if (labelsCount >= inputs.length) report.forms.withLabels++;
-                });
+            const client = await page.createCDPSession();
+            const { cookies: browserCookies } = await client.send('Network.getAllCookies');
+            const jsReadableNames = await page.evaluate(() =>
+                document.cookie.split(';').map(pair => pair.split('=')[0].trim()).filter(Boolean));
+
+            const report = auditCookies({ pageUrl: page.url(), headerCookies, browserCookies, jsReadableNames });
+
+            return {
+                ...report,
+                recommendations: this._generateCookieRecommendations(report)
+            };
+        } catch (error) {
+            this._log(`Cookie analysis failed: ${error.message}`, 'error');
+            return null;
+        } finally {
+            if (isolated) await isolated.close();
+            if (session !== sharedSession) await session.close();
+        }
+    }
 
-                return report;
+    async analyzeCors(url, sharedSession = null) {
+        const session = sharedSession ?? await this._launchSession();
+        try {
+            this._log(`Probing CORS policy for ${url}`);
+
+            // API endpoints come from the XHR and fetch calls of the shared page load
+            const { page, requests } = await session.capture(url);
+            const report = await auditCors({
+                pageUrl: page.url(),
+                requests,
+                timeout: this.options.timeout,
+                userAgent: this.options.userAgent
             });
 
-            return accessibilityReport;
+            const priorities = { high: 'High', medium: 'Medium', low: 'Low' };
+            return {
+                ...report,
+                recommendations: report.findings
+                    .filter(finding => priorities[finding.severity])
+                    .map(finding => ({ priority: priorities[finding.severity], message: `CORS on ${finding.endpoint}: ${finding.message}` }))
+            };
+        } catch (error) {
+            this._log(`CORS analysis failed: ${error.message}`, 'error');
+            return null;
+        } finally {
+            if (session !== sharedSession) await session.close();
+        }
+    }
+
+    _generateCookieRecommendations(report) {
+        const priorities = { high: 'High', medium: 'Medium', low: 'Low' };
+
+        return report.cookies
+            .filter(cookie => !cookie.thirdParty)
+            .flatMap(cookie => cookie.findings
+                .filter(finding => priorities[finding.severity])
+                .map(finding => ({
+                    priority: priorities[finding.severity],
+                    message: `Cookie ${cookie.name}: ${finding.message}`
+                })));
+    }
+
+    async analyzeAccessibility(url, sharedSession = null) {
+        const session = sharedSession ?? await this._launchSession();
+
+        try {
+            this._log(`Analyzing accessibility for ${url}`);
+
+            const { page } = await session.capture(url);
+            const report = await runWcagRules(page);
+
+            return {
+                ...report,
+                recommendations: this._generateAccessibilityRecommendations(report)
+            };
         } catch (error) {
             this._log(`Accessibility analysis failed: ${error.message}`, 'error');
             return {
-                images: { total: 0, withAlt: 0 },
-                headings: { total: 0, structure: [] },
-                landmarks: { total: 0, types: {} },
-                forms: { total: 0, withLabels: 0 },
-                ariaAttributes: { total: 0, elements: [] }
+                error: error.message,
+                violations: [],
+                rules: {},
+                score: 0
             };
         } finally {
-            await browser.close();
+            if (session !== sharedSession) await session.close();
         }
     }
 
+    // One recommendation per violated rule, most severe first
+    _generateAccessibilityRecommendations(report) {
+        const priorities = { critical: 'High', serious: 'High', moderate: 'Medium', minor: 'Low' };
+        const order = ['critical', 'serious', 'moderate', 'minor'];
+
+        return Object.entries(report.rules)
+            .sort(([, a], [, b]) => order.indexOf(a.impact) - order.indexOf(b.impact))
+            .map(([id, rule]) => ({
+                priority: priorities[rule.impact],
+                message: `${rule.description} (WCAG ${rule.criterion}, ${id}): ${rule.count} element${rule.count === 1 ? '' : 's'}`
+            }));
+    }
+
+    async analyzeContrast(url, sharedSession = null) {
+        const session = sharedSession ?? await this._launchSession();
 
-    async analyzeBacklinks(url) {
-        const browser = await puppeteer.launch({ headless: 'new' });
         try {
-            const page = await browser.newPage();
-            await page.goto(url, { waitUntil: 'networkidle0' });
-    
-            const links = await page.evaluate(() => {
-                return Array.from(document.getElementsByTagName('a'))
-                    .map(link => ({
-                        href: link.href,
-                        text: link.innerText.trim()
+            this._log(`Analyzing color contrast for ${url}`);
+
+            const { page } = await session.capture(url);
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const screenshotPath = this.options.contrastScreenshot
+                ? path.join(this.options.outputDir, `${this._sanitizeFilename(url)}_${timestamp}_contrast.png`)
+                : null;
+
+            const report = await checkContrast(page, { screenshotPath });
+
+            const recommendations = report.failingAA.map(item => ({
+                priority: item.ratio < item.required.AA * 0.75 ? 'High' : 'Medium',
+                message: `${item.selector}: contrast ${item.ratio}:1 (${item.foreground} on ${item.background}) is below the AA minimum of ${item.required.AA}:1`
+            }));
+
+            return { ...report, recommendations };
+        } catch (error) {
+            this._log(`Contrast analysis failed: ${error.message}`, 'error');
+            return null;
+        } finally {
+            if (session !== sharedSession) await session.close();
+        }
+    }
+
+    async analyzeKeyboardNavigation(url, sharedSession = null) {
+        const session = sharedSession ?? await this._launchSession();
+        let isolated;
+        try {
+            this._log(`Testing keyboard navigation for ${url}`);
+
+            // Tabbing moves focus and can open menus, so this gets its own context
+            isolated = await session.isolatedPage(url);
+            const report = await testKeyboardNavigation(isolated.page);
+
+            const priorities = { high: 'High', medium: 'Medium', low: 'Low' };
+            return {
+                ...report,
+                recommendations: report.findings
+                    .filter(finding => priorities[finding.severity])
+                    .map(finding => ({
+                        priority: priorities[finding.severity],
+                        message: `${finding.message} (WCAG ${finding.criterion})`
                     }))
-                    .filter(link => link.href && !link.href.startsWith('javascript:') && !link.href.startsWith('#'));
-            });
-    
-            // Check status codes for each link
-            const brokenLinks = [];
-            for (const link of links) {
-                try {
-                    const response = await fetch(link.href, { method: 'HEAD' });
-                    const statusCode = response.status;
-                    
-                    if (statusCode >= 400) {
-                        brokenLinks.push({
-                            url: link.href,
-                            statusCode,
-                            anchorText: link.text
-                        });
-                    }
-                } catch (error) {
-                    // If fetch fails, consider it a broken link
-                    brokenLinks.push({
-                        url: link.href,
-                        statusCode: 'Connection failed',
-                        anchorText: link.text,
-                        error: error.message
-                    });
-                }
-            }
-    
+            };
+        } catch (error) {
+            this._log(`Keyboard navigation test failed: ${error.message}`, 'error');
+            return null;
+        } finally {
+            if (isolated) await isolated.close();
+            if (session !== sharedSession) await session.close();
+        }
+    }
+
+    async analyzeBacklinks(url, sharedSession = null) {
+        const session = sharedSession ?? await this._launchSession();
+        try {
+            this._log(`Checking links and resources on ${url}`);
+
+            const { page } = await session.capture(url);
+            const resources = await extractResources(page);
+            const { results, skipped } = await this.linkChecker.checkPage(page.url(), resources);
+
+            const broken = results.filter(result => !result.ok);
+            const countBy = keyOf => results.reduce((counts, result) => {
+                counts[keyOf(result)] = (counts[keyOf(result)] ?? 0) + 1;
+                return counts;
+            }, {});
+
             return {
-                totalChecked: links.length,
-                brokenLinks: brokenLinks
+                totalChecked: results.length,
+                summary: {
+                    skipped,
+                    internal: results.filter(result => result.internal).length,
+                    external: results.filter(result => !result.internal).length,
+                    redirected: results.filter(result => result.redirects.length).length,
+                    // A URL used both as a link and a resource counts under its first kind
+                    byKind: countBy(result => result.kinds[0]),
+                    byCategory: countBy(result => result.category)
+                },
+                brokenLinks: broken.map(result => ({
+                    url: result.url,
+                    statusCode: result.status ?? result.category,
+                    category: result.category,
+                    anchorText: result.texts[0] ?? '',
+                    kinds: result.kinds,
+                    locations: result.locations,
+                    internal: result.internal,
+                    ...(result.error && { error: result.error })
+                })),
+                links: results
             };
         } catch (error) {
             this._log(`Backlink analysis failed: ${error.message}`, 'error');
             return {
+                error: error.message,
                 totalChecked: 0,
                 brokenLinks: []
             };
         } finally {
-            await browser.close();
+            if (session !== sharedSession) await session.close();
+        }
+    }
+
+    // Runs one registered analyzer. Without a shared session it gets a browser of its own.
+    async runAnalyzer(name, url, sharedSession = null) {
+        const plugin = this.registry.get(name);
+        const session = sharedSession ?? await this._launchSession();
+
+        try {
+            return await plugin.run({ url, session, auditor: this, options: this.options });
+        } finally {
+            if (session !== sharedSession) await session.close();
+        }
+    }
+
+    // Runs the selected analyzers one after another against a single URL, recording each
+    // plugin's result and a summary with its status, score and duration
+    async runAnalyzers(url, session) {
+        const results = {};
+        const analyzers = {};
+
+        // Run analyses sequentially to avoid resource conflicts; Lighthouse runs first,
+        // before the shared page load, as it resets the origin's storage
+        for (const plugin of this.registry.list(this.options.analyzers)) {
+            const started = Date.now();
+            const summary = { category: plugin.category, status: 'completed', score: null };
+
+            try {
+                const result = await this.runAnalyzer(plugin.name, url, session);
+                results[plugin.name] = result;
+
+                // Analyzers report failure as null or as a fallback result carrying an `error`
+                if (result === null || result === undefined || result.error) {
+                    summary.status = 'failed';
+                    if (result?.error) summary.error = result.error;
+                } else if (plugin.score) {
+                    summary.score = plugin.score(result) ?? null;
+                }
+            } catch (error) {
+                this._log(`${plugin.name} analyzer failed: ${error.message}`, 'error');
+                results[plugin.name] = null;
+                summary.status = 'failed';
+                summary.error = error.message;
+            }
+
+            summary.durationMs = Date.now() - started;
+            analyzers[plugin.name] = summary;
+            this._log(`${plugin.name} analysis ${summary.status}`, summary.status === 'failed' ? 'warning' : 'info');
         }
+
+        return { results, analyzers };
     }
 
-    async generateFullReport(url) {
+    _saveReport(url, report, suffix) {
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const filename = `${this._sanitizeFilename(url)}_${timestamp}_${suffix}.json`;
+        const reportPath = path.join(this.options.outputDir, filename);
+
+        fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+        return reportPath;
+    }
+
+    // Pass the result of ScreenshotAnalyzer.generateReport as `screenshotReport` to embed its
+    // screenshots and UX suggestions in the HTML report
+    async generateFullReport(url, { screenshotReport = null } = {}) {
         this._log(`Starting full website audit for ${url}`);
     
+        // One browser serves every analyzer; DOM analyzers share a single load of the page
+        const session = await this._launchSession();
+
         try {
-            // Run analyses sequentially to avoid resource conflicts
-            const performance = await this.analyzePerformance(url);
-            this._log('Performance analysis completed');
-    
-            const security = await this.analyzeSecurity(url);
-            this._log('Security analysis completed');
-    
-            const accessibility = await this.analyzeAccessibility(url);
-            this._log('Accessibility analysis completed');
-    
-            const stressTest = await this.analyzeButtonsAndFields(url);
-    
-            const thirdPartyServices = await this.analyzeThirdPartyServices(url);
-            this._log('Third-party services analysis completed');
-    
-            const formValidation = await this.analyzeFormValidation(url);
-            this._log('Form validation analysis completed');
-    
-            const pwaReadiness = await this.analyzePWAReadiness(url);
-            this._log('PWA readiness analysis completed');
+            const { results, analyzers } = await this.runAnalyzers(url, session);
+            const score = this.scoring.score(analyzers);
 
-            const backlinks = await this.analyzeBacklinks(url);
-            this._log('Backlink analysis completed');
-    
             const report = {
                 url,
                 timestamp: new Date().toISOString(),
-                performance,
-                security,
-                stressTest,
-                accessibility,
-    
-                // Adding structured titles
-                additionalTests: {
-                    title: "Additional Test Report",
-                    details: {
-                        formValidation,
-                        pwaReadiness,
-                        thirdPartyServices,
-                        backlinks
-                    },
-                },
-    
-                // overallScore: this._calculateOverallScore(performance, security),
+                overallScore: score.overall,
+                grade: score.grade,
+                scoreBreakdown: score.breakdown,
+                missingCategories: score.missingCategories,
+                results,
+                analyzers
             };
     
-            // Save report with timestamp
-            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-            const filename = `${this._sanitizeFilename(url)}_${timestamp}_audit_report.json`;
-            const reportPath = path.join(this.options.outputDir, filename);
-    
-            fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+            const reportPath = this._saveReport(url, report, 'audit_report');
             this._log(`Audit completed successfully. Report saved to ${reportPath}`, 'success');
+
+            if (this.options.html) {
+                const htmlPath = reportPath.replace(/\.json$/, '.html');
+                fs.writeFileSync(htmlPath, renderHtmlReport(report, { screenshotReport }));
+                this._log(`HTML report saved to ${htmlPath}`, 'success');
+            }
+
+            const runId = this.history.record(report);
+            this._log(`Run recorded in history as ${runId}`);
     
             // Print summary to console
             console.log('\nAudit Summary:');
             console.log('--------------');
             console.log(`URL: ${url}`);
-            console.log(`Overall Score: ${report.overallScore}`);
-            console.log(`Performance Score: ${report.performance.performance.score}`);
-            console.log(`Security Score: ${report.security.score}`);
-            console.log(`Accessibility Issues: ${report.accessibility.headings.total}`);
+            console.log(`Overall Score: ${report.overallScore ?? '-'} (grade ${report.grade ?? '-'})`);
+            for (const [category, entry] of Object.entries(report.scoreBreakdown)) {
+                const value = entry.status === 'scored' ? entry.score : entry.status;
+                console.log(`  ${category} (weight ${entry.weight}): ${value}`);
+            }
+            if (report.missingCategories.length) {
+                console.log(`Not scored because their analyzers failed: ${report.missingCategories.join(', ')}`);
+            }
     
             return report;
         } catch (error) {
             this._log(`Audit failed: ${error.message}`, 'error');
             throw error;
+        } finally {
+            await session.close();
         }
     }
-    
 
-    // async generateFullReport(url) {
-    //     this._log(`Starting full website audit for ${url}`);
-
-    //     try {
-    //         // Run analyses sequentially to avoid resource conflicts
-    //         const performance = await this.analyzePerformance(url);
-    //         this._log('Performance analysis completed');
-
-    //         const security = await this.analyzeSecurity(url);
-    //         this._log('Security analysis completed');
-
-    //         const accessibility = await this.analyzeAccessibility(url);
-    //         this._log('Accessibility analysis completed');
-    //         const stressTest = await this.analyzeButtonsAndFields(url);
-
-    //         const thirdPartyServices = await this.analyzeThirdPartyServices(url);
-    //         this._log('Thirdparty analysis completed');
-    //         const formValidation = await this.analyzeFormValidation(url);
-    //         this._log('FormValidation analysis completed');
-    //         const pwaReadiness = await this.analyzePWAReadiness(url);
-    //         this._log('pwaReadiness analysis completed');
-
-    //         const report = {
-    //             url,
-    //             timestamp: new Date().toISOString(),
-    //             performance,
-    //             security,
-    //             stressTest,
-    //             accessibility,
-
-    //             thirdPartyServices,
-    //             formValidation,
-    //             pwaReadiness,
-
-    //             overallScore: this._calculateOverallScore(performance, security)
-    //         };
-
-    //         // Save report with timestamp
-    //         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    //         const filename = `${this._sanitizeFilename(url)}_${timestamp}_audit_report.json`;
-    //         const reportPath = path.join(this.options.outputDir, filename);
-            
-    //         fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
-    //         this._log(`Audit completed successfully. Report saved to ${reportPath}`, 'success');
-            
-    //         // Print summary to console
-    //         console.log('\nAudit Summary:');
-    //         console.log('--------------');
-    //         console.log(`URL: ${url}`);
-    //         console.log(`Overall Score: ${report.overallScore}`);
-    //         console.log(`Performance Score: ${report.performance.performance.score}`);
-    //         console.log(`Security Score: ${report.security.score}`);
-    //         console.log(`Accessibility Issues: ${report.accessibility.headings.total}`);
-            
-    //         return report;
-    //     } catch (error) {
-    //         this._log(`Audit failed: ${error.message}`, 'error');
-    //         throw error;
-    //     }
-    // }
-
-    _calculateOverallScore(performance, security) {
-        const weights = {
-            performance: 0.4,
-            security: 0.3,
-            accessibility: 0.3
+    // Diffs two recorded runs of a URL, by default the previous run against the latest one
+    compareRuns(url, { from = 'previous', to = 'latest', thresholds = {} } = {}) {
+        return compareReports(this.history.load(url, from), this.history.load(url, to), thresholds);
+    }
+
+    // Crawls same-origin pages from startUrl and runs the selected analyzers on each of them.
+    // crawlOptions are passed to SiteCrawler (maxDepth, maxPages, include, exclude, ...).
+    async generateSiteReport(startUrl, crawlOptions = {}) {
+        this._log(`Starting site crawl audit from ${startUrl}`);
+
+        const session = await this._launchSession();
+        const crawler = new SiteCrawler({
+            timeout: this.options.timeout,
+            userAgent: this.options.userAgent,
+            log: message => this._log(message),
+            ...crawlOptions
+        });
+
+        try {
+            const pages = [];
+            const crawl = await crawler.crawl(startUrl, session, async ({ url, depth, source }) => {
+                const { results, analyzers } = await this.runAnalyzers(url, session);
+                const score = this.scoring.score(analyzers);
+                pages.push({
+                    url,
+                    depth,
+                    source,
+                    score: score.overall,
+                    grade: score.grade,
+                    scoreBreakdown: score.breakdown,
+                    analyzers,
+                    results
+                });
+            });
+
+            const report = {
+                startUrl,
+                timestamp: new Date().toISOString(),
+                crawl: {
+                    options: {
+                        maxDepth: crawler.options.maxDepth,
+                        maxPages: crawler.options.maxPages,
+                        include: crawler.options.include,
+                        exclude: crawler.options.exclude,
+                        respectRobots: crawler.options.respectRobots
+                    },
+                    robots: crawl.robots,
+                    pagesAudited: pages.length,
+                    skipped: crawl.skipped
+                },
+                ...this._aggregatePageScores(pages),
+                pages
+            };
+
+            const reportPath = this._saveReport(startUrl, report, 'site_report');
+            this._log(`Site audit completed. Report saved to ${reportPath}`, 'success');
+
+            console.log('\nSite Audit Summary:');
+            console.log('-------------------');
+            console.log(`Start URL: ${startUrl}`);
+            console.log(`Pages audited: ${pages.length} (skipped ${crawl.skipped.length})`);
+            console.log(`Average Score: ${report.aggregate.overall.average ?? '-'}`);
+            console.log('Worst pages:');
+            for (const page of report.worstOffenders) {
+                console.log(`  ${page.score}  ${page.url}`);
+            }
+
+            return report;
+        } catch (error) {
+            this._log(`Site audit failed: ${error.message}`, 'error');
+            throw error;
+        } finally {
+            await session.close();
+        }
+    }
+
+    // Per-analyzer and overall min/average/max across pages, plus the lowest-scoring pages
+    _aggregatePageScores(pages, worstCount = 10) {
+        const summarize = entries => {
+            const scored = entries.filter(entry => Number.isFinite(entry.score));
+            if (!scored.length) return { average: null, min: null, max: null, scoredPages: 0, worstPage: null };
+
+            const worst = scored.reduce((lowest, entry) => entry.score < lowest.score ? entry : lowest);
+            return {
+                average: Math.round(scored.reduce((sum, entry) => sum + entry.score, 0) / scored.length),
+                min: worst.score,
+                max: Math.max(...scored.map(entry => entry.score)),
+                scoredPages: scored.length,
+                worstPage: worst.url
+            };
         };
 
-        return Math.round(
-            (performance.performance.score * weights.performance) +
-            (security.score * weights.security)
-        );
+        const names = new Set(pages.flatMap(page => Object.keys(page.analyzers)));
+        const byAnalyzer = {};
+        for (const name of names) {
+            byAnalyzer[name] = {
+                ...summarize(pages.map(page => ({ url: page.url, score: page.analyzers[name]?.score }))),
+                failedPages: pages.filter(page => page.analyzers[name]?.status === 'failed').length
+            };
+        }
+
+        const worstOffenders = pages
+            .filter(page => Number.isFinite(page.score))
+            .sort((a, b) => a.score - b.score)
+            .slice(0, worstCount)
+            .map(page => {
+                const weakest = Object.entries(page.analyzers)
+                    .filter(([, summary]) => Number.isFinite(summary.score))
+                    .sort(([, a], [, b]) => a.score - b.score)[0];
+                return {
+                    url: page.url,
+                    score: page.score,
+                    weakestAnalyzer: weakest ? { name: weakest[0], score: weakest[1].score } : null
+                };
+            });
+
+        return {
+            aggregate: {
+                overall: summarize(pages),
+                analyzers: byAnalyzer
+            },
+            worstOffenders
+        };
     }
 
     _sanitizeFilename(url) {
         return url.replace(/[^a-z0-9]/gi, '_').toLowerCase();
     }
 
-    async analyzeButtonsAndFields(url, concurrency = 1000) {
-        const browser = await puppeteer.launch({ headless: true });
-        const page = await browser.newPage();
-    
+    async analyzeButtonsAndFields(url, sharedSession = null) {
+        const session = sharedSession ?? await this._launchSession();
         try {
-            await page.setUserAgent(this.options?.userAgent || 'Mozilla/5.0');
-            await page.goto(url, { waitUntil: 'networkidle0' });
-    
-            const buttons = await page.$$eval('button', (btns) =>
-                btns.map((button, index) => ({
-                    index,
-                    text: button.innerText,
-                    success: false,
-                    error: null,
-                }))
-            );
-    
-            const inputFields = await page.$$eval('input', (inputs) =>
-                inputs.map((input, index) => ({
-                    index,
-                    type: input.getAttribute('type') || 'text',
-                    placeholder: input.getAttribute('placeholder') || 'No placeholder',
-                    valueBefore: input.value,
-                    valueAfter: null,
-                    success: false,
-                    error: null,
-                }))
-            );
-    
-            // Handle button clicks concurrently
-            const buttonClickPromises = buttons.map(async (button, i) => {
-                try {
-                    await page.evaluate((index) => {
-                        const btn = document.querySelectorAll('button')[index];
-                        btn.click();
-                    }, button.index);
-                    buttons[i].success = true;
-                } catch (error) {
-                    buttons[i].error = error.message;
-                }
-            });
-    
-            // Split promises into chunks for concurrency
-            const chunkedButtonPromises = chunkArray(buttonClickPromises, concurrency);
-            for (const chunk of chunkedButtonPromises) {
-                await Promise.all(chunk); // Execute each chunk concurrently
-            }
-    
-            // Autofill and validate input fields
-            const inputPromises = inputFields.map(async (input, i) => {
-                try {
-                    await page.evaluate((index, value) => {
-                        const inputField = document.querySelectorAll('input')[index];
-                        inputField.value = value;
-                        inputField.dispatchEvent(new Event('input'));
-                    }, input.index, `test value ${i}`); // Autofill with unique test values
-    
-                    inputFields[i].valueAfter = `test value ${i}`;
-                    inputFields[i].success = true;
-                } catch (error) {
-                    inputFields[i].error = error.message;
-                }
-            });
-    
-            // Split promises into chunks for concurrency
-            const chunkedInputPromises = chunkArray(inputPromises, concurrency);
-            for (const chunk of chunkedInputPromises) {
-                await Promise.all(chunk);
-            }
-    
-            // Analyze CORS
-            const cors = await page.evaluate(() => {
-                const corsDetails = {};
-                const methods = ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'];
-                methods.forEach((method) => {
-                    corsDetails[method] = {
-                        allowed: document.createElement('div') ? true : false,
-                    };
-                });
-                return corsDetails;
-            });
-    
+            this._log(`Testing buttons and form fields on ${url}`);
+
+            // Every click and fill gets a fresh incognito page, so no test inherits another's state
+            const report = await testInteractions(() => session.isolatedPage(url), this.options.interaction);
+
             return {
-                buttons,
-                inputFields,
-                cors,
+                ...report,
+                recommendations: report.failures.map(failure => ({
+                    priority: 'Medium',
+                    message: `${failure.selector}: ${failure.message}`
+                }))
             };
         } catch (error) {
-            console.error(`Button and field analysis failed: ${error.message}`);
-            return { buttons: [], inputFields: [], cors: {} };
+            this._log(`Button and field analysis failed: ${error.message}`, 'error');
+            return { error: error.message, buttons: [], inputFields: [] };
         } finally {
-            await browser.close();
+            if (session !== sharedSession) await session.close();
         }
     }
-    async analyzeThirdPartyServices(url) {
-        const browser = await puppeteer.launch({ headless: 'new' });
-        try {
-            const page = await browser.newPage();
-            
-            // Collect all network requests
-            const requests = new Set();
-            page.on('request', request => requests.add({
-                url: request.url(),
-                type: request.resourceType(),
-                method: request.method()
-            }));
 
-            await page.goto(url, { waitUntil: 'networkidle0' });
-
-            // Analyze third-party services
-            const thirdPartyServices = Array.from(requests).reduce((acc, request) => {
-                const domain = new URL(request.url).hostname;
-                const mainDomain = new URL(url).hostname;
-
-                if (domain !== mainDomain) {
-                    // Categorize services
-                    let category = 'unknown';
-                    if (domain.includes('google')) category = 'analytics';
-                    if (domain.includes('facebook') || domain.includes('fb')) category = 'social';
-                    if (domain.includes('ads') || domain.includes('doubleclick')) category = 'advertising';
-                    if (domain.includes('cdn')) category = 'cdn';
-
-                    acc[domain] = acc[domain] || {
-                        category,
-                        requestCount: 0,
-                        types: new Set()
-                    };
-
-                    acc[domain].requestCount++;
-                    acc[domain].types.add(request.type);
+    async analyzeThirdPartyServices(url, sharedSession = null) {
+        const session = sharedSession ?? await this._launchSession();
+        let isolated;
+        try {
+            this._log(`Analyzing third-party services on ${url}`);
+
+            // A fresh context starts with an empty cache, so every transfer size is counted. The load
+            // is traced to attribute main-thread time to scripts.
+            const requests = new Map();
+            isolated = await session.isolatedPage(url, {
+                beforeNavigate: async page => {
+                    const client = await page.createCDPSession();
+                    await client.send('Network.enable');
+                    client.on('Network.requestWillBeSent', ({ requestId, request, type, redirectResponse }) => {
+                        // Each redirect hop reuses the request id, so earlier hops are kept under their own key
+                        const previous = requests.get(requestId);
+                        if (previous) {
+                            previous.transferSize = redirectResponse?.encodedDataLength ?? 0;
+                            requests.set(`${requestId}:${requests.size}`, previous);
+                        }
+                        requests.set(requestId, { url: request.url, type: (type ?? 'Other').toLowerCase(), transferSize: 0 });
+                    });
+                    client.on('Network.loadingFinished', ({ requestId, encodedDataLength }) => {
+                        const request = requests.get(requestId);
+                        if (request) request.transferSize = encodedDataLength;
+                    });
+                    await page.tracing.start({ categories: TRACE_CATEGORIES });
                 }
-                return acc;
-            }, {});
+            });
+            const { page } = isolated;
+            const trace = JSON.parse(Buffer.from(await page.tracing.stop()).toString('utf8'));
+
+            const report = summarizeThirdParties({
+                pageUrl: page.url(),
+                requests: Array.from(requests.values()),
+                scriptTimes: attributeMainThreadTime(trace.traceEvents ?? []),
+                matchEntity: this.matchEntity
+            });
 
             return {
-                totalThirdPartyDomains: Object.keys(thirdPartyServices).length,
-                categorySummary: Object.values(thirdPartyServices).reduce((acc, service) => {
-                    acc[service.category] = (acc[service.category] || 0) + 1;
-                    return acc;
-                }, {}),
-                details: thirdPartyServices
+                ...report,
+                databaseVersion: this.thirdPartyDatabase.version,
+                recommendations: this._generateThirdPartyRecommendations(report)
             };
         } catch (error) {
             this._log(`Third-party services analysis failed: ${error.message}`, 'error');
             return null;
         } finally {
-            await browser.close();
+            if (isolated) await isolated.close();
+            if (session !== sharedSession) await session.close();
+        }
+    }
+
+    _generateThirdPartyRecommendations(report) {
+        const recommendations = [];
+        for (const entity of report.entities) {
+            if (entity.blockingTime >= 250) {
+                recommendations.push({ priority: 'High', message: `${entity.name} blocks the main thread for ${entity.blockingTime} ms; load it later or drop it` });
+            } else if (entity.blockingTime >= 50) {
+                recommendations.push({ priority: 'Medium', message: `${entity.name} blocks the main thread for ${entity.blockingTime} ms` });
+            }
+            if (entity.transferSize >= 500 * 1024) {
+                recommendations.push({ priority: 'Medium', message: `${entity.name} transfers ${Math.round(entity.transferSize / 1024)} KB` });
+            }
+            if (entity.privacy) {
+                recommendations.push({ priority: 'Low', message: `${entity.name}: ${entity.privacy}` });
+            }
         }
+        return recommendations;
     }
 
-    async analyzeFormValidation(url) {
-        const browser = await puppeteer.launch({ headless: 'new' });
+    async analyzeFormValidation(url, sharedSession = null) {
+        const session = sharedSession ?? await this._launchSession();
         try {
-            const page = await browser.newPage();
-            await page.goto(url, { waitUntil: 'networkidle0' });
-
-            const forms = await page.evaluate(() => {
-                return Array.from(document.forms).map(form => {
-                    const fields = Array.from(form.elements).map(element => {
-                        if (element.tagName === 'INPUT' || element.tagName === 'SELECT' || element.tagName === 'TEXTAREA') {
-                            return {
-                                type: element.type || element.tagName.toLowerCase(),
-                                name: element.name,
-                                id: element.id,
-                                required: element.required,
-                                hasValidation: element.hasAttribute('pattern') || 
-                                             element.hasAttribute('minlength') || 
-                                             element.hasAttribute('maxlength'),
-                                validationRules: {
-                                    pattern: element.pattern,
-                                    minLength: element.minLength,
-                                    maxLength: element.maxLength,
-                                    min: element.min,
-                                    max: element.max
-                                },
-                                hasCustomValidation: false // Will check for JavaScript validation
-                            };
-                        }
-                        return null;
-                    }).filter(Boolean);
-
-                    return {
-                        id: form.id,
-                        action: form.action,
-                        method: form.method,
-                        fields,
-                        hasSubmitButton: form.querySelector('button[type="submit"], input[type="submit"]') !== null,
-                        hasCsrfToken: form.querySelector('input[name*="csrf"]') !== null
-                    };
-                });
-            });
+            this._log(`Testing forms on ${url}`);
 
-            // Test form submission behavior
-            for (const form of forms) {
-                try {
-                    await page.evaluate((formId) => {
-                        const form = document.getElementById(formId);
-                        if (form) {
-                            const originalSubmit = form.submit;
-                            let hasCustomValidation = false;
-                            
-                            form.submit = function() {
-                                hasCustomValidation = true;
-                            };
-                            
-                            const event = new Event('submit', { cancelable: true });
-                            form.dispatchEvent(event);
-                            
-                            form.submit = originalSubmit;
-                            return hasCustomValidation;
-                        }
-                        return false;
-                    }, form.id);
-                } catch (error) {
-                    this._log(`Form validation test failed for form ${form.id}: ${error.message}`, 'warning');
-                }
-            }
+            // Each submission attempt gets a fresh incognito page; submissions are intercepted
+            const report = await testForms(() => session.isolatedPage(url), this.options.forms);
 
+            const priorities = { high: 'High', medium: 'Medium', low: 'Low' };
             return {
-                totalForms: forms.length,
-                formsSummary: {
-                    withValidation: forms.filter(f => f.fields.some(field => field.hasValidation)).length,
-                    withCustomValidation: forms.filter(f => f.fields.some(field => field.hasCustomValidation)).length,
-                    withCsrfProtection: forms.filter(f => f.hasCsrfToken).length
-                },
-                details: forms
+                ...report,
+                recommendations: report.findings
+                    .filter(finding => priorities[finding.severity])
+                    .map(finding => ({ priority: priorities[finding.severity], message: `Form ${finding.form}: ${finding.message}` }))
             };
         } catch (error) {
             this._log(`Form validation analysis failed: ${error.message}`, 'error');
             return null;
         } finally {
-            await browser.close();
+            if (session !== sharedSession) await session.close();
         }
     }
 
-    async analyzePWAReadiness(url) {
-        const browser = await puppeteer.launch({ headless: 'new' });
+    async analyzePWAReadiness(url, sharedSession = null) {
+        const session = sharedSession ?? await this._launchSession();
+        let isolated;
         try {
-            const page = await browser.newPage();
-            await page.goto(url, { waitUntil: 'networkidle0' });
+            // The offline check reloads the page, so this gets its own context
+            isolated = await session.isolatedPage(url);
+            const { page } = isolated;
 
             const pwaFeatures = await page.evaluate(() => {
                 return {
@@ -752,7 +988,8 @@ class WebsiteAuditor {
             this._log(`PWA readiness analysis failed: ${error.message}`, 'error');
             return null;
         } finally {
-            await browser.close();
+            if (isolated) await isolated.close();
+            if (session !== sharedSession) await session.close();
         }
     }
 
@@ -802,39 +1039,5 @@ class WebsiteAuditor {
         return recommendations;
     }
 }
-    // Utility function to split an array into chunks
-    function chunkArray(array, size) {
-        const results = [];
-        for (let i = 0; i < array.length; i += size) {
-            results.push(array.slice(i, i + size));
-        }
-        return results;
-    }
-    
 
-// Simple CLI interface
-const runAudit = async ( urlToTest ) => {
-    try {
-        const auditor = new WebsiteAuditor({
-            verbose: true,
-            outputDir: './website-audit-reports'
-        });
-
-        const url = urlToTest ?? 'https://quantmutual.com/'
-        if (!url) {
-            console.error('Please provide a URL to audit');
-            console.log('Usage: node script.js <url>');
-            process.exit(1);
-        }
-
-        console.log(`Starting audit for: ${url}`);
-        await auditor.generateFullReport(url);
-    } catch (error) {
-        console.error('Audit failed:', error);
-        process.exit(1);
-    }
-};
-
-if (process.argv[1] === fileURLToPath(import.meta.url)) {
-    runAudit('https://quantmutual.com/');
-}
+export default WebsiteAuditor;
@@ -0,0 +1,384 @@
+import { installPageHelpers } from './pageHelpers.js';
+
+// Interaction testing: clicks every visible button and fills every form field, each in a freshly
+// loaded page, and records what went wrong along the way: console errors, uncaught exceptions,
+// failed requests, dialogs, popups and navigations nobody asked for. Form submissions and other
+// writes are intercepted, so nothing a test triggers reaches the site's server.
+
+const MAX_BUTTONS = 20;
+const MAX_FIELDS = 20;
+// How long to wait for requests and rendering triggered by a click or input to finish
+const SETTLE_TIME = 1000;
+
+// Requests that could change data on the server. A submit button or an autosaving field is
+// tested without any of them leaving the browser.
+const WRITE_TYPES = ['document', 'xhr', 'fetch'];
+
+// Fields filled through key presses; the rest get their value set directly
+const TYPED_TYPES = ['text', 'search', 'email', 'url', 'tel', 'password', 'number', 'textarea'];
+
+// Runs in the page after installPageHelpers() and lists the controls to test, with the
+// constraints of each field
+function discoverControls() {
+    const { selectorFor, fieldConstraints } = window.__auditHelpers;
+
+    const isVisible = element => {
+        const style = getComputedStyle(element);
+        return element.getClientRects().length > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+    };
+
+    const labelFor = element => {
+        const text = element.getAttribute('aria-label') ||
+            Array.from(element.labels ?? []).map(label => label.innerText).join(' ') ||
+            element.innerText || element.value || element.getAttribute('placeholder') ||
+            element.getAttribute('name') || element.getAttribute('title') || '';
+        return text.replace(/\s+/g, ' ').trim().slice(0, 80);
+    };
+
+    const buttons = [];
+    const fields = [];
+    let skipped = 0;
+
+    // Input types that are not data entry are clicked as buttons, apart from hidden and file inputs
+    for (const element of document.querySelectorAll('button, [role="button"], input, textarea, select')) {
+        const type = element.tagName === 'INPUT' ? (element.getAttribute('type') || 'text').toLowerCase() : null;
+        if (type && ['hidden', 'file'].includes(type)) continue;
+
+        if (!isVisible(element) || element.disabled || element.getAttribute('aria-disabled') === 'true') {
+            skipped++;
+            continue;
+        }
+
+        const isButton = element.tagName === 'BUTTON' || element.getAttribute('role') === 'button' ||
+            ['submit', 'button', 'reset', 'image'].includes(type);
+        const form = element.form ?? element.closest('form');
+
+        if (isButton) {
+            const buttonType = element.tagName === 'BUTTON' ? (element.getAttribute('type') || 'submit').toLowerCase() : type;
+            buttons.push({
+                selector: selectorFor(element),
+                text: labelFor(element),
+                // Only a submit button inside a form is expected to leave the page
+                submitsForm: !!form && ['submit', 'image'].includes(buttonType)
+            });
+            continue;
+        }
+
+        fields.push({
+            selector: selectorFor(element),
+            tag: element.tagName.toLowerCase(),
+            type: element.tagName === 'INPUT' ? type : element.tagName.toLowerCase(),
+            label: labelFor(element),
+            constraints: fieldConstraints(element),
+            options: element.tagName === 'SELECT' ? Array.from(element.options).map(option => option.value) : null
+        });
+    }
+
+    return { buttons, fields, skipped };
+}
+
+const fitLength = (value, { minLength, maxLength }) => {
+    let fitted = value;
+    if (minLength && fitted.length < minLength) fitted = fitted.padEnd(minLength, 'x');
+    if (maxLength && fitted.length > maxLength) fitted = fitted.slice(0, maxLength);
+    return fitted;
+};
+
+// A value the field should accept and one it should reject, given its type and constraints. A
+// null sample means the field cannot hold such a value, e.g. an invalid value for a plain text
+// field without constraints. Values for pattern fields are not guessed.
+export function sampleValues(field) {
+    const { required, min, max, minLength, pattern } = field.constraints;
+    const step = field.constraints.step ?? 1;
+    const emptyIfRequired = required ? '' : null;
+
+    switch (field.type) {
+        case 'checkbox':
+            return { valid: true, invalid: required ? false : null };
+        // A checked radio button cannot be unchecked by clicking it again
+        case 'radio':
+            return { valid: true, invalid: null };
+        case 'select': {
+            const option = field.options.find(value => value !== '');
+            return { valid: option ?? null, invalid: required && field.options.includes('') ? '' : null };
+        }
+        case 'email':
+            return { valid: 'jane.doe@example.com', invalid: 'jane.doe@' };
+        case 'url':
+            return { valid: 'https://example.com/', invalid: 'not a url' };
+        case 'number':
+        case 'range': {
+            const low = min === null ? null : Number(min);
+            const high = max === null ? null : Number(max);
+            const valid = low ?? (high !== null && high < 1 ? high : 1);
+            let invalid = high !== null ? high + step : low !== null ? low - step : null;
+            // A range input clamps out-of-range values, and typing an incomplete exponent is the
+            // one invalid entry every number field rejects
+            if (field.type === 'range') invalid = null;
+            else if (invalid === null) invalid = '1e';
+            return { valid: String(valid), invalid: invalid === null ? emptyIfRequired : String(invalid) };
+        }
+        case 'date':
+            return { valid: min || '2024-01-15', invalid: min ? '1900-01-01' : emptyIfRequired };
+        case 'datetime-local':
+            return { valid: min || '2024-01-15T10:30', invalid: min ? '1900-01-01T00:00' : emptyIfRequired };
+        case 'time':
+            return { valid: min || '10:30', invalid: emptyIfRequired };
+        case 'month':
+            return { valid: min || '2024-01', invalid: min ? '1900-01' : emptyIfRequired };
+        case 'week':
+            return { valid: min || '2024-W03', invalid: min ? '1900-W01' : emptyIfRequired };
+        case 'color':
+            return { valid: '#336699', invalid: null };
+        default: {
+            if (pattern) return { valid: null, invalid: emptyIfRequired };
+            const base = field.type === 'password' ? 'Str0ng!Passw0rd' : field.type === 'tel' ? '+1 555 010 0199' : 'Test input';
+            return {
+                valid: fitLength(base, field.constraints),
+                invalid: minLength > 1 ? 'x'.repeat(minLength - 1) : emptyIfRequired
+            };
+        }
+    }
+}
+
+// Collects everything that goes wrong on the page from now on. Dialogs are dismissed and popups
+// closed so they cannot block the test.
+export function watchPage(page) {
+    const events = { consoleErrors: [], pageErrors: [], failedRequests: [], dialogs: [], popups: [] };
+
+    page.on('console', message => {
+        if (message.type() === 'error') events.consoleErrors.push(message.text());
+    });
+    page.on('pageerror', error => events.pageErrors.push(error.message));
+    page.on('requestfailed', request => events.failedRequests.push({
+        url: request.url(),
+        error: request.failure()?.errorText ?? 'failed'
+    }));
+    page.on('response', response => {
+        if (response.status() >= 400) events.failedRequests.push({ url: response.url(), status: response.status() });
+    });
+    page.on('dialog', dialog => {
+        events.dialogs.push({ type: dialog.type(), message: dialog.message() });
+        dialog.dismiss().catch(() => {});
+    });
+    page.on('popup', popup => {
+        if (!popup) return;
+        events.popups.push(popup.url());
+        popup.close().catch(() => {});
+    });
+
+    return events;
+}
+
+// Answers every non-GET document, XHR and fetch request with an empty 204 instead of sending it,
+// which also keeps a submitted form on the current page, and records what was held back
+export async function interceptWrites(page) {
+    const intercepted = [];
+    await page.setRequestInterception(true);
+    page.on('request', request => {
+        if (request.isInterceptResolutionHandled()) return;
+        if (request.method() === 'GET' || !WRITE_TYPES.includes(request.resourceType())) {
+            request.continue().catch(() => {});
+            return;
+        }
+
+        intercepted.push({ url: request.url(), method: request.method(), type: request.resourceType() });
+        request.respond({ status: 204, body: '' }).catch(() => {});
+    });
+    return intercepted;
+}
+
+export async function settle(page, settleTime) {
+    try {
+        await page.waitForNetworkIdle({ idleTime: 300, timeout: settleTime });
+    } catch {
+        // Pages that keep polling never go idle; the settle time is the limit
+    }
+}
+
+const withoutHash = url => url.split('#')[0];
+
+const hasErrors = events => events.consoleErrors.length > 0 || events.pageErrors.length > 0 || events.failedRequests.length > 0;
+
+async function clickButton(page, button, settleTime) {
+    const interceptedRequests = await interceptWrites(page);
+    const events = watchPage(page);
+    const startUrl = page.url();
+
+    const handle = await page.$(button.selector);
+    if (!handle) return { ...button, ...events, interceptedRequests, outcome: 'missing', navigation: null, success: false };
+
+    let outcome = 'clicked';
+    try {
+        await handle.click();
+    } catch {
+        // Covered or off-screen elements cannot take a real mouse click; a scripted one still
+        // runs their handlers
+        await handle.evaluate(element => element.click());
+        outcome = 'clicked-by-script';
+    }
+    await settle(page, settleTime);
+
+    const url = page.url();
+    const navigation = withoutHash(url) !== withoutHash(startUrl)
+        ? { url, expected: button.submitsForm }
+        : null;
+
+    return {
+        ...button,
+        outcome,
+        ...events,
+        interceptedRequests,
+        navigation,
+        success: !hasErrors(events) && !(navigation && !navigation.expected) && !events.popups.length
+    };
+}
+
+// Sets a field's value, through key presses where the browser allows typing, and reads back
+// whether the browser considers it valid
+export async function fillField(page, field, value) {
+    const handle = await page.$(field.selector);
+    if (!handle) return null;
+
+    if (field.type === 'checkbox' || field.type === 'radio') {
+        const checked = await handle.evaluate(element => element.checked);
+        if (checked !== value) await handle.click();
+    } else if (TYPED_TYPES.includes(field.type)) {
+        await handle.evaluate(element => {
+            element.focus();
+            element.value = '';
+            element.dispatchEvent(new Event('input', { bubbles: true }));
+        });
+        if (value !== '') await handle.type(value);
+    } else {
+        await handle.evaluate((element, newValue) => {
+            // The prototype setter keeps frameworks that track the value property informed
+            const setter = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(element), 'value').set;
+            setter.call(element, newValue);
+            element.dispatchEvent(new Event('input', { bubbles: true }));
+            element.dispatchEvent(new Event('change', { bubbles: true }));
+        }, value);
+    }
+
+    return handle.evaluate(element => ({
+        value: element.type === 'checkbox' || element.type === 'radio' ? element.checked : element.value,
+        valid: element.checkValidity(),
+        validationMessage: element.validationMessage
+    }));
+}
+
+async function testField(page, field, settleTime) {
+    const interceptedRequests = await interceptWrites(page);
+    const events = watchPage(page);
+    const samples = sampleValues(field);
+    const base = { selector: field.selector, tag: field.tag, type: field.type, label: field.label, constraints: field.constraints };
+
+    // Also used when a script removes the field while the test runs
+    const missing = () => ({ ...base, outcome: 'missing', valid: null, invalid: null, ...events, interceptedRequests, success: false });
+    if (!await page.$(field.selector)) return missing();
+
+    let valid = null;
+    if (samples.valid !== null) {
+        const state = await fillField(page, field, samples.valid);
+        if (!state) return missing();
+        valid = { value: samples.valid, accepted: state.valid, validationMessage: state.validationMessage };
+        await settle(page, settleTime);
+    }
+
+    let invalid = null;
+    if (samples.invalid !== null) {
+        const state = await fillField(page, field, samples.invalid);
+        if (!state) return missing();
+        invalid = { value: samples.invalid, rejected: !state.valid, validationMessage: state.validationMessage };
+        await settle(page, settleTime);
+    }
+
+    return {
+        ...base,
+        outcome: 'filled',
+        valid,
+        invalid,
+        ...events,
+        interceptedRequests,
+        success: (!valid || valid.accepted) && (!invalid || invalid.rejected) && !hasErrors(events)
+    };
+}
+
+// Runs each test in a page of its own so no test sees the state another one left behind.
+// `openPage` loads the URL in a fresh context and resolves to { page, close }.
+async function inFreshPage(openPage, test) {
+    const isolated = await openPage();
+    try {
+        return await test(isolated.page);
+    } finally {
+        await isolated.close();
+    }
+}
+
+// Tests one control. An error, e.g. a page that navigated away mid-click, is recorded on that
+// control's result instead of ending the whole run.
+async function testControl(openPage, control, test) {
+    try {
+        return await inFreshPage(openPage, test);
+    } catch (error) {
+        return {
+            ...control,
+            outcome: 'error',
+            error: error.message,
+            consoleErrors: [],
+            pageErrors: [],
+            failedRequests: [],
+            dialogs: [],
+            popups: [],
+            interceptedRequests: [],
+            success: false
+        };
+    }
+}
+
+const describeFailure = control => [
+    control.outcome === 'missing' && 'not found after reload',
+    control.outcome === 'error' && `could not be tested: ${control.error}`,
+    control.pageErrors.length && `${control.pageErrors.length} uncaught exception(s)`,
+    control.consoleErrors.length && `${control.consoleErrors.length} console error(s)`,
+    control.failedRequests.length && `${control.failedRequests.length} failed request(s)`,
+    control.navigation && !control.navigation.expected && `navigated to ${control.navigation.url}`,
+    control.popups?.length && `opened ${control.popups.length} popup(s)`,
+    control.valid && !control.valid.accepted && `rejected the valid value "${control.valid.value}"`,
+    control.invalid && !control.invalid.rejected && `accepted the invalid value "${control.invalid.value}"`
+].filter(Boolean).join(', ');
+
+export async function testInteractions(openPage, { maxButtons = MAX_BUTTONS, maxFields = MAX_FIELDS, settleTime = SETTLE_TIME } = {}) {
+    const controls = await inFreshPage(openPage, async page => {
+        await installPageHelpers(page);
+        return page.evaluate(discoverControls);
+    });
+
+    const buttons = [];
+    for (const button of controls.buttons.slice(0, maxButtons)) {
+        buttons.push(await testControl(openPage, button, page => clickButton(page, button, settleTime)));
+    }
+
+    const inputFields = [];
+    for (const field of controls.fields.slice(0, maxFields)) {
+        inputFields.push(await testControl(openPage, field, page => testField(page, field, settleTime)));
+    }
+
+    const failures = [...buttons, ...inputFields]
+        .filter(control => !control.success)
+        .map(control => ({ selector: control.selector, message: describeFailure(control) }));
+
+    return {
+        summary: {
+            buttonsFound: controls.buttons.length,
+            fieldsFound: controls.fields.length,
+            buttonsTested: buttons.length,
+            fieldsTested: inputFields.length,
+            skippedHiddenOrDisabled: controls.skipped,
+            failed: failures.length
+        },
+        buttons,
+        inputFields,
+        failures
+    };
+}
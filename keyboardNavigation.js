@@ -0,0 +1,255 @@
+import { installPageHelpers } from './pageHelpers.js';
+
+// Keyboard navigation testing: tabs through a page with real key presses, records the focus
+// order and checks it for traps, missing focus indicators, positive tabindex, skip links and
+// elements that react to clicks but cannot be reached with the keyboard.
+
+const SEVERITY_PENALTY = { high: 20, medium: 10, low: 5, info: 0 };
+
+const MAX_TABS = 300;
+
+// Runs in the page before any Tab press. Records how every focusable element and its parent look
+// without focus, so the focused look can be compared against it.
+function recordBaseline() {
+    const FOCUSABLE = 'a[href], area[href], button, input:not([type="hidden"]), select, textarea, iframe, summary, [tabindex], [contenteditable="true"]';
+    const PROPERTIES = ['outlineStyle', 'outlineWidth', 'outlineColor', 'boxShadow', 'borderColor', 'borderWidth',
+        'backgroundColor', 'color', 'textDecorationLine', 'transform'];
+
+    window.__auditFocusStyle = element => {
+        const snapshot = {};
+        for (const [prefix, style] of [['', getComputedStyle(element)], ['::before', getComputedStyle(element, '::before')], ['::after', getComputedStyle(element, '::after')]]) {
+            for (const property of PROPERTIES) snapshot[`${prefix}${property}`] = style[property];
+        }
+        return snapshot;
+    };
+
+    window.__auditBaseline = new WeakMap();
+    window.__auditIds = new WeakMap();
+    window.__auditNextId = 0;
+
+    document.activeElement?.blur?.();
+    for (const element of document.querySelectorAll(FOCUSABLE)) {
+        window.__auditBaseline.set(element, window.__auditFocusStyle(element));
+        if (element.parentElement) {
+            window.__auditBaseline.set(element.parentElement, window.__auditFocusStyle(element.parentElement));
+        }
+    }
+}
+
+// Runs in the page after each Tab press and describes the focused element. Like inspectStatic,
+// it uses the helpers from installPageHelpers().
+function describeFocused() {
+    let element = document.activeElement;
+    // Focus inside an iframe shows up as the iframe element; same-origin frames are entered
+    while (element?.tagName === 'IFRAME' && element.contentDocument?.activeElement) {
+        element = element.contentDocument.activeElement;
+    }
+    if (!element || element === document.body || element === document.documentElement) return null;
+
+    if (!window.__auditIds.has(element)) window.__auditIds.set(element, window.__auditNextId++);
+
+    const { selectorFor } = window.__auditHelpers;
+
+    const changed = target => {
+        const before = window.__auditBaseline.get(target);
+        if (!before) return null;
+        const after = window.__auditFocusStyle(target);
+        return Object.keys(before).some(key => before[key] !== after[key]);
+    };
+    // The indicator may be drawn on the element itself or, through :focus-within, on its parent
+    const ownChange = changed(element);
+    const parentChange = element.parentElement ? changed(element.parentElement) : null;
+
+    const rect = element.getBoundingClientRect();
+    const name = (element.getAttribute('aria-label') || element.innerText || element.value || element.getAttribute('title') ||
+        element.getAttribute('alt') || '').replace(/\s+/g, ' ').trim();
+
+    return {
+        id: window.__auditIds.get(element),
+        selector: selectorFor(element),
+        tag: element.tagName.toLowerCase(),
+        role: element.getAttribute('role'),
+        name: name.length > 60 ? `${name.slice(0, 60)}...` : name,
+        tabIndex: element.tabIndex,
+        href: element.getAttribute('href'),
+        // Visually hidden elements are usually clipped to 1px or moved off the page
+        visible: rect.width > 1 && rect.height > 1 && getComputedStyle(element).visibility === 'visible' &&
+            rect.bottom + window.scrollY > 0 && rect.right + window.scrollX > 0,
+        focusIndicator: ownChange === null && parentChange === null ? null : Boolean(ownChange || parentChange)
+    };
+}
+
+// Runs in the page: static checks that do not need key presses
+function inspectStatic() {
+    const FOCUSABLE = 'a[href], area[href], button, input:not([type="hidden"]), select, textarea, iframe, summary, [tabindex], [contenteditable="true"]';
+    const INTERACTIVE_ROLES = ['button', 'link', 'checkbox', 'radio', 'switch', 'tab', 'menuitem', 'option', 'slider', 'combobox', 'treeitem'];
+
+    const { selectorFor } = window.__auditHelpers;
+    const snippet = element => {
+        const html = element.outerHTML;
+        const openingTag = html.slice(0, html.indexOf('>') + 1);
+        return openingTag.length > 200 ? `${openingTag.slice(0, 200)}...` : openingTag;
+    };
+    const isVisible = element => element.getClientRects().length > 0 && getComputedStyle(element).visibility === 'visible';
+    const reachable = element => element.tabIndex >= 0 && !element.disabled;
+
+    const positiveTabindex = Array.from(document.querySelectorAll('[tabindex]'))
+        .filter(element => Number(element.getAttribute('tabindex')) > 0)
+        .map(element => ({ selector: selectorFor(element), tabIndex: Number(element.getAttribute('tabindex')) }));
+
+    // Elements that look or announce themselves as clickable but are not in the tab order.
+    // Pointer cursors are only counted where the cursor starts, not on the children inheriting it.
+    const clickableNotFocusable = [];
+    for (const element of document.body?.querySelectorAll('*') ?? []) {
+        const role = element.getAttribute('role');
+        const reasons = [];
+        if (element.hasAttribute('onclick')) reasons.push('has an onclick handler');
+        if (INTERACTIVE_ROLES.includes(role)) reasons.push(`has role="${role}"`);
+        if (getComputedStyle(element).cursor === 'pointer' &&
+            getComputedStyle(element.parentElement ?? element).cursor !== 'pointer' &&
+            !['LABEL', 'OPTION'].includes(element.tagName)) {
+            reasons.push('shows a pointer cursor');
+        }
+        if (!reasons.length || !isVisible(element)) continue;
+        if (element.closest('[aria-hidden="true"], :disabled, [inert]')) continue;
+
+        // Clicks on an element inside, or wrapping, a reachable control are handled by that control
+        const control = element.closest(FOCUSABLE);
+        if ((control && reachable(control)) || Array.from(element.querySelectorAll(FOCUSABLE)).some(reachable)) continue;
+
+        clickableNotFocusable.push({ selector: selectorFor(element), html: snippet(element), reasons });
+    }
+
+    return {
+        focusableCount: Array.from(document.querySelectorAll(FOCUSABLE))
+            .filter(element => reachable(element) && isVisible(element)).length,
+        positiveTabindex,
+        clickableNotFocusable
+    };
+}
+
+// Runs in the page: whether an in-page link points at an existing element
+function skipTarget(href) {
+    const id = decodeURIComponent(href.slice(1));
+    const target = id ? document.getElementById(id) ?? document.getElementsByName(id)[0] : null;
+    return target ? { exists: true, isMain: Boolean(target.closest('main, [role="main"]') || target.querySelector('main, [role="main"]')) } : { exists: false, isMain: false };
+}
+
+const SKIP_LINK_TEXT = /skip|jump to|main content|go to content/i;
+
+const elements = count => `${count} element${count === 1 ? '' : 's'}`;
+
+// Tabs through the page until focus leaves it, comes back to the first element, or gets stuck
+async function walkTabOrder(page, maxTabs) {
+    const sequence = [];
+    const seen = new Map();
+    let trap = null;
+    let truncated = false;
+    let previous = null;
+
+    for (let press = 0; press < maxTabs; press++) {
+        await page.keyboard.press('Tab');
+        const focused = await page.evaluate(describeFocused);
+
+        if (!focused) {
+            // Focus left the document, which only happens once the whole order has been walked
+            if (sequence.length) break;
+            continue;
+        }
+
+        // Tabbing through a cross-origin iframe keeps reporting the iframe itself
+        const insideFrame = focused.tag === 'iframe' && previous === focused.id;
+        previous = focused.id;
+        if (insideFrame) continue;
+
+        if (seen.has(focused.id)) {
+            const firstIndex = seen.get(focused.id);
+            // Wrapping around to the start is normal; any other repeat is a loop inside the page
+            if (firstIndex !== 0) {
+                trap = {
+                    cycle: sequence.slice(firstIndex).map(item => item.selector),
+                    enteredAt: sequence[firstIndex].selector
+                };
+            }
+            break;
+        }
+
+        seen.set(focused.id, sequence.length);
+        sequence.push({ index: sequence.length + 1, ...focused });
+        if (press === maxTabs - 1) truncated = true;
+    }
+
+    return { sequence, trap, truncated };
+}
+
+export async function testKeyboardNavigation(page, { maxTabs = MAX_TABS } = {}) {
+    await installPageHelpers(page);
+    await page.evaluate(recordBaseline);
+    const { sequence, trap, truncated } = await walkTabOrder(page, maxTabs);
+    const staticChecks = await page.evaluate(inspectStatic);
+
+    // A skip link is an in-page link among the first few stops whose text says so
+    let skipLink = null;
+    const candidate = sequence.slice(0, 3).find(item => item.href?.startsWith('#') && item.href.length > 1 && SKIP_LINK_TEXT.test(item.name));
+    if (candidate) {
+        const target = await page.evaluate(skipTarget, candidate.href);
+        skipLink = { selector: candidate.selector, href: candidate.href, text: candidate.name, targetExists: target.exists, targetsMain: target.isMain, visibleOnFocus: candidate.visible };
+    }
+
+    const findings = [];
+    const add = (severity, criterion, message, selectors = []) => findings.push({ severity, criterion, message, selectors });
+
+    if (trap) {
+        add('high', '2.1.2', `Keyboard focus is trapped in a loop of ${trap.cycle.length} elements starting at ${trap.enteredAt}`, trap.cycle);
+    }
+    if (truncated) {
+        add('info', null, `Stopped after ${maxTabs} Tab presses; the rest of the order was not checked`);
+    }
+
+    if (staticChecks.clickableNotFocusable.length) {
+        add('high', '2.1.1', `Clickable but not reachable with the keyboard: ${elements(staticChecks.clickableNotFocusable.length)}`,
+            staticChecks.clickableNotFocusable.map(item => item.selector));
+    }
+
+    const noIndicator = sequence.filter(item => item.focusIndicator === false);
+    if (noIndicator.length) {
+        add('medium', '2.4.7', `No visible focus indicator: ${elements(noIndicator.length)}`, noIndicator.map(item => item.selector));
+    }
+
+    // A hidden skip link is reported on its own below
+    const invisible = sequence.filter(item => !item.visible && item.selector !== skipLink?.selector);
+    if (invisible.length) {
+        add('medium', '2.4.11', `Focusable while hidden or off screen: ${elements(invisible.length)}`, invisible.map(item => item.selector));
+    }
+
+    if (staticChecks.positiveTabindex.length) {
+        add('low', '2.4.3', `Positive tabindex overrides the document order: ${elements(staticChecks.positiveTabindex.length)}`,
+            staticChecks.positiveTabindex.map(item => item.selector));
+    }
+
+    if (!skipLink) {
+        if (sequence.length > 10) add('low', '2.4.1', 'No skip link among the first focus stops to bypass repeated navigation');
+    } else if (!skipLink.targetExists) {
+        add('medium', '2.4.1', `Skip link ${skipLink.href} points at an element that does not exist`, [skipLink.selector]);
+    } else if (!skipLink.visibleOnFocus) {
+        add('low', '2.4.7', 'Skip link stays hidden when focused', [skipLink.selector]);
+    }
+
+    if (!sequence.length && staticChecks.focusableCount) {
+        add('high', '2.1.1', 'Pressing Tab never moved focus into the page');
+    }
+
+    return {
+        tabSequence: sequence.map(({ id, ...item }) => item),
+        tabStops: sequence.length,
+        focusableCount: staticChecks.focusableCount,
+        focusTrap: trap,
+        truncated,
+        skipLink,
+        positiveTabindex: staticChecks.positiveTabindex,
+        clickableNotFocusable: staticChecks.clickableNotFocusable,
+        missingFocusIndicator: noIndicator.map(item => item.selector),
+        score: Math.max(0, 100 - findings.reduce((sum, item) => sum + SEVERITY_PENALTY[item.severity], 0)),
+        findings
+    };
+}
@@ -0,0 +1,229 @@
+import axios from 'axios';
+import { siteOf } from './cookieAnalyzer.js';
+
+// Checks links and page resources with bounded concurrency. Requests to one host are limited and
+// spaced out, every URL is checked once per checker, and results are cached so a crawl does not
+// recheck the navigation and footer links of every page.
+
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+const DNS_CODES = ['ENOTFOUND', 'EAI_AGAIN'];
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+const TLS_CODE_PATTERN = /CERT|SSL|TLS|EPROTO|SELF_SIGNED|UNABLE_TO_VERIFY/;
+
+export function classifyError(error) {
+    const code = error.code ?? '';
+    if (DNS_CODES.includes(code)) return 'dns';
+    if (TIMEOUT_CODES.includes(code) || /timeout/i.test(error.message)) return 'timeout';
+    if (TLS_CODE_PATTERN.test(code)) return 'tls';
+    return 'connection';
+}
+
+export function classifyStatus(status) {
+    if (status >= 500) return '5xx';
+    if (status >= 400) return '4xx';
+    return 'ok';
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class LinkChecker {
+    constructor(options = {}) {
+        this.options = {
+            concurrency: 8,
+            perHostConcurrency: 2,
+            // Minimum gap between the start of two requests to the same host
+            perHostInterval: 100,
+            timeout: 10000,
+            retries: 1,
+            maxRedirects: 5,
+            userAgent: null,
+            ...options
+        };
+
+        this._cache = new Map();
+        this._active = 0;
+        this._hosts = new Map();
+        this._waiting = [];
+    }
+
+    // Resolves once a request to the host may start, and returns the function that ends it
+    _acquire(host) {
+        return new Promise(resolve => {
+            this._waiting.push({ host, resolve });
+            this._pump();
+        });
+    }
+
+    _pump() {
+        const now = Date.now();
+        let retryIn = null;
+
+        for (let index = 0; index < this._waiting.length && this._active < this.options.concurrency; index++) {
+            const { host, resolve } = this._waiting[index];
+            const state = this._hosts.get(host) ?? { active: 0, lastStart: 0 };
+            if (state.active >= this.options.perHostConcurrency) continue;
+
+            const wait = state.lastStart + this.options.perHostInterval - now;
+            if (wait > 0) {
+                retryIn = retryIn === null ? wait : Math.min(retryIn, wait);
+                continue;
+            }
+
+            this._waiting.splice(index--, 1);
+            state.active++;
+            state.lastStart = now;
+            this._hosts.set(host, state);
+            this._active++;
+
+            resolve(() => {
+                state.active--;
+                this._active--;
+                this._pump();
+            });
+        }
+
+        if (retryIn !== null && !this._timer) {
+            this._timer = setTimeout(() => {
+                this._timer = null;
+                this._pump();
+            }, retryIn);
+        }
+    }
+
+    async _request(url, method) {
+        const release = await this._acquire(new URL(url).host);
+        try {
+            const response = await axios.request({
+                url,
+                method,
+                headers: this.options.userAgent ? { 'User-Agent': this.options.userAgent } : {},
+                timeout: this.options.timeout,
+                maxRedirects: 0,
+                validateStatus: () => true,
+                // Only the status and headers matter; the body is dropped unread
+                responseType: 'stream'
+            });
+            response.data.destroy();
+            return response;
+        } finally {
+            release();
+        }
+    }
+
+    // One hop with retries for transient failures. Servers that refuse HEAD get a GET instead.
+    async _fetchHop(url, method) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                let response = await this._request(url, method);
+                if (method === 'HEAD' && [405, 501].includes(response.status)) {
+                    method = 'GET';
+                    response = await this._request(url, method);
+                }
+                if (RETRYABLE_STATUSES.includes(response.status) && attempt < this.options.retries) {
+                    await sleep(500 * (attempt + 1));
+                    continue;
+                }
+                return { response, method, attempts: attempt + 1 };
+            } catch (error) {
+                if (!RETRYABLE_CODES.includes(error.code) || attempt >= this.options.retries) {
+                    error.attempts = attempt + 1;
+                    throw error;
+                }
+                await sleep(500 * (attempt + 1));
+            }
+        }
+    }
+
+    async _check(url) {
+        const started = Date.now();
+        const redirects = [];
+        let current = url;
+        let method = 'HEAD';
+        let attempts = 0;
+
+        try {
+            while (true) {
+                const hop = await this._fetchHop(current, method);
+                method = hop.method;
+                attempts += hop.attempts;
+
+                const { status, headers } = hop.response;
+                if (status >= 300 && status < 400 && headers.location) {
+                    if (redirects.length >= this.options.maxRedirects) {
+                        return { url, status, category: 'redirects', ok: false, error: `More than ${this.options.maxRedirects} redirects`, redirects, finalUrl: null, method, attempts, durationMs: Date.now() - started };
+                    }
+                    const next = new URL(headers.location, current).href;
+                    redirects.push({ url: current, status, location: next });
+                    current = next;
+                    continue;
+                }
+
+                const category = classifyStatus(status);
+                return { url, status, category, ok: category === 'ok', error: null, redirects, finalUrl: current, method, attempts, durationMs: Date.now() - started };
+            }
+        } catch (error) {
+            return {
+                url,
+                status: null,
+                category: classifyError(error),
+                ok: false,
+                error: error.message,
+                redirects,
+                finalUrl: null,
+                method,
+                attempts: attempts + (error.attempts ?? 1),
+                durationMs: Date.now() - started
+            };
+        }
+    }
+
+    // Checks a URL once; later calls share the first result
+    check(url) {
+        if (!this._cache.has(url)) this._cache.set(url, this._check(url));
+        return this._cache.get(url);
+    }
+
+    // Checks the links and resources found on a page. Each URL is checked once however often it
+    // appears; the result lists every kind and location it appeared with.
+    async checkPage(pageUrl, resources) {
+        const site = siteOf(new URL(pageUrl).hostname);
+        const byUrl = new Map();
+        let skipped = 0;
+
+        for (const resource of resources) {
+            let parsed;
+            try {
+                parsed = new URL(resource.url, pageUrl);
+            } catch {
+                skipped++;
+                continue;
+            }
+            if (!['http:', 'https:'].includes(parsed.protocol)) {
+                skipped++;
+                continue;
+            }
+            parsed.hash = '';
+
+            const entry = byUrl.get(parsed.href) ?? {
+                url: parsed.href,
+                internal: siteOf(parsed.hostname) === site,
+                kinds: [],
+                locations: [],
+                texts: [],
+                occurrences: 0
+            };
+            entry.occurrences++;
+            if (!entry.kinds.includes(resource.kind)) entry.kinds.push(resource.kind);
+            if (!entry.locations.includes(resource.location)) entry.locations.push(resource.location);
+            if (resource.text && entry.texts.length < 3 && !entry.texts.includes(resource.text)) entry.texts.push(resource.text);
+            byUrl.set(parsed.href, entry);
+        }
+
+        const entries = Array.from(byUrl.values());
+        const results = await Promise.all(entries.map(async entry => ({ ...entry, ...await this.check(entry.url) })));
+        return { results, skipped };
+    }
+}
+
+export default LinkChecker;
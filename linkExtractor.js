@@ -0,0 +1,40 @@
+// Anchor links on a loaded page, skipping javascript: and same-page fragment links
+export async function extractLinks(page) {
+    return page.evaluate(() => {
+        return Array.from(document.getElementsByTagName('a'))
+            .map(link => ({
+                href: link.href,
+                text: link.innerText.trim()
+            }))
+            .filter(link => link.href && !link.href.startsWith('javascript:') && !link.href.startsWith('#'));
+    });
+}
+
+// Links, images, scripts and stylesheets on a loaded page, with where on the page each sits:
+// navigation (nav and header landmarks), footer, body, or head for resources loaded there
+export async function extractResources(page) {
+    return page.evaluate(() => {
+        const locationOf = element => {
+            if (element.closest('footer, [role="contentinfo"]')) return 'footer';
+            if (element.closest('nav, header, [role="navigation"], [role="banner"]')) return 'nav';
+            return 'body';
+        };
+
+        const resources = [];
+        for (const link of document.querySelectorAll('a[href], area[href]')) {
+            if (link.getAttribute('href').startsWith('#')) continue;
+            resources.push({ kind: 'link', url: link.href, text: (link.innerText ?? link.getAttribute('alt') ?? '').trim(), location: locationOf(link) });
+        }
+        for (const image of document.querySelectorAll('img')) {
+            const url = image.currentSrc || image.src;
+            if (url) resources.push({ kind: 'image', url, text: image.alt, location: locationOf(image) });
+        }
+        for (const script of document.querySelectorAll('script[src]')) {
+            resources.push({ kind: 'script', url: script.src, text: '', location: script.closest('head') ? 'head' : locationOf(script) });
+        }
+        for (const stylesheet of document.querySelectorAll('link[rel~="stylesheet"][href]')) {
+            resources.push({ kind: 'stylesheet', url: stylesheet.href, text: '', location: stylesheet.closest('head') ? 'head' : locationOf(stylesheet) });
+        }
+        return resources;
+    });
+}
@@ -0,0 +1,52 @@
+// Helpers shared by the functions that run inside audited pages. Functions passed to
+// page.evaluate() are serialised on their own, so they cannot import these; instead
+// installPageHelpers() defines them on window.__auditHelpers, where in-page code reads them.
+
+// A CSS selector that finds the element again: the shortest path up to a unique id, or to the root
+function selectorFor(element) {
+    const parts = [];
+    for (let node = element; node && node.nodeType === Node.ELEMENT_NODE; node = node.parentElement) {
+        const document = node.ownerDocument;
+        if (node.id && document.querySelectorAll(`#${CSS.escape(node.id)}`).length === 1) {
+            parts.unshift(`#${CSS.escape(node.id)}`);
+            break;
+        }
+        if (node === document.documentElement) {
+            parts.unshift('html');
+            break;
+        }
+        const siblings = Array.from(node.parentElement?.children ?? []).filter(child => child.tagName === node.tagName);
+        const tag = node.tagName.toLowerCase();
+        parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(node) + 1})` : tag);
+    }
+    return parts.join(' > ');
+}
+
+function numberOrNull(value) {
+    return value === '' || value === null || !Number.isFinite(Number(value)) ? null : Number(value);
+}
+
+// The validation constraints a form field declares
+function fieldConstraints(element) {
+    return {
+        required: element.required,
+        min: element.getAttribute('min'),
+        max: element.getAttribute('max'),
+        step: numberOrNull(element.getAttribute('step')),
+        minLength: element.minLength > 0 ? element.minLength : null,
+        maxLength: element.maxLength > 0 ? element.maxLength : null,
+        pattern: element.getAttribute('pattern')
+    };
+}
+
+const PAGE_HELPERS = [selectorFor, numberOrNull, fieldConstraints];
+
+const HELPERS_SCRIPT = `(() => {
+${PAGE_HELPERS.map(String).join('\n')}
+window.__auditHelpers = { ${PAGE_HELPERS.map(helper => helper.name).join(', ')} };
+})()`;
+
+// Defines the helpers in the page's current document; call it again after a navigation
+export async function installPageHelpers(page) {
+    await page.evaluate(HELPERS_SCRIPT);
+}
@@ -0,0 +1,140 @@
+import axios from 'axios';
+import net from 'net';
+
+// Redirect chain tracing for the http/https and www/apex variants of a URL. Redirects are
+// followed one hop at a time so every status code, latency and header set is recorded.
+
+const SEVERITY_PENALTY = { high: 25, medium: 10, low: 5, info: 0 };
+
+const PERMANENT_STATUSES = [301, 308];
+const MAX_REDIRECTS = 2;
+
+const finding = (severity, message, variant = null) => ({ severity, message, variant });
+
+// The four scheme/host spellings a visitor might type. Hosts without a www form (IP
+// addresses, localhost) only get the scheme variants.
+export function urlVariants(url) {
+    const parsed = new URL(url);
+    const apex = parsed.hostname.replace(/^www\./i, '');
+    const hosts = net.isIP(apex.replace(/^\[|\]$/g, '')) || !apex.includes('.') ? [parsed.hostname] : [apex, `www.${apex}`];
+    // A non-default port only makes sense for the scheme it was given with
+    const port = parsed.port ? `:${parsed.port}` : '';
+    const schemes = port ? [parsed.protocol] : ['http:', 'https:'];
+    const rest = `${parsed.pathname}${parsed.search}`;
+
+    return schemes.flatMap(scheme => hosts.map(host => `${scheme}//${host}${port}${rest}`));
+}
+
+export async function traceRedirects(url, { timeout = 30000, userAgent, maxHops = 10 } = {}) {
+    const hops = [];
+    const seen = new Set();
+    let current = url;
+
+    while (hops.length < maxHops) {
+        if (seen.has(current)) return { start: url, hops, loop: true, finalUrl: null, finalStatus: null };
+        seen.add(current);
+
+        const started = Date.now();
+        const response = await axios.get(current, {
+            headers: userAgent ? { 'User-Agent': userAgent } : {},
+            timeout,
+            maxRedirects: 0,
+            validateStatus: () => true,
+            // Only the status and headers matter; the body is dropped unread
+            responseType: 'stream'
+        });
+        response.data.destroy();
+
+        const location = response.headers.location;
+        const next = response.status >= 300 && response.status < 400 && location
+            ? new URL(location, current).href : null;
+        hops.push({
+            url: current,
+            status: response.status,
+            latencyMs: Date.now() - started,
+            headers: { ...response.headers },
+            location: next
+        });
+
+        if (!next) return { start: url, hops, loop: false, finalUrl: current, finalStatus: response.status };
+        current = next;
+    }
+
+    return { start: url, hops, loop: false, tooManyHops: true, finalUrl: null, finalStatus: null };
+}
+
+function checkChain(chain) {
+    const findings = [];
+    const add = (severity, message) => findings.push(finding(severity, message, chain.start));
+    const redirects = chain.hops.filter(hop => hop.location);
+    const endsOnHttps = chain.finalUrl?.startsWith('https:');
+
+    if (chain.loop) {
+        add('high', `Redirect loop: ${[...chain.hops.map(hop => hop.url), chain.hops.at(-1).location].join(' -> ')}`);
+    }
+    if (chain.tooManyHops) add('high', `Redirect chain did not end after ${chain.hops.length} hops`);
+
+    for (const hop of redirects) {
+        const from = new URL(hop.url);
+        const to = new URL(hop.location);
+
+        if (from.protocol === 'https:' && to.protocol === 'http:') {
+            add('high', `${hop.url} downgrades to plain http (${hop.location})`);
+        } else if (to.protocol === 'http:' && endsOnHttps) {
+            add('medium', `${hop.url} redirects to another plain http URL (${hop.location}) instead of going straight to https`);
+        }
+
+        // Scheme and host canonicalization should be cached by browsers and search engines
+        const canonicalizing = from.protocol !== to.protocol || from.host !== to.host;
+        if (canonicalizing && !PERMANENT_STATUSES.includes(hop.status)) {
+            add('medium', `${hop.url} uses a temporary ${hop.status} redirect to ${hop.location}; use 301 or 308`);
+        }
+    }
+
+    if (redirects.length > MAX_REDIRECTS) {
+        add('low', `${redirects.length} redirects before the final page; redirect straight to ${chain.finalUrl ?? 'the canonical URL'}`);
+    }
+
+    if (new URL(chain.start).protocol === 'http:' && chain.finalUrl && new URL(chain.finalUrl).protocol !== 'https:') {
+        add('high', `${chain.start} is served over plain http without redirecting to https`);
+    }
+
+    return findings;
+}
+
+// Traces every variant of the URL. Variants that cannot be reached at all are reported but only
+// cost points when they are the URL that was asked for.
+export async function auditRedirects(url, options = {}) {
+    const chains = [];
+    for (const variant of urlVariants(url)) {
+        try {
+            chains.push(await traceRedirects(variant, options));
+        } catch (error) {
+            chains.push({ start: variant, hops: [], loop: false, finalUrl: null, finalStatus: null, error: error.message });
+        }
+    }
+
+    const findings = [];
+    for (const chain of chains) {
+        if (chain.error) {
+            const requested = chain.start === new URL(url).href;
+            findings.push(finding(requested ? 'high' : 'info', `${chain.start} could not be reached: ${chain.error}`, chain.start));
+            continue;
+        }
+        findings.push(...checkChain(chain));
+    }
+
+    const destinations = new Set(chains.filter(chain => chain.finalUrl).map(chain => chain.finalUrl));
+    if (destinations.size > 1) {
+        findings.push(finding('low', `Variants end on different URLs (${Array.from(destinations).join(', ')}); redirect them all to one canonical URL`));
+    }
+
+    const httpChains = chains.filter(chain => !chain.error && new URL(chain.start).protocol === 'http:');
+    return {
+        chains,
+        upgradesToHttps: httpChains.length ? httpChains.every(chain => chain.finalUrl?.startsWith('https:')) : null,
+        canonicalUrl: destinations.size === 1 ? Array.from(destinations)[0] : null,
+        score: Math.max(0, 100 - findings.reduce((sum, item) => sum + SEVERITY_PENALTY[item.severity], 0)),
+        findings
+    };
+}
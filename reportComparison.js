@@ -0,0 +1,183 @@
+// Diffs two full audit reports of the same URL and flags regressions beyond thresholds.
+
+// Score thresholds are drops in points; metric thresholds are increases in the metric's unit
+// (milliseconds, or the unitless CLS); count thresholds are how many new items are tolerated.
+export const DEFAULT_THRESHOLDS = {
+    overallScore: 5,
+    categoryScore: 10,
+    lighthouseScore: 5,
+    metrics: {
+        firstContentfulPaint: 300,
+        largestContentfulPaint: 500,
+        speedIndex: 500,
+        totalBlockingTime: 100,
+        cumulativeLayoutShift: 0.05
+    },
+    removedSecurityHeaders: 0,
+    newThirdPartyDomains: 0,
+    newBrokenLinks: 0
+};
+
+const LIGHTHOUSE_CATEGORIES = ['performance', 'accessibility', 'bestPractices', 'seo'];
+
+const change = (before, after) => ({
+    before: before ?? null,
+    after: after ?? null,
+    delta: Number.isFinite(before) && Number.isFinite(after) ? after - before : null
+});
+
+// A usable result, or null when the analyzer did not run or failed in that report
+const resultOf = (report, name) => {
+    const result = report.results?.[name];
+    return result && !result.error ? result : null;
+};
+
+function diffLighthouse(before, after) {
+    if (!before || !after) return null;
+
+    const scores = {};
+    for (const category of LIGHTHOUSE_CATEGORIES) {
+        scores[category] = change(before[category]?.score, after[category]?.score);
+    }
+
+    const metrics = {};
+    const names = new Set([
+        ...Object.keys(before.performance?.metrics ?? {}),
+        ...Object.keys(after.performance?.metrics ?? {})
+    ]);
+    for (const name of names) {
+        metrics[name] = change(before.performance?.metrics?.[name], after.performance?.metrics?.[name]);
+    }
+
+    return { scores, metrics };
+}
+
+function diffSecurityHeaders(before, after) {
+    if (!before || !after) return null;
+
+    const headers = new Set([...Object.keys(before.headers ?? {}), ...Object.keys(after.headers ?? {})]);
+    const diff = { added: [], removed: [], changed: [] };
+
+    for (const header of headers) {
+        const oldValue = before.headers?.[header] ?? null;
+        const newValue = after.headers?.[header] ?? null;
+
+        if (!oldValue && newValue) diff.added.push({ header, value: newValue });
+        else if (oldValue && !newValue) diff.removed.push({ header, value: oldValue });
+        else if (oldValue !== newValue) diff.changed.push({ header, before: oldValue, after: newValue });
+    }
+
+    return { ...diff, score: change(before.score, after.score) };
+}
+
+function diffThirdParty(before, after) {
+    if (!before || !after) return null;
+
+    const oldDomains = new Set(Object.keys(before.details ?? {}));
+    const newDomains = new Set(Object.keys(after.details ?? {}));
+
+    return {
+        added: [...newDomains].filter(domain => !oldDomains.has(domain)),
+        removed: [...oldDomains].filter(domain => !newDomains.has(domain)),
+        total: change(oldDomains.size, newDomains.size)
+    };
+}
+
+function diffBrokenLinks(before, after) {
+    if (!before || !after) return null;
+
+    const oldLinks = new Map(before.brokenLinks.map(link => [link.url, link]));
+    const newLinks = new Map(after.brokenLinks.map(link => [link.url, link]));
+
+    return {
+        new: [...newLinks.values()].filter(link => !oldLinks.has(link.url)),
+        fixed: [...oldLinks.values()].filter(link => !newLinks.has(link.url)),
+        total: change(oldLinks.size, newLinks.size)
+    };
+}
+
+function diffCategories(before, after) {
+    const categories = new Set([
+        ...Object.keys(before.scoreBreakdown ?? {}),
+        ...Object.keys(after.scoreBreakdown ?? {})
+    ]);
+
+    const diff = {};
+    for (const category of categories) {
+        diff[category] = change(before.scoreBreakdown?.[category]?.score, after.scoreBreakdown?.[category]?.score);
+    }
+    return diff;
+}
+
+function findRegressions(diff, thresholds) {
+    const regressions = [];
+    const flag = (check, entry, threshold, message) => regressions.push({ check, ...entry, threshold, message });
+
+    // Higher is better for scores, lower is better for timing metrics
+    const scoreDropped = (entry, threshold) => entry.delta !== null && -entry.delta > threshold;
+    const metricRose = (entry, threshold) => entry.delta !== null && entry.delta > threshold;
+
+    if (scoreDropped(diff.overallScore, thresholds.overallScore)) {
+        flag('overallScore', diff.overallScore, thresholds.overallScore,
+            `Overall score dropped by ${-diff.overallScore.delta} points`);
+    }
+
+    for (const [category, entry] of Object.entries(diff.categories)) {
+        if (scoreDropped(entry, thresholds.categoryScore)) {
+            flag(`category.${category}`, entry, thresholds.categoryScore,
+                `${category} score dropped by ${-entry.delta} points`);
+        }
+    }
+
+    if (diff.lighthouse) {
+        for (const [category, entry] of Object.entries(diff.lighthouse.scores)) {
+            if (scoreDropped(entry, thresholds.lighthouseScore)) {
+                flag(`lighthouse.${category}`, entry, thresholds.lighthouseScore,
+                    `Lighthouse ${category} score dropped by ${-entry.delta} points`);
+            }
+        }
+        for (const [metric, entry] of Object.entries(diff.lighthouse.metrics)) {
+            const threshold = thresholds.metrics?.[metric];
+            if (threshold !== undefined && metricRose(entry, threshold)) {
+                flag(`metric.${metric}`, entry, threshold, `${metric} worsened by ${+entry.delta.toFixed(3)}`);
+            }
+        }
+    }
+
+    const counts = [
+        ['removedSecurityHeaders', diff.securityHeaders?.removed, item => item.header, 'Security headers removed'],
+        ['newThirdPartyDomains', diff.thirdParty?.added, item => item, 'New third-party domains'],
+        ['newBrokenLinks', diff.brokenLinks?.new, item => item.url, 'New broken links']
+    ];
+    for (const [check, items, label, message] of counts) {
+        if (items && items.length > thresholds[check]) {
+            flag(check, { before: null, after: items.length, delta: items.length }, thresholds[check],
+                `${message}: ${items.map(label).join(', ')}`);
+        }
+    }
+
+    return regressions;
+}
+
+export function compareReports(before, after, thresholds = {}) {
+    const merged = {
+        ...DEFAULT_THRESHOLDS,
+        ...thresholds,
+        metrics: { ...DEFAULT_THRESHOLDS.metrics, ...thresholds.metrics }
+    };
+
+    const diff = {
+        url: after.url,
+        before: before.timestamp,
+        after: after.timestamp,
+        overallScore: change(before.overallScore, after.overallScore),
+        categories: diffCategories(before, after),
+        lighthouse: diffLighthouse(resultOf(before, 'performance'), resultOf(after, 'performance')),
+        securityHeaders: diffSecurityHeaders(resultOf(before, 'security'), resultOf(after, 'security')),
+        thirdParty: diffThirdParty(resultOf(before, 'third-party'), resultOf(after, 'third-party')),
+        brokenLinks: diffBrokenLinks(resultOf(before, 'backlinks'), resultOf(after, 'backlinks'))
+    };
+
+    diff.regressions = findRegressions(diff, merged);
+    return diff;
+}
@@ -0,0 +1,76 @@
+// Minimal robots.txt support following RFC 9309: user-agent groups, Allow/Disallow rules with
+// `*` and `$` wildcards (longest match wins, Allow wins ties) and Sitemap lines.
+
+export function parseRobotsTxt(text = '') {
+    const groups = [];
+    const sitemaps = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const separator = line.indexOf(':');
+        if (separator === -1) continue;
+
+        const field = line.slice(0, separator).trim().toLowerCase();
+        const value = line.slice(separator + 1).trim();
+
+        if (field === 'user-agent') {
+            // Consecutive user-agent lines share one group
+            if (!current || !lastWasAgent) {
+                current = { agents: [], rules: [] };
+                groups.push(current);
+            }
+            current.agents.push(value.toLowerCase());
+            lastWasAgent = true;
+            continue;
+        }
+
+        lastWasAgent = false;
+
+        if (field === 'sitemap') {
+            if (value) sitemaps.push(value);
+        } else if ((field === 'allow' || field === 'disallow') && current) {
+            // An empty Disallow allows everything, so it adds no rule
+            if (value) current.rules.push({ allow: field === 'allow', path: value });
+        }
+    }
+
+    return { groups, sitemaps };
+}
+
+function ruleMatches(rulePath, target) {
+    const anchored = rulePath.endsWith('$');
+    const pattern = (anchored ? rulePath.slice(0, -1) : rulePath)
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+
+    return new RegExp(`^${pattern}${anchored ? '$' : ''}`).test(target);
+}
+
+export function isAllowedByRobots(robots, url, userAgent = '*') {
+    if (!robots) return true;
+
+    const agent = userAgent.toLowerCase();
+    const { pathname, search } = new URL(url);
+    const target = `${pathname}${search}`;
+
+    // Use the groups naming this crawler, falling back to the `*` groups
+    let groups = robots.groups.filter(group =>
+        group.agents.some(name => name !== '*' && agent.includes(name)));
+    if (!groups.length) {
+        groups = robots.groups.filter(group => group.agents.includes('*'));
+    }
+
+    let best = null;
+    for (const rule of groups.flatMap(group => group.rules)) {
+        if (!ruleMatches(rule.path, target)) continue;
+        if (!best || rule.path.length > best.path.length ||
+            (rule.path.length === best.path.length && rule.allow)) {
+            best = rule;
+        }
+    }
+
+    return best ? best.allow : true;
+}
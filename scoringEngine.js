@@ -0,0 +1,89 @@
+// Relative weight of each analyzer category in the overall score. Categories without a weight
+// (for example from custom plugins) are reported but count for nothing until one is configured.
+export const DEFAULT_WEIGHTS = {
+    performance: 25,
+    security: 25,
+    accessibility: 20,
+    links: 10,
+    forms: 5,
+    thirdParty: 5,
+    pwa: 5,
+    interaction: 5
+};
+
+export function letterGrade(score) {
+    if (score === null) return null;
+    if (score >= 90) return 'A';
+    if (score >= 80) return 'B';
+    if (score >= 70) return 'C';
+    if (score >= 60) return 'D';
+    return 'F';
+}
+
+const clamp = score => Math.min(100, Math.max(0, score));
+
+// Combines per-analyzer scores (the summaries produced by WebsiteAuditor.runAnalyzers) into
+// category scores and a weighted overall score. Categories whose analyzers all failed are left
+// out and the remaining weights are rescaled, so a failure never counts as a zero.
+class ScoringEngine {
+    constructor(weights = {}) {
+        this.weights = { ...DEFAULT_WEIGHTS, ...weights };
+    }
+
+    score(analyzers) {
+        const categories = {};
+        for (const [name, summary] of Object.entries(analyzers)) {
+            const category = categories[summary.category] ??= { scored: [], failed: [], notApplicable: [] };
+
+            if (summary.status === 'failed') {
+                category.failed.push(name);
+            } else if (Number.isFinite(summary.score)) {
+                category.scored.push({ name, score: clamp(summary.score) });
+            } else {
+                category.notApplicable.push(name);
+            }
+        }
+
+        const breakdown = {};
+        const missingCategories = [];
+        let weightedSum = 0;
+        let totalWeight = 0;
+
+        for (const [category, { scored, failed, notApplicable }] of Object.entries(categories)) {
+            const weight = this.weights[category] ?? 0;
+            const entry = {
+                score: null,
+                weight,
+                status: 'scored',
+                analyzers: scored.map(item => item.name),
+                failedAnalyzers: failed
+            };
+
+            if (scored.length) {
+                entry.score = Math.round(scored.reduce((sum, item) => sum + item.score, 0) / scored.length);
+                weightedSum += entry.score * weight;
+                totalWeight += weight;
+            } else if (failed.length) {
+                entry.status = 'failed';
+                missingCategories.push(category);
+            } else {
+                // Nothing to judge, e.g. a page without forms
+                entry.status = 'not-applicable';
+                entry.analyzers = notApplicable;
+            }
+
+            breakdown[category] = entry;
+        }
+
+        const overall = totalWeight > 0 ? Math.round(weightedSum / totalWeight) : null;
+
+        return {
+            overall,
+            grade: letterGrade(overall),
+            breakdown,
+            missingCategories
+        };
+    }
+}
+
+export default ScoringEngine;
@@ -0,0 +1,179 @@
+// Value-level validation of security response headers. Each check returns a status, the share
+// of the header's weight it earns (0-1) and findings with a severity.
+
+const ONE_YEAR = 31536000;
+const SIX_MONTHS = 15768000;
+
+// Stronger policies leak less of the URL to other origins
+const REFERRER_POLICY_STRENGTH = {
+    'no-referrer': 1,
+    'same-origin': 1,
+    'strict-origin': 0.9,
+    'strict-origin-when-cross-origin': 0.9,
+    'origin': 0.6,
+    'origin-when-cross-origin': 0.6,
+    'no-referrer-when-downgrade': 0.3,
+    'unsafe-url': 0
+};
+
+// Powerful features a Permissions-Policy is expected to restrict
+const SENSITIVE_FEATURES = ['camera', 'microphone', 'geolocation', 'payment', 'usb', 'display-capture'];
+
+const result = (status, fraction, findings = [], details = {}) => ({ status, fraction, findings, ...details });
+const finding = (severity, message) => ({ severity, message });
+
+export function checkHsts(value, { https = true } = {}) {
+    if (!value) return result('missing', 0, [finding('high', 'Implement HSTS to enforce HTTPS connections')]);
+
+    const directives = value.split(';').map(part => part.trim().toLowerCase()).filter(Boolean);
+    const maxAgeDirective = directives.find(directive => directive.startsWith('max-age'));
+    const maxAge = maxAgeDirective ? Number(maxAgeDirective.split('=')[1]?.replace(/"/g, '')) : NaN;
+    const includeSubDomains = directives.includes('includesubdomains');
+    const preload = directives.includes('preload');
+    const details = {
+        maxAge: Number.isFinite(maxAge) ? maxAge : null,
+        includeSubDomains,
+        preload,
+        preloadEligible: maxAge >= ONE_YEAR && includeSubDomains && preload
+    };
+
+    if (!https) {
+        return result('invalid', 0, [finding('high', 'HSTS is ignored on plain http responses; serve the site over HTTPS')], details);
+    }
+    if (!Number.isFinite(maxAge)) {
+        return result('invalid', 0, [finding('high', 'HSTS has no valid max-age, so browsers ignore it')], details);
+    }
+    if (maxAge === 0) {
+        return result('invalid', 0, [finding('high', 'HSTS max-age=0 tells browsers to forget the HSTS policy')], details);
+    }
+
+    const findings = [];
+    let fraction = 1;
+
+    if (maxAge < SIX_MONTHS) {
+        fraction = 0.4;
+        findings.push(finding('medium', `HSTS max-age is ${maxAge}s; use at least ${ONE_YEAR} (one year)`));
+    } else if (maxAge < ONE_YEAR) {
+        fraction = 0.75;
+        findings.push(finding('low', `HSTS max-age is under one year; use at least ${ONE_YEAR}`));
+    }
+
+    if (!includeSubDomains) {
+        fraction -= 0.1;
+        findings.push(finding('low', 'HSTS lacks includeSubDomains, so subdomains can still be reached over http'));
+    }
+    if (preload && !details.preloadEligible) {
+        findings.push(finding('low', 'HSTS asks for preload but is not eligible: it needs max-age of a year or more and includeSubDomains'));
+    }
+
+    return result(findings.length ? 'weak' : 'good', Math.max(0, fraction), findings, details);
+}
+
+export function checkFrameOptions(value, { frameAncestors = false } = {}) {
+    if (!value) {
+        // frame-ancestors supersedes X-Frame-Options in every current browser
+        if (frameAncestors) return result('good', 1, [finding('info', 'Framing is controlled by CSP frame-ancestors')]);
+        return result('missing', 0, [finding('medium', "Set X-Frame-Options: DENY (or CSP frame-ancestors 'none') to prevent clickjacking")]);
+    }
+
+    const normalized = value.trim().toUpperCase();
+    if (normalized === 'DENY' || normalized === 'SAMEORIGIN') return result('good', 1);
+
+    if (normalized.startsWith('ALLOW-FROM')) {
+        return result('weak', 0.3, [finding('medium', 'ALLOW-FROM is not supported by current browsers; use CSP frame-ancestors')]);
+    }
+    return result('invalid', 0, [finding('high', `"${value}" is not a valid X-Frame-Options value, so framing is not restricted; use DENY or SAMEORIGIN`)]);
+}
+
+export function checkContentTypeOptions(value) {
+    if (!value) return result('missing', 0, [finding('medium', 'Set X-Content-Type-Options: nosniff to stop MIME sniffing')]);
+    if (value.trim().toLowerCase() === 'nosniff') return result('good', 1);
+    return result('invalid', 0, [finding('medium', `"${value}" is not valid; the only value is nosniff`)]);
+}
+
+export function checkReferrerPolicy(value) {
+    if (!value) {
+        // Browsers default to strict-origin-when-cross-origin, which is acceptable
+        return result('missing', 0.5, [finding('low', 'Set Referrer-Policy explicitly, e.g. strict-origin-when-cross-origin')]);
+    }
+
+    // Browsers apply the last policy token they understand
+    const tokens = value.split(',').map(token => token.trim().toLowerCase());
+    const policy = tokens.reverse().find(token => token in REFERRER_POLICY_STRENGTH);
+    if (!policy) {
+        return result('invalid', 0, [finding('medium', `"${value}" contains no valid referrer policy`)]);
+    }
+
+    const fraction = REFERRER_POLICY_STRENGTH[policy];
+    if (fraction >= 0.9) return result('good', fraction, [], { policy });
+    if (policy === 'unsafe-url') {
+        return result('weak', fraction, [finding('high', 'unsafe-url sends the full URL, including path and query, to every origin')], { policy });
+    }
+    return result('weak', fraction, [finding(fraction < 0.5 ? 'medium' : 'low',
+        `${policy} leaks more than needed; prefer strict-origin-when-cross-origin or no-referrer`)], { policy });
+}
+
+// Parses the structured-header form: feature=(allowlist), feature=*, feature=()
+function parsePermissionsPolicy(value) {
+    const features = {};
+    for (const item of value.split(',')) {
+        const match = item.trim().match(/^([a-z0-9-]+)=(\*|\(([^)]*)\)|self|"[^"]*")$/i);
+        if (!match) return null;
+
+        const [, feature, raw, list] = match;
+        features[feature.toLowerCase()] = raw === '*' ? ['*']
+            : list !== undefined ? list.split(/\s+/).filter(Boolean)
+                : [raw];
+    }
+    return features;
+}
+
+export function checkPermissionsPolicy(value) {
+    if (!value) {
+        return result('missing', 0, [finding('low', `Set Permissions-Policy to disable unused features, e.g. ${SENSITIVE_FEATURES.map(name => `${name}=()`).join(', ')}`)]);
+    }
+
+    const features = parsePermissionsPolicy(value);
+    if (!features) {
+        return result('invalid', 0, [finding('medium', 'Permissions-Policy could not be parsed; it uses feature=(allowlist) syntax, not the old Feature-Policy syntax')]);
+    }
+
+    const findings = [];
+    const wildcard = SENSITIVE_FEATURES.filter(name => features[name]?.includes('*'));
+    const unrestricted = SENSITIVE_FEATURES.filter(name => !features[name]);
+
+    if (wildcard.length) {
+        findings.push(finding('medium', `Sensitive features allowed for every origin: ${wildcard.join(', ')}`));
+    }
+    if (unrestricted.length) {
+        findings.push(finding('low', `Sensitive features not restricted: ${unrestricted.join(', ')}`));
+    }
+
+    const restricted = SENSITIVE_FEATURES.length - wildcard.length - unrestricted.length;
+    // Sending the header at all earns half the weight; restricting sensitive features the rest
+    const fraction = 0.5 + 0.5 * (restricted / SENSITIVE_FEATURES.length);
+
+    return result(findings.length ? 'weak' : 'good', fraction, findings, { features });
+}
+
+export function checkXssProtection(value) {
+    if (!value) return result('missing', 0);
+
+    // The XSS auditor is gone from browsers and its filter mode enabled XS-Leaks, so only
+    // disabling it is safe
+    if (value.trim().startsWith('0')) {
+        return result('deprecated', 0, [finding('info', 'X-XSS-Protection is deprecated; it can be removed')]);
+    }
+    return result('deprecated', -1, [finding('low', 'X-XSS-Protection is deprecated and enabling it can introduce XS-Leaks; set it to 0 or remove it and rely on CSP')]);
+}
+
+export function validateSecurityHeaders(headers, { https = true, frameAncestors = false } = {}) {
+    return {
+        'Strict-Transport-Security': checkHsts(headers['Strict-Transport-Security'], { https }),
+        'X-Frame-Options': checkFrameOptions(headers['X-Frame-Options'], { frameAncestors }),
+        'X-Content-Type-Options': checkContentTypeOptions(headers['X-Content-Type-Options']),
+        'Referrer-Policy': checkReferrerPolicy(headers['Referrer-Policy']),
+        'Permissions-Policy': checkPermissionsPolicy(headers['Permissions-Policy']),
+        'X-XSS-Protection': checkXssProtection(headers['X-XSS-Protection'])
+    };
+}
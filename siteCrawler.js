@@ -0,0 +1,176 @@
+import axios from 'axios';
+import { parseRobotsTxt, isAllowedByRobots } from './robotsTxt.js';
+import { extractLinks } from './linkExtractor.js';
+
+// Links to these are downloads or assets, not pages worth auditing
+const NON_PAGE_EXTENSIONS = /\.(pdf|zip|gz|rar|7z|png|jpe?g|gif|svg|webp|ico|mp4|webm|mp3|wav|css|js|json|xml|txt|docx?|xlsx?|pptx?)$/i;
+
+// Discovers same-origin pages from a start URL: robots.txt and sitemap.xml first, then the links
+// on every visited page, breadth first.
+class SiteCrawler {
+    constructor(options = {}) {
+        this.options = {
+            maxDepth: 2,
+            maxPages: 20,
+            // Regular expressions matched against a page's path and query string
+            include: [],
+            exclude: [],
+            respectRobots: true,
+            useSitemap: true,
+            maxSitemaps: 10,
+            robotsUserAgent: 'WebsiteAuditor',
+            userAgent: null,
+            timeout: 30000,
+            log: () => {},
+            ...options
+        };
+
+        this._include = this.options.include.map(pattern => new RegExp(pattern));
+        this._exclude = this.options.exclude.map(pattern => new RegExp(pattern));
+    }
+
+    // Absolute same-origin page URL without its fragment, or null when it should not be crawled
+    normalize(href, origin) {
+        let url;
+        try {
+            url = new URL(href, origin);
+        } catch {
+            return null;
+        }
+
+        if (!['http:', 'https:'].includes(url.protocol) || url.origin !== origin) return null;
+        if (NON_PAGE_EXTENSIONS.test(url.pathname)) return null;
+
+        url.hash = '';
+        return url.href;
+    }
+
+    _isInScope(url) {
+        const { pathname, search } = new URL(url);
+        const target = `${pathname}${search}`;
+
+        if (this._include.length && !this._include.some(pattern => pattern.test(target))) return false;
+        return !this._exclude.some(pattern => pattern.test(target));
+    }
+
+    async _fetchText(url) {
+        try {
+            const response = await axios.get(url, {
+                headers: this.options.userAgent ? { 'User-Agent': this.options.userAgent } : {},
+                timeout: this.options.timeout,
+                responseType: 'text',
+                validateStatus: status => status >= 200 && status < 300
+            });
+            return typeof response.data === 'string' ? response.data : null;
+        } catch {
+            return null;
+        }
+    }
+
+    async _loadRobots(origin) {
+        if (!this.options.respectRobots && !this.options.useSitemap) return null;
+
+        const text = await this._fetchText(`${origin}/robots.txt`);
+        return text === null ? null : parseRobotsTxt(text);
+    }
+
+    async _loadSitemapUrls(origin, robots) {
+        const pending = robots?.sitemaps.length ? [...robots.sitemaps] : [`${origin}/sitemap.xml`];
+        const fetched = new Set();
+        const urls = [];
+
+        while (pending.length && fetched.size < this.options.maxSitemaps) {
+            const sitemapUrl = pending.shift();
+            if (fetched.has(sitemapUrl)) continue;
+            fetched.add(sitemapUrl);
+
+            const xml = await this._fetchText(sitemapUrl);
+            if (!xml) continue;
+
+            const locations = Array.from(xml.matchAll(/<loc>\s*([^<]+?)\s*<\/loc>/gi), match =>
+                match[1].replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+                    .replace(/&quot;/g, '"').replace(/&apos;/g, "'"));
+
+            // A sitemap index lists further sitemaps rather than pages
+            if (/<sitemapindex[\s>]/i.test(xml)) {
+                pending.push(...locations);
+            } else {
+                urls.push(...locations);
+            }
+        }
+
+        this.options.log(`Found ${urls.length} URLs in ${fetched.size} sitemap(s)`);
+        return urls;
+    }
+
+    // Crawls breadth first. `visit(page)` runs for every page before its links are followed;
+    // pages are read through the session's shared capture and released once crawled.
+    async crawl(startUrl, session, visit) {
+        const start = new URL(startUrl);
+        const origin = start.origin;
+        start.hash = '';
+
+        const robots = await this._loadRobots(origin);
+        const seen = new Set();
+        const queue = [];
+        const skipped = [];
+        const pages = [];
+
+        const enqueue = (url, depth, source) => {
+            if (!url || seen.has(url)) return;
+            seen.add(url);
+
+            if (depth > this.options.maxDepth) {
+                skipped.push({ url, reason: 'depth' });
+            } else if (source !== 'seed' && !this._isInScope(url)) {
+                skipped.push({ url, reason: 'filtered' });
+            } else if (this.options.respectRobots &&
+                !isAllowedByRobots(robots, url, this.options.robotsUserAgent)) {
+                skipped.push({ url, reason: 'robots' });
+            } else {
+                queue.push({ url, depth, source });
+            }
+        };
+
+        enqueue(start.href, 0, 'seed');
+
+        if (this.options.useSitemap) {
+            for (const url of await this._loadSitemapUrls(origin, robots)) {
+                enqueue(this.normalize(url, origin), 1, 'sitemap');
+            }
+        }
+
+        while (queue.length && pages.length < this.options.maxPages) {
+            const entry = queue.shift();
+            this.options.log(`Crawling ${entry.url} (depth ${entry.depth})`);
+
+            await visit(entry);
+            pages.push(entry);
+
+            // Links of the deepest pages are still read, so the ones too deep to follow are recorded
+            try {
+                const { page } = await session.capture(entry.url);
+                for (const link of await extractLinks(page)) {
+                    enqueue(this.normalize(link.href, origin), entry.depth + 1, 'link');
+                }
+            } catch (error) {
+                this.options.log(`Could not extract links from ${entry.url}: ${error.message}`);
+            } finally {
+                await session.release(entry.url);
+            }
+        }
+
+        skipped.push(...queue.map(entry => ({ url: entry.url, reason: 'max-pages' })));
+
+        return {
+            pages,
+            skipped,
+            robots: {
+                found: robots !== null,
+                sitemaps: robots?.sitemaps ?? []
+            }
+        };
+    }
+}
+
+export default SiteCrawler;
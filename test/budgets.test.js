@@ -0,0 +1,58 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { validateBudgets, analyzersForBudgets, evaluateBudgets, toJUnitXml } from '../budgets.js';
+
+const report = {
+    url: 'https://example.com/?a=1&b=2',
+    timestamp: '2026-01-01T00:00:00.000Z',
+    overallScore: 74,
+    results: {
+        performance: { performance: { score: 88, metrics: { largestContentfulPaint: 3120.4567, cumulativeLayoutShift: 0.02 } } },
+        security: { error: 'timeout', score: 0 },
+        backlinks: { brokenLinks: [{ url: 'https://example.com/gone' }] }
+    }
+};
+
+test('rejects unknown budgets and non-numeric limits', () => {
+    assert.throws(() => validateBudgets([]), /must be an object/);
+    assert.throws(() => validateBudgets({ loadTime: 1000 }), /Unknown budget "loadTime"/);
+    assert.throws(() => validateBudgets({ brokenLinks: '0' }), /needs a numeric limit/);
+    assert.deepEqual(validateBudgets({ brokenLinks: 0 }), { brokenLinks: 0 });
+});
+
+test('runs only the analyzers the budgets read from', () => {
+    assert.deepEqual(analyzersForBudgets({ largestContentfulPaint: 2500, performanceScore: 90, brokenLinks: 0 }), ['performance', 'backlinks']);
+    assert.equal(analyzersForBudgets({ brokenLinks: 0, overallScore: 80 }), null);
+});
+
+test('passes, fails or errors each budget', () => {
+    const results = evaluateBudgets(report, {
+        largestContentfulPaint: 2500,
+        cumulativeLayoutShift: 0.1,
+        performanceScore: 90,
+        securityScore: 80,
+        pwaScore: 50,
+        brokenLinks: 1
+    });
+    const byName = Object.fromEntries(results.map(result => [result.name, result]));
+
+    assert.equal(byName.largestContentfulPaint.status, 'failed');
+    assert.equal(byName.largestContentfulPaint.message, 'largestContentfulPaint is 3120.457 ms, budget is at most 2500 ms');
+    assert.equal(byName.cumulativeLayoutShift.status, 'passed');
+    assert.equal(byName.performanceScore.message, 'performanceScore is 88 points, budget is at least 90 points');
+    // A failed analyzer and one that did not run both leave the budget without a value
+    assert.equal(byName.securityScore.status, 'error');
+    assert.equal(byName.pwaScore.status, 'error');
+    assert.equal(byName.brokenLinks.status, 'passed');
+});
+
+test('writes one escaped JUnit test case per budget', () => {
+    const results = evaluateBudgets(report, { overallScore: 80, brokenLinks: 1, securityScore: 80 });
+    const xml = toJUnitXml(report, results);
+
+    assert.match(xml, /<testsuites name="website-audit" tests="3" failures="1" errors="1">/);
+    assert.match(xml, /name="Budgets for https:\/\/example.com\/\?a=1&amp;b=2"/);
+    assert.match(xml, /<testcase classname="budgets.overall" name="overallScore &gt;= 80" time="0">\n\s+<failure message="overallScore is 74 points/);
+    assert.match(xml, /<testcase classname="budgets.backlinks" name="brokenLinks &lt;= 1" time="0"\/>/);
+    assert.match(xml, /<error message="No value for securityScore; its analyzer failed or did not run">actual: n\/a, limit: 80<\/error>/);
+});
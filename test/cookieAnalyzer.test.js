@@ -0,0 +1,104 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { siteOf, parseSetCookie, fromBrowserCookie, auditCookies } from '../cookieAnalyzer.js';
+
+const messages = cookie => cookie.findings.map(finding => `${finding.severity}: ${finding.message}`);
+
+test('groups hostnames by their registrable domain', () => {
+    assert.equal(siteOf('www.Example.com'), 'example.com');
+    assert.equal(siteOf('.cdn.example.com'), 'example.com');
+    assert.equal(siteOf('shop.example.co.uk'), 'example.co.uk');
+    assert.equal(siteOf('localhost'), 'localhost');
+});
+
+test('parses Set-Cookie attributes, with Max-Age over Expires', () => {
+    const cookie = parseSetCookie('sid=abc=def; Domain=.Example.com; Path=/app; Secure; HttpOnly; SameSite=strict; Expires=Wed, 01 Jan 2020 00:00:00 GMT; Max-Age=3600',
+        'https://www.example.com/login');
+
+    assert.equal(cookie.name, 'sid');
+    assert.equal(cookie.domain, 'Example.com');
+    assert.equal(cookie.hostOnly, false);
+    assert.equal(cookie.path, '/app');
+    assert.equal(cookie.secure, true);
+    assert.equal(cookie.httpOnly, true);
+    assert.equal(cookie.sameSite, 'Strict');
+    assert.ok(Math.abs(cookie.expires - (Date.now() / 1000 + 3600)) < 5);
+});
+
+test('defaults a bare Set-Cookie to a host-only session cookie', () => {
+    assert.deepEqual(parseSetCookie('theme=dark', 'https://www.example.com/'), {
+        name: 'theme',
+        domain: 'www.example.com',
+        hostOnly: true,
+        path: '/',
+        secure: false,
+        httpOnly: false,
+        sameSite: null,
+        expires: null
+    });
+    assert.equal(parseSetCookie('novalue', 'https://example.com/').name, '');
+    assert.equal(parseSetCookie('a=1; Expires=not a date', 'https://example.com/').expires, null);
+});
+
+test('normalizes cookies from the browser cookie jar', () => {
+    const cookie = fromBrowserCookie({
+        name: 'id', domain: '.example.com', path: '/', secure: true, httpOnly: false, expires: -1, session: true
+    });
+
+    assert.equal(cookie.domain, 'example.com');
+    assert.equal(cookie.hostOnly, false);
+    assert.equal(cookie.sameSite, null);
+    assert.equal(cookie.expires, null);
+});
+
+test('merges header and jar cookies, preferring what the browser stored', () => {
+    const report = auditCookies({
+        pageUrl: 'https://www.example.com/',
+        browserCookies: [{ name: 'prefs', domain: 'www.example.com', path: '/', secure: true, httpOnly: true, sameSite: 'Lax', expires: -1, session: true }],
+        headerCookies: [
+            { url: 'https://www.example.com/', header: 'prefs=1; Path=/' },
+            { url: 'https://ads.tracker.net/pixel', header: 'uid=1; Domain=tracker.net; SameSite=None; Secure' }
+        ],
+        jsReadableNames: ['prefs']
+    });
+
+    assert.equal(report.total, 2);
+    assert.equal(report.firstParty, 1);
+    assert.deepEqual(report.thirdPartyDomains, { 'tracker.net': 1 });
+
+    const prefs = report.cookies.find(cookie => cookie.name === 'prefs');
+    assert.deepEqual(prefs.sources, ['browser', 'header']);
+    assert.equal(prefs.secure, true);
+    assert.equal(prefs.jsReadable, true);
+    assert.deepEqual(prefs.findings, []);
+    // Third-party cookies are reported but do not count toward the score
+    assert.equal(report.score, 100);
+});
+
+test('flags weak session cookies and scores first-party cookies', () => {
+    const report = auditCookies({
+        pageUrl: 'https://example.com/',
+        headerCookies: [
+            { url: 'https://example.com/', header: 'session_id=1; SameSite=None; Max-Age=8640000' },
+            { url: 'https://example.com/', header: '__Host-csrf=1; Secure; HttpOnly; SameSite=Lax; Path=/; Domain=example.com' }
+        ]
+    });
+
+    const [session, host] = report.cookies;
+    assert.deepEqual(messages(session), [
+        'high: Missing Secure, so the cookie can be sent over plain http',
+        'high: Session cookie is readable from JavaScript; set HttpOnly',
+        'high: SameSite=None without Secure is rejected by browsers',
+        'medium: Session cookie lives 100 days; keep login sessions short'
+    ]);
+    assert.deepEqual(messages(host), ['medium: __Host- cookies must be Secure, host-only and use Path=/']);
+    // (100 - 70 + 100 - 10) / 2
+    assert.equal(report.score, 60);
+});
+
+test('leaves the score empty when the page sets no first-party cookies', () => {
+    const report = auditCookies({ pageUrl: 'http://example.com/' });
+
+    assert.equal(report.total, 0);
+    assert.equal(report.score, null);
+});
@@ -0,0 +1,138 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { hostileOrigins, findApiEndpoints, checkEndpoint, auditCors } from '../corsAnalyzer.js';
+
+const ENDPOINT = { url: 'https://api.example.com/items', methods: ['GET', 'PUT'] };
+
+// One preflight result per hostile origin, with the CORS headers the server answered with
+function preflights(pageUrl, answer) {
+    return hostileOrigins(pageUrl).map(({ kind, origin }) => ({
+        kind,
+        origin,
+        preflight: true,
+        status: 204,
+        allowOrigin: null,
+        allowCredentials: false,
+        allowMethods: [],
+        allowHeaders: [],
+        exposeHeaders: [],
+        maxAge: null,
+        vary: null,
+        ...answer(kind, origin)
+    }));
+}
+
+const messages = findings => findings.map(item => `${item.severity}: ${item.message}`);
+
+test('probes from foreign, null and look-alike origins', () => {
+    assert.deepEqual(hostileOrigins('https://shop.example.com/cart'), [
+        { kind: 'arbitrary', origin: 'https://cors-probe.invalid' },
+        { kind: 'null', origin: 'null' },
+        { kind: 'prefix', origin: 'https://shop.example.com.cors-probe.invalid' },
+        { kind: 'suffix', origin: 'https://corsprobeshop.example.com' },
+        { kind: 'insecure', origin: 'http://shop.example.com' }
+    ]);
+    assert.equal(hostileOrigins('http://example.com/').some(item => item.kind === 'insecure'), false);
+});
+
+test('collects the site\'s own XHR and fetch endpoints once per path', () => {
+    const endpoints = findApiEndpoints([
+        { type: 'document', method: 'GET', url: 'https://www.example.com/' },
+        { type: 'fetch', method: 'GET', url: 'https://api.example.com/items?page=1' },
+        { type: 'xhr', method: 'PUT', url: 'https://api.example.com/items?page=2' },
+        { type: 'fetch', method: 'GET', url: 'https://analytics.other.net/collect' },
+        { type: 'fetch', method: 'GET', url: 'data:application/json,{}' },
+        { type: 'xhr', method: 'POST', url: 'not a url' },
+        { type: 'xhr', method: 'POST', url: 'https://www.example.com/api/login' }
+    ], 'https://www.example.com/');
+
+    assert.deepEqual(endpoints, [
+        { url: 'https://api.example.com/items?page=1', methods: ['GET', 'PUT'] },
+        { url: 'https://www.example.com/api/login', methods: ['POST'] }
+    ]);
+    assert.equal(findApiEndpoints([
+        { type: 'fetch', method: 'GET', url: 'https://example.com/a' },
+        { type: 'fetch', method: 'GET', url: 'https://example.com/b' }
+    ], 'https://example.com/', 1).length, 1);
+});
+
+test('reports only the reflection when every origin is granted, plus broad grants', () => {
+    const probes = preflights('https://www.example.com/', (kind, origin) => ({
+        allowOrigin: origin,
+        allowCredentials: true,
+        allowMethods: ['GET', 'PUT', 'DELETE', 'TRACE'],
+        allowHeaders: ['x-audit-probe']
+    }));
+
+    assert.deepEqual(messages(checkEndpoint(ENDPOINT, probes)), [
+        'high: Reflects an arbitrary Origin back in Access-Control-Allow-Origin, with credentials allowed',
+        'medium: Allows the TRACE method(s) cross-origin',
+        'low: Allows DELETE cross-origin although the page never uses them here',
+        'low: Allows any request header cross-origin, including made-up ones',
+        'low: Access-Control-Allow-Origin varies with the request but the response has no "Vary: Origin"'
+    ]);
+});
+
+test('grades trusted null and http origins separately', () => {
+    const probes = preflights('https://www.example.com/', (kind, origin) => {
+        if (kind === 'null') return { allowOrigin: origin, allowCredentials: true, vary: 'Accept-Encoding, Origin' };
+        if (kind === 'insecure') return { allowOrigin: origin, vary: 'Origin' };
+        return {};
+    });
+
+    assert.deepEqual(messages(checkEndpoint(ENDPOINT, probes)), [
+        'high: Accepts the "null" origin, which sandboxed iframes and local files can send, with credentials allowed',
+        'low: Trusts the plain http origin of the site, so a network attacker can read responses'
+    ]);
+});
+
+test('treats a wildcard as public data and a closed policy as fine', () => {
+    const wildcard = preflights('https://www.example.com/', () => ({ allowOrigin: '*' }));
+    assert.deepEqual(messages(checkEndpoint(ENDPOINT, wildcard)), [
+        'info: Readable from any origin ("*") without credentials; fine for public data only'
+    ]);
+
+    const withCredentials = preflights('https://www.example.com/', () => ({ allowOrigin: '*', allowCredentials: true }));
+    assert.equal(checkEndpoint(ENDPOINT, withCredentials)[0].severity, 'medium');
+
+    assert.deepEqual(checkEndpoint(ENDPOINT, preflights('https://www.example.com/', () => ({}))), []);
+});
+
+test('probes the page itself when it calls no APIs', async () => {
+    // Reflects whatever Origin it is sent, with credentials and without Vary
+    const server = http.createServer((request, response) => {
+        if (request.headers.origin) {
+            response.setHeader('Access-Control-Allow-Origin', request.headers.origin);
+            response.setHeader('Access-Control-Allow-Credentials', 'true');
+        }
+        response.end('ok');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const pageUrl = `http://127.0.0.1:${server.address().port}/`;
+
+    try {
+        const report = await auditCors({ pageUrl, requests: [], timeout: 5000 });
+
+        assert.equal(report.endpointsFound, 0);
+        assert.equal(report.endpoints[0].document, true);
+        // A preflight and a GET from each of the four origins of an http page
+        assert.equal(report.endpoints[0].probes.length, 8);
+        assert.deepEqual(report.findings.map(item => item.severity), ['high', 'low']);
+        assert.equal(report.score, 77);
+    } finally {
+        server.close();
+    }
+});
+
+test('notes endpoints that could not be probed at all', async () => {
+    const server = http.createServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const pageUrl = `http://127.0.0.1:${server.address().port}/`;
+    await new Promise(resolve => server.close(resolve));
+
+    const report = await auditCors({ pageUrl, requests: [], timeout: 5000 });
+    assert.equal(report.findings.length, 1);
+    assert.match(report.findings[0].message, /^Could not be probed: /);
+    assert.equal(report.score, 100);
+});
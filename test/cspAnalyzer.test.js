@@ -0,0 +1,84 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsp, extractMetaPolicies, analyzeCsp } from '../cspAnalyzer.js';
+
+const STRICT = "default-src 'self'; script-src 'nonce-abc' 'strict-dynamic'; object-src 'none'; base-uri 'none'; frame-ancestors 'self'; report-to csp";
+
+const issues = (report, directive) => report.findings
+    .filter(finding => directive === undefined || finding.directive === directive)
+    .map(finding => finding.issue);
+
+test('parses every comma-separated policy and keeps the first of duplicate directives', () => {
+    assert.deepEqual(parseCsp("Script-Src 'self' https://cdn.example.com; script-src *; img-src data:;, default-src 'none'"), [
+        { 'script-src': ["'self'", 'https://cdn.example.com'], 'img-src': ['data:'] },
+        { 'default-src': ["'none'"] }
+    ]);
+    assert.deepEqual(parseCsp(' ; '), []);
+});
+
+test('extracts policies from http-equiv meta tags only', () => {
+    const html = `<head>
+        <meta charset="utf-8">
+        <META HTTP-EQUIV='Content-Security-Policy' CONTENT="script-src 'self' https://a.example/?x=1&amp;y=2">
+        <meta name="Content-Security-Policy" content="ignored">
+        <meta http-equiv=content-security-policy content=default-src>
+    </head>`;
+
+    assert.deepEqual(extractMetaPolicies(html), ["script-src 'self' https://a.example/?x=1&y=2", 'default-src']);
+    assert.deepEqual(extractMetaPolicies(), []);
+});
+
+test('scores a strict nonce-based policy without findings', () => {
+    const report = analyzeCsp({ header: STRICT });
+
+    assert.equal(report.enforced, true);
+    assert.equal(report.score, 100);
+    assert.deepEqual(report.findings, []);
+});
+
+test('flags unsafe sources, plain http and missing hardening directives', () => {
+    const report = analyzeCsp({ header: "default-src 'self' http://cdn.example.com; script-src 'self' 'unsafe-inline' 'unsafe-eval' https:; img-src *" });
+
+    assert.deepEqual(issues(report, 'script-src'), [
+        "'unsafe-inline' allows injected inline scripts to run",
+        "'unsafe-eval' allows eval() and new Function()",
+        'Wildcard or scheme-only sources allow scripts from any host',
+        'No nonces or hashes; an allowlist of hosts is easier to bypass'
+    ]);
+    assert.deepEqual(issues(report, 'default-src'), ['Allows sources over plain http:']);
+    assert.deepEqual(issues(report, 'img-src'), ['Wildcard source allows any host']);
+    assert.ok(issues(report, 'object-src').length);
+    assert.ok(issues(report, 'base-uri').length);
+    assert.ok(issues(report, 'frame-ancestors').length);
+    assert.equal(report.score, 0);
+});
+
+test('ignores unsafe-inline next to a nonce and falls back to default-src', () => {
+    const report = analyzeCsp({ header: "default-src 'nonce-abc' 'unsafe-inline'; object-src 'none'; base-uri 'self'; frame-ancestors 'none'; report-uri /csp" });
+
+    assert.deepEqual(report.findings, []);
+    assert.equal(analyzeCsp({ header: "img-src 'self'" }).findings[0].issue, 'No script-src or default-src, so scripts may load from anywhere');
+});
+
+test('notes directives that meta policies cannot deliver', () => {
+    const report = analyzeCsp({ metaPolicies: [`${STRICT}; sandbox`] });
+
+    assert.deepEqual(issues(report).filter(issue => issue.includes('<meta>')), [
+        'frame-ancestors is ignored in <meta> policies',
+        'sandbox is ignored in <meta> policies'
+    ]);
+    assert.equal(report.findings.find(finding => finding.directive === 'sandbox').severity, 'info');
+    assert.equal(report.score, 100);
+});
+
+test('scores the strongest of several enforced policies and not report-only ones', () => {
+    assert.equal(analyzeCsp({ header: `${STRICT}, script-src *` }).score, 100);
+
+    const reportOnly = analyzeCsp({ reportOnlyHeader: STRICT });
+    assert.equal(reportOnly.present, true);
+    assert.equal(reportOnly.enforced, false);
+    assert.equal(reportOnly.score, 0);
+    assert.equal(reportOnly.findings[0].issue, 'Only a report-only policy is present, so nothing is enforced');
+
+    assert.equal(analyzeCsp().findings[0].issue, 'No Content-Security-Policy is set');
+});
@@ -0,0 +1,85 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { boundaryValue, attemptValues, findSubmission } from '../formTester.js';
+
+// A field as discoverForms() describes it, with the constraints fieldConstraints() reads
+const field = (type, constraints = {}, options = null) => ({
+    selector: `#${type}`,
+    name: type,
+    tag: type === 'select' || type === 'textarea' ? type : 'input',
+    type,
+    constraints: { required: false, min: null, max: null, step: null, minLength: null, maxLength: null, pattern: null, ...constraints },
+    options
+});
+
+const FORM = { action: 'https://example.com/login', method: 'post' };
+
+const valuesOf = (form, kind) => attemptValues(form, kind)?.map(item => item.value) ?? null;
+
+test('picks a value on the edge of each field\'s constraints', () => {
+    assert.equal(boundaryValue(field('number', { min: '1', max: '10' })), '10');
+    assert.equal(boundaryValue(field('date', { min: '2024-01-01' })), '2024-01-01');
+    assert.equal(boundaryValue(field('text', { minLength: 3, maxLength: 5 })), 'xxxxx');
+    assert.equal(boundaryValue(field('password', { minLength: 8 })), 'xxxxxxxx');
+    assert.equal(boundaryValue(field('text', { maxLength: 5, pattern: '[a-z]+' })), null);
+    assert.equal(boundaryValue(field('email', { maxLength: 50 })), null);
+});
+
+test('fills every field for each kind of attempt', () => {
+    const form = {
+        ...FORM,
+        fields: [
+            field('email', { required: true }),
+            field('number', { min: '1', max: '10' }),
+            field('text', { maxLength: 5 }),
+            field('checkbox', { required: true }),
+            field('radio')
+        ]
+    };
+
+    assert.deepEqual(valuesOf(form, 'empty'), ['', '', '', false, null]);
+    // Fields without an invalid value keep their valid one
+    assert.deepEqual(valuesOf(form, 'invalid'), ['jane.doe@', '11', 'Test ', false, true]);
+    assert.deepEqual(valuesOf(form, 'boundary'), ['jane.doe@example.com', '10', 'xxxxx', true, true]);
+    assert.deepEqual(valuesOf(form, 'valid'), ['jane.doe@example.com', '1', 'Test ', true, true]);
+    assert.equal(attemptValues(form, 'valid')[0].field, form.fields[0]);
+});
+
+test('skips attempts that would test nothing new', () => {
+    const form = { ...FORM, fields: [field('text'), field('select', {}, ['', 'a', 'b'])] };
+
+    assert.equal(attemptValues(form, 'invalid'), null);
+    assert.equal(attemptValues(form, 'boundary'), null);
+    assert.deepEqual(valuesOf(form, 'valid'), ['Test input', 'a']);
+    assert.deepEqual(valuesOf({ ...FORM, fields: [field('select', { required: true }, ['', 'a'])] }, 'invalid'), ['']);
+});
+
+test('finds the request a form sent to its action', () => {
+    const captured = [
+        { url: 'https://example.com/poll', method: 'GET', type: 'fetch', navigation: false },
+        { url: 'https://example.com/login?next=%2F', method: 'POST', type: 'document', navigation: true }
+    ];
+
+    assert.equal(findSubmission(captured, FORM), captured[1]);
+    // The method has to match too; a GET to the action is not this form's submission
+    assert.equal(findSubmission([{ ...captured[1], method: 'GET', navigation: false }], FORM), null);
+});
+
+test('falls back to a navigation of the page', () => {
+    const navigation = { url: 'https://example.com/welcome', method: 'GET', type: 'document', navigation: true };
+
+    assert.equal(findSubmission([navigation], FORM), navigation);
+    assert.equal(findSubmission([{ ...navigation, navigation: false }], FORM), null);
+});
+
+test('accepts a script\'s own write request only when the submit was prevented', () => {
+    const captured = [
+        { url: 'https://example.com/poll', method: 'GET', type: 'fetch', navigation: false },
+        { url: 'https://example.com/beacon', method: 'POST', type: 'ping', navigation: false },
+        { url: 'https://example.com/api/session', method: 'POST', type: 'xhr', navigation: false }
+    ];
+
+    assert.equal(findSubmission(captured, FORM), null);
+    assert.equal(findSubmission(captured, FORM, { preventedByScript: true }), captured[2]);
+    assert.equal(findSubmission(captured.slice(0, 2), FORM, { preventedByScript: true }), null);
+});
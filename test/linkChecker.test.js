@@ -0,0 +1,140 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import LinkChecker, { classifyError, classifyStatus } from '../linkChecker.js';
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+// Answers by path; /flaky fails once before it works and /head-refused only answers GET
+async function startServer() {
+    let flakyRequests = 0;
+    const server = http.createServer((request, response) => {
+        const reply = (status, headers = {}) => {
+            response.writeHead(status, headers);
+            response.end();
+        };
+        switch (request.url) {
+            case '/redirect': return reply(301, { Location: '/ok' });
+            case '/loop': return reply(302, { Location: '/loop' });
+            case '/missing': return reply(404);
+            case '/head-refused': return reply(request.method === 'HEAD' ? 405 : 200);
+            case '/flaky': return reply(flakyRequests++ === 0 ? 503 : 200);
+            default: return reply(200);
+        }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { server, origin: `http://127.0.0.1:${server.address().port}` };
+}
+
+test('classifies network errors and statuses', () => {
+    assert.equal(classifyError({ code: 'ENOTFOUND', message: 'getaddrinfo ENOTFOUND' }), 'dns');
+    assert.equal(classifyError({ code: 'ECONNABORTED', message: 'aborted' }), 'timeout');
+    assert.equal(classifyError({ message: 'timeout of 10000ms exceeded' }), 'timeout');
+    assert.equal(classifyError({ code: 'DEPTH_ZERO_SELF_SIGNED_CERT', message: 'self-signed certificate' }), 'tls');
+    assert.equal(classifyError({ code: 'ECONNREFUSED', message: 'connect ECONNREFUSED' }), 'connection');
+
+    assert.deepEqual([200, 399, 404, 499, 500, 503].map(classifyStatus), ['ok', 'ok', '4xx', '4xx', '5xx', '5xx']);
+});
+
+test('limits requests per host and overall', async () => {
+    const checker = new LinkChecker({ concurrency: 2, perHostConcurrency: 1, perHostInterval: 0 });
+    const started = [];
+    const acquire = host => checker._acquire(host).then(release => {
+        started.push(host);
+        return release;
+    });
+
+    const releaseFirst = await acquire('a.example');
+    const second = acquire('a.example');
+    const releaseOther = await acquire('b.example');
+    const third = acquire('c.example');
+    await tick();
+    // The second request to a.example waits for the first, c.example for a free slot
+    assert.deepEqual(started, ['a.example', 'b.example']);
+
+    releaseFirst();
+    const releaseSecond = await second;
+    await tick();
+    assert.deepEqual(started, ['a.example', 'b.example', 'a.example']);
+
+    releaseOther();
+    (await third)();
+    releaseSecond();
+    assert.deepEqual(started, ['a.example', 'b.example', 'a.example', 'c.example']);
+});
+
+test('spaces out the requests to one host', async () => {
+    const checker = new LinkChecker({ perHostInterval: 50 });
+
+    (await checker._acquire('a.example'))();
+    const begun = Date.now();
+    (await checker._acquire('a.example'))();
+    (await checker._acquire('b.example'))();
+
+    assert.ok(Date.now() - begun >= 40);
+});
+
+test('follows redirects, retries transient errors and falls back to GET', async () => {
+    const { server, origin } = await startServer();
+    try {
+        const checker = new LinkChecker({ perHostInterval: 0, maxRedirects: 3 });
+
+        const redirected = await checker.check(`${origin}/redirect`);
+        assert.equal(redirected.ok, true);
+        assert.deepEqual(redirected.redirects, [{ url: `${origin}/redirect`, status: 301, location: `${origin}/ok` }]);
+        assert.equal(redirected.finalUrl, `${origin}/ok`);
+
+        const missing = await checker.check(`${origin}/missing`);
+        assert.deepEqual([missing.status, missing.category, missing.ok], [404, '4xx', false]);
+
+        const refused = await checker.check(`${origin}/head-refused`);
+        assert.deepEqual([refused.status, refused.method], [200, 'GET']);
+
+        const flaky = await checker.check(`${origin}/flaky`);
+        assert.deepEqual([flaky.status, flaky.attempts], [200, 2]);
+
+        const loop = await checker.check(`${origin}/loop`);
+        assert.equal(loop.category, 'redirects');
+        assert.equal(loop.error, 'More than 3 redirects');
+
+        // Later checks of a URL share the first result
+        assert.equal(checker.check(`${origin}/flaky`), checker.check(`${origin}/flaky`));
+    } finally {
+        server.close();
+    }
+});
+
+test('checks each URL of a page once and merges where it appeared', async () => {
+    const { server, origin } = await startServer();
+    try {
+        const checker = new LinkChecker({ perHostInterval: 0 });
+        const { results, skipped } = await checker.checkPage(`${origin}/page`, [
+            { url: '/ok', kind: 'link', location: 'nav', text: 'Home' },
+            { url: `${origin}/ok#top`, kind: 'link', location: 'footer', text: 'Home' },
+            { url: 'ok', kind: 'image', location: 'main' },
+            { url: 'mailto:team@example.com', kind: 'link', location: 'footer' },
+            { url: 'http://[bad', kind: 'link', location: 'footer' }
+        ]);
+
+        assert.equal(skipped, 2);
+        assert.equal(results.length, 1);
+        assert.deepEqual(results[0].kinds, ['link', 'image']);
+        assert.deepEqual(results[0].locations, ['nav', 'footer', 'main']);
+        assert.deepEqual(results[0].texts, ['Home']);
+        assert.equal(results[0].occurrences, 3);
+        assert.equal(results[0].internal, true);
+        assert.equal(results[0].ok, true);
+    } finally {
+        server.close();
+    }
+});
+
+test('reports unreachable hosts as connection errors', async () => {
+    const { server, origin } = await startServer();
+    await new Promise(resolve => server.close(resolve));
+
+    const result = await new LinkChecker({ retries: 0 }).check(`${origin}/`);
+    assert.equal(result.category, 'connection');
+    assert.equal(result.status, null);
+    assert.equal(result.attempts, 1);
+});
@@ -0,0 +1,126 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { urlVariants, traceRedirects, auditRedirects } from '../redirectAnalyzer.js';
+
+// Redirect targets by path; a string is a same-origin path, a function builds an absolute URL
+const ROUTES = {
+    '/chain': [302, '/step1'],
+    '/step1': [301, '/step2'],
+    '/step2': [307, '/ok'],
+    '/loop': [301, '/loop2'],
+    '/loop2': [301, '/loop'],
+    '/moved': [302, port => `http://localhost:${port}/ok`]
+};
+
+async function startServer() {
+    const server = http.createServer((request, response) => {
+        const route = ROUTES[request.url];
+        if (!route) return response.end('ok');
+
+        const [status, target] = route;
+        response.writeHead(status, { Location: typeof target === 'function' ? target(server.address().port) : target });
+        response.end();
+    });
+    // Every interface, so both 127.0.0.1 and localhost reach it
+    await new Promise(resolve => server.listen(0, resolve));
+    return { server, origin: `http://127.0.0.1:${server.address().port}` };
+}
+
+const messages = report => report.findings.map(item => `${item.severity}: ${item.message}`);
+
+test('spells out the scheme and www variants of a URL', () => {
+    assert.deepEqual(urlVariants('https://www.Example.com/a?b=1'), [
+        'http://example.com/a?b=1',
+        'http://www.example.com/a?b=1',
+        'https://example.com/a?b=1',
+        'https://www.example.com/a?b=1'
+    ]);
+    assert.deepEqual(urlVariants('http://127.0.0.1/'), ['http://127.0.0.1/', 'https://127.0.0.1/']);
+    assert.deepEqual(urlVariants('http://[::1]/'), ['http://[::1]/', 'https://[::1]/']);
+    // A non-default port keeps its scheme
+    assert.deepEqual(urlVariants('http://localhost:8080/x'), ['http://localhost:8080/x']);
+});
+
+test('follows redirects one hop at a time', async () => {
+    const { server, origin } = await startServer();
+    try {
+        const chain = await traceRedirects(`${origin}/chain`, { timeout: 5000 });
+
+        assert.deepEqual(chain.hops.map(hop => [hop.status, hop.location]), [
+            [302, `${origin}/step1`],
+            [301, `${origin}/step2`],
+            [307, `${origin}/ok`],
+            [200, null]
+        ]);
+        assert.equal(chain.finalUrl, `${origin}/ok`);
+        assert.equal(chain.finalStatus, 200);
+        assert.equal(chain.loop, false);
+    } finally {
+        server.close();
+    }
+});
+
+test('stops on redirect loops and overly long chains', async () => {
+    const { server, origin } = await startServer();
+    try {
+        const loop = await traceRedirects(`${origin}/loop`, { timeout: 5000 });
+        assert.equal(loop.loop, true);
+        assert.equal(loop.hops.length, 2);
+        assert.equal(loop.finalUrl, null);
+
+        const long = await traceRedirects(`${origin}/chain`, { timeout: 5000, maxHops: 2 });
+        assert.equal(long.tooManyHops, true);
+        assert.equal(long.hops.length, 2);
+
+        const report = await auditRedirects(`${origin}/loop`, { timeout: 5000 });
+        assert.deepEqual(messages(report), [
+            `high: Redirect loop: ${origin}/loop -> ${origin}/loop2 -> ${origin}/loop`
+        ]);
+    } finally {
+        server.close();
+    }
+});
+
+test('flags long chains and pages left on plain http', async () => {
+    const { server, origin } = await startServer();
+    try {
+        const report = await auditRedirects(`${origin}/chain`, { timeout: 5000 });
+
+        assert.deepEqual(messages(report), [
+            `low: 3 redirects before the final page; redirect straight to ${origin}/ok`,
+            `high: ${origin}/chain is served over plain http without redirecting to https`
+        ]);
+        assert.equal(report.upgradesToHttps, false);
+        assert.equal(report.canonicalUrl, `${origin}/ok`);
+        assert.equal(report.score, 70);
+    } finally {
+        server.close();
+    }
+});
+
+test('flags temporary redirects that change the host', async () => {
+    const { server, origin } = await startServer();
+    const port = server.address().port;
+    try {
+        const report = await auditRedirects(`${origin}/moved`, { timeout: 5000 });
+
+        assert.equal(report.findings[0].severity, 'medium');
+        assert.equal(report.findings[0].message,
+            `${origin}/moved uses a temporary 302 redirect to http://localhost:${port}/ok; use 301 or 308`);
+    } finally {
+        server.close();
+    }
+});
+
+test('reports a requested URL that cannot be reached', async () => {
+    const { server, origin } = await startServer();
+    await new Promise(resolve => server.close(resolve));
+
+    const report = await auditRedirects(`${origin}/`, { timeout: 5000 });
+    assert.ok(report.chains[0].error);
+    assert.equal(report.findings[0].severity, 'high');
+    assert.match(report.findings[0].message, /could not be reached/);
+    assert.equal(report.upgradesToHttps, null);
+    assert.equal(report.score, 75);
+});
@@ -0,0 +1,81 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { compareReports } from '../reportComparison.js';
+
+// A full report as recorded in the history, with only the parts the comparison reads
+function report({ timestamp, overallScore, security = 80, lcp = 2000, headers = {}, domains = [], broken = [], results = {} }) {
+    return {
+        url: 'https://example.com/',
+        timestamp,
+        overallScore,
+        scoreBreakdown: { security: { score: security } },
+        results: {
+            performance: {
+                performance: { score: 90, metrics: { largestContentfulPaint: lcp, cumulativeLayoutShift: 0.01 } },
+                accessibility: { score: 95 },
+                bestPractices: { score: 100 },
+                seo: { score: 100 }
+            },
+            security: { score: security, headers },
+            'third-party': { details: Object.fromEntries(domains.map(domain => [domain, { requestCount: 1 }])) },
+            backlinks: { brokenLinks: broken.map(url => ({ url, statusCode: 404 })) },
+            ...results
+        }
+    };
+}
+
+const before = report({
+    timestamp: 'before',
+    overallScore: 80,
+    headers: { 'Strict-Transport-Security': 'max-age=31536000', 'X-Frame-Options': 'DENY', 'Referrer-Policy': null },
+    domains: ['cdn.example.net'],
+    broken: ['https://example.com/old']
+});
+
+test('reports no regressions between identical runs', () => {
+    const diff = compareReports(before, { ...before, timestamp: 'after' });
+
+    assert.equal(diff.overallScore.delta, 0);
+    assert.deepEqual(diff.regressions, []);
+});
+
+test('flags drops and increases beyond their thresholds', () => {
+    const after = report({
+        timestamp: 'after',
+        overallScore: 70,
+        security: 60,
+        lcp: 2600,
+        headers: { 'X-Frame-Options': 'SAMEORIGIN', 'Referrer-Policy': 'no-referrer' },
+        domains: ['cdn.example.net', 'tracker.example.org'],
+        broken: ['https://example.com/new']
+    });
+    const diff = compareReports(before, after);
+
+    assert.deepEqual(diff.regressions.map(item => item.check), [
+        'overallScore',
+        'category.security',
+        'metric.largestContentfulPaint',
+        'removedSecurityHeaders',
+        'newThirdPartyDomains',
+        'newBrokenLinks'
+    ]);
+    assert.deepEqual(diff.securityHeaders.added, [{ header: 'Referrer-Policy', value: 'no-referrer' }]);
+    assert.deepEqual(diff.securityHeaders.changed, [{ header: 'X-Frame-Options', before: 'DENY', after: 'SAMEORIGIN' }]);
+    assert.deepEqual(diff.brokenLinks.fixed.map(link => link.url), ['https://example.com/old']);
+    assert.deepEqual(diff.lighthouse.metrics.largestContentfulPaint, { before: 2000, after: 2600, delta: 600 });
+});
+
+test('tolerates changes within the configured thresholds', () => {
+    const after = report({ timestamp: 'after', overallScore: 72, lcp: 2600, domains: ['cdn.example.net', 'fonts.example.org'] });
+    const diff = compareReports(before, after, { overallScore: 10, metrics: { largestContentfulPaint: 1000 }, newThirdPartyDomains: 1, removedSecurityHeaders: 2 });
+
+    assert.deepEqual(diff.regressions, []);
+});
+
+test('skips analyzers that failed in either run', () => {
+    const after = report({ timestamp: 'after', overallScore: 80, results: { security: { error: 'timeout', headers: {} } } });
+    const diff = compareReports(before, after);
+
+    assert.equal(diff.securityHeaders, null);
+    assert.deepEqual(diff.regressions, []);
+});
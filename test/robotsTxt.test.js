@@ -0,0 +1,62 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRobotsTxt, isAllowedByRobots } from '../robotsTxt.js';
+
+const ROBOTS = `
+# Comments and unknown fields are ignored
+User-agent: *
+Disallow: /private
+Allow: /private/public
+Disallow: /*.pdf$
+Crawl-delay: 5
+
+User-agent: WebsiteAuditor
+User-agent: OtherBot
+Disallow: /no-audit
+Disallow:
+
+Sitemap: https://example.com/sitemap-index.xml
+`;
+
+test('groups consecutive user-agent lines and collects sitemaps', () => {
+    const robots = parseRobotsTxt(ROBOTS);
+
+    assert.equal(robots.groups.length, 2);
+    assert.deepEqual(robots.groups[1].agents, ['websiteauditor', 'otherbot']);
+    assert.deepEqual(robots.groups[1].rules, [{ allow: false, path: '/no-audit' }]);
+    assert.deepEqual(robots.sitemaps, ['https://example.com/sitemap-index.xml']);
+});
+
+test('uses the longest matching rule, with Allow winning ties', () => {
+    const robots = parseRobotsTxt(ROBOTS);
+    const allowed = path => isAllowedByRobots(robots, `https://example.com${path}`, 'SomeBot');
+
+    assert.equal(allowed('/private/page'), false);
+    assert.equal(allowed('/private/public/page'), true);
+    assert.equal(allowed('/'), true);
+
+    const tie = parseRobotsTxt('User-agent: *\nDisallow: /page\nAllow: /page');
+    assert.equal(isAllowedByRobots(tie, 'https://example.com/page', 'SomeBot'), true);
+});
+
+test('matches * and $ wildcards against the path and query', () => {
+    const robots = parseRobotsTxt('User-agent: *\nDisallow: /*.pdf$\nDisallow: /search?q=');
+    const allowed = path => isAllowedByRobots(robots, `https://example.com${path}`);
+
+    assert.equal(allowed('/docs/guide.pdf'), false);
+    assert.equal(allowed('/docs/guide.pdf?download=1'), true);
+    assert.equal(allowed('/search?q=term'), false);
+    assert.equal(allowed('/search'), true);
+});
+
+test('prefers the group naming the crawler over the * group', () => {
+    const robots = parseRobotsTxt(ROBOTS);
+
+    assert.equal(isAllowedByRobots(robots, 'https://example.com/no-audit', 'WebsiteAuditor/1.0'), false);
+    assert.equal(isAllowedByRobots(robots, 'https://example.com/private', 'WebsiteAuditor/1.0'), true);
+    assert.equal(isAllowedByRobots(robots, 'https://example.com/no-audit', 'SomeBot'), true);
+});
+
+test('allows everything without a robots.txt', () => {
+    assert.equal(isAllowedByRobots(null, 'https://example.com/private'), true);
+});
@@ -0,0 +1,79 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import ScoringEngine, { letterGrade } from '../scoringEngine.js';
+
+const scored = (category, score) => ({ category, status: 'completed', score });
+
+test('weights category scores into the overall score', () => {
+    const engine = new ScoringEngine({ performance: 30, security: 10 });
+    const result = engine.score({
+        performance: scored('performance', 80),
+        security: scored('security', 40)
+    });
+
+    assert.equal(result.overall, 70);
+    assert.equal(result.grade, 'C');
+    assert.deepEqual(result.breakdown.performance, {
+        score: 80, weight: 30, status: 'scored', analyzers: ['performance'], failedAnalyzers: []
+    });
+    assert.deepEqual(result.missingCategories, []);
+});
+
+test('averages analyzers that share a category and clamps their scores', () => {
+    const result = new ScoringEngine().score({
+        security: scored('security', 120),
+        tls: scored('security', 61)
+    });
+
+    assert.equal(result.breakdown.security.score, 81);
+    assert.deepEqual(result.breakdown.security.analyzers, ['security', 'tls']);
+});
+
+test('leaves failed categories out and rescales the remaining weights', () => {
+    const result = new ScoringEngine({ performance: 25, security: 25, accessibility: 50 }).score({
+        performance: { category: 'performance', status: 'failed', score: null },
+        security: scored('security', 90),
+        accessibility: scored('accessibility', 60)
+    });
+
+    // (90 * 25 + 60 * 50) / 75, not dragged down by a zero for performance
+    assert.equal(result.overall, 70);
+    assert.equal(result.breakdown.performance.status, 'failed');
+    assert.deepEqual(result.breakdown.performance.failedAnalyzers, ['performance']);
+    assert.deepEqual(result.missingCategories, ['performance']);
+});
+
+test('keeps a category scored when only some of its analyzers failed', () => {
+    const result = new ScoringEngine().score({
+        security: scored('security', 50),
+        tls: { category: 'security', status: 'failed', score: null }
+    });
+
+    assert.equal(result.breakdown.security.score, 50);
+    assert.deepEqual(result.breakdown.security.failedAnalyzers, ['tls']);
+    assert.deepEqual(result.missingCategories, []);
+});
+
+test('marks categories with nothing to judge as not applicable', () => {
+    const result = new ScoringEngine().score({
+        forms: { category: 'forms', status: 'completed', score: null },
+        security: scored('security', 100)
+    });
+
+    assert.equal(result.breakdown.forms.status, 'not-applicable');
+    assert.deepEqual(result.breakdown.forms.analyzers, ['forms']);
+    assert.equal(result.overall, 100);
+});
+
+test('reports no overall score when nothing carries weight', () => {
+    const result = new ScoringEngine().score({ custom: scored('custom', 90) });
+
+    assert.equal(result.breakdown.custom.weight, 0);
+    assert.equal(result.overall, null);
+    assert.equal(result.grade, null);
+});
+
+test('maps scores to letter grades', () => {
+    assert.deepEqual([95, 90, 85, 72, 60, 59].map(letterGrade), ['A', 'A', 'B', 'C', 'D', 'F']);
+    assert.equal(letterGrade(null), null);
+});
@@ -0,0 +1,95 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    checkHsts,
+    checkFrameOptions,
+    checkContentTypeOptions,
+    checkReferrerPolicy,
+    checkPermissionsPolicy,
+    checkXssProtection,
+    validateSecurityHeaders
+} from '../securityHeaders.js';
+
+const severities = check => check.findings.map(finding => finding.severity);
+
+test('grades HSTS by max-age, includeSubDomains and preload eligibility', () => {
+    const strong = checkHsts('max-age=63072000; includeSubDomains; preload');
+    assert.equal(strong.status, 'good');
+    assert.equal(strong.fraction, 1);
+    assert.equal(strong.preloadEligible, true);
+
+    const short = checkHsts('max-age="86400"');
+    assert.equal(short.status, 'weak');
+    assert.equal(short.maxAge, 86400);
+    assert.ok(Math.abs(short.fraction - 0.3) < 1e-9);
+    assert.deepEqual(severities(short), ['medium', 'low']);
+
+    assert.deepEqual(severities(checkHsts('max-age=20000000; includeSubDomains; preload')), ['low', 'low']);
+    assert.equal(checkHsts('max-age=0').status, 'invalid');
+    assert.equal(checkHsts('includeSubDomains').findings[0].message, 'HSTS has no valid max-age, so browsers ignore it');
+    assert.equal(checkHsts('max-age=63072000', { https: false }).status, 'invalid');
+    assert.equal(checkHsts(null).status, 'missing');
+});
+
+test('accepts DENY and SAMEORIGIN framing, or CSP frame-ancestors instead', () => {
+    assert.equal(checkFrameOptions(' sameorigin ').status, 'good');
+    assert.equal(checkFrameOptions('ALLOW-FROM https://example.com').status, 'weak');
+    assert.equal(checkFrameOptions('ALLOWALL').status, 'invalid');
+    assert.equal(checkFrameOptions(undefined).status, 'missing');
+
+    const viaCsp = checkFrameOptions(undefined, { frameAncestors: true });
+    assert.equal(viaCsp.status, 'good');
+    assert.deepEqual(severities(viaCsp), ['info']);
+});
+
+test('only accepts nosniff for X-Content-Type-Options', () => {
+    assert.equal(checkContentTypeOptions('NoSniff').status, 'good');
+    assert.equal(checkContentTypeOptions('sniff').status, 'invalid');
+    assert.equal(checkContentTypeOptions(null).status, 'missing');
+});
+
+test('uses the last referrer policy token the browser understands', () => {
+    const fallback = checkReferrerPolicy('no-referrer, strict-origin-when-cross-origin, made-up');
+    assert.equal(fallback.policy, 'strict-origin-when-cross-origin');
+    assert.equal(fallback.status, 'good');
+
+    assert.deepEqual(severities(checkReferrerPolicy('unsafe-url')), ['high']);
+    assert.deepEqual(severities(checkReferrerPolicy('no-referrer-when-downgrade')), ['medium']);
+    assert.deepEqual(severities(checkReferrerPolicy('origin')), ['low']);
+    assert.equal(checkReferrerPolicy('nonsense').status, 'invalid');
+    assert.equal(checkReferrerPolicy(null).fraction, 0.5);
+});
+
+test('checks that Permissions-Policy restricts sensitive features', () => {
+    const all = checkPermissionsPolicy('camera=(), microphone=(), geolocation=(self), payment=(), usb=(), display-capture=()');
+    assert.equal(all.status, 'good');
+    assert.equal(all.fraction, 1);
+    assert.deepEqual(all.features.geolocation, ['self']);
+
+    const partial = checkPermissionsPolicy('camera=*, microphone=(self "https://a.example")');
+    assert.equal(partial.status, 'weak');
+    assert.deepEqual(partial.findings.map(finding => finding.message), [
+        'Sensitive features allowed for every origin: camera',
+        'Sensitive features not restricted: geolocation, payment, usb, display-capture'
+    ]);
+    assert.equal(partial.fraction, 0.5 + 0.5 / 6);
+
+    assert.equal(checkPermissionsPolicy("camera 'none'").status, 'invalid');
+});
+
+test('treats X-XSS-Protection as deprecated, penalising only the enabled filter', () => {
+    assert.equal(checkXssProtection('0').fraction, 0);
+    assert.deepEqual(severities(checkXssProtection('0')), ['info']);
+    assert.equal(checkXssProtection('1; mode=block').fraction, -1);
+    assert.equal(checkXssProtection(null).status, 'missing');
+});
+
+test('validates every header it knows', () => {
+    const checks = validateSecurityHeaders({ 'X-Content-Type-Options': 'nosniff' }, { https: true });
+
+    assert.deepEqual(Object.keys(checks), [
+        'Strict-Transport-Security', 'X-Frame-Options', 'X-Content-Type-Options', 'Referrer-Policy', 'Permissions-Policy', 'X-XSS-Protection'
+    ]);
+    assert.equal(checks['X-Content-Type-Options'].status, 'good');
+    assert.equal(checks['Strict-Transport-Security'].status, 'missing');
+});
@@ -0,0 +1,70 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import SiteCrawler from '../siteCrawler.js';
+
+const ORIGIN = 'https://example.com';
+
+// A crawler whose robots.txt and sitemaps come from `files`, keyed by URL
+function crawlerWith(files, options = {}) {
+    const crawler = new SiteCrawler(options);
+    crawler._fetchText = async url => files[url] ?? null;
+    return crawler;
+}
+
+// A session whose captured pages link to the paths listed for them in `links`
+function fakeSession(links) {
+    return {
+        capture: async url => ({
+            page: { evaluate: async () => (links[new URL(url).pathname] ?? []).map(path => ({ href: `${ORIGIN}${path}`, text: '' })) }
+        }),
+        release: async () => {}
+    };
+}
+
+test('normalizes same-origin page links and drops assets, fragments and other origins', () => {
+    const crawler = new SiteCrawler();
+
+    assert.equal(crawler.normalize('/about#team', ORIGIN), `${ORIGIN}/about`);
+    assert.equal(crawler.normalize('https://other.example/', ORIGIN), null);
+    assert.equal(crawler.normalize('/files/report.PDF', ORIGIN), null);
+    assert.equal(crawler.normalize('mailto:team@example.com', ORIGIN), null);
+});
+
+test('reads page URLs from a sitemap index and its sitemaps', async () => {
+    const crawler = crawlerWith({
+        [`${ORIGIN}/robots.txt`]: `Sitemap: ${ORIGIN}/index.xml`,
+        [`${ORIGIN}/index.xml`]: `<sitemapindex><sitemap><loc>${ORIGIN}/pages.xml</loc></sitemap></sitemapindex>`,
+        [`${ORIGIN}/pages.xml`]: `<urlset><url><loc> ${ORIGIN}/a?x=1&amp;y=2 </loc></url><url><loc>${ORIGIN}/b</loc></url></urlset>`
+    });
+
+    const robots = await crawler._loadRobots(ORIGIN);
+    assert.deepEqual(await crawler._loadSitemapUrls(ORIGIN, robots), [`${ORIGIN}/a?x=1&y=2`, `${ORIGIN}/b`]);
+});
+
+test('falls back to /sitemap.xml when robots.txt names no sitemap', async () => {
+    const crawler = crawlerWith({ [`${ORIGIN}/sitemap.xml`]: `<urlset><url><loc>${ORIGIN}/only</loc></url></urlset>` });
+
+    assert.deepEqual(await crawler._loadSitemapUrls(ORIGIN, null), [`${ORIGIN}/only`]);
+});
+
+test('records why every discovered page was skipped', async () => {
+    const crawler = crawlerWith({
+        [`${ORIGIN}/robots.txt`]: 'User-agent: *\nDisallow: /admin'
+    }, { maxDepth: 1, maxPages: 3, exclude: ['^/drafts'] });
+    const session = fakeSession({
+        '/': ['/one', '/two', '/three', '/admin', '/drafts/new'],
+        '/one': ['/one/deeper']
+    });
+
+    const visited = [];
+    const result = await crawler.crawl(`${ORIGIN}/`, session, entry => visited.push(entry.url));
+
+    assert.deepEqual(visited, [`${ORIGIN}/`, `${ORIGIN}/one`, `${ORIGIN}/two`]);
+    assert.deepEqual(result.skipped, [
+        { url: `${ORIGIN}/admin`, reason: 'robots' },
+        { url: `${ORIGIN}/drafts/new`, reason: 'filtered' },
+        { url: `${ORIGIN}/one/deeper`, reason: 'depth' },
+        { url: `${ORIGIN}/three`, reason: 'max-pages' }
+    ]);
+    assert.deepEqual(result.robots, { found: true, sitemaps: [] });
+});
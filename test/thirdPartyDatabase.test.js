@@ -0,0 +1,77 @@
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadEntityDatabase, createEntityMatcher } from '../thirdPartyDatabase.js';
+
+const dirs = [];
+after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+// Writes an extra database file into a fresh temporary directory
+function writeDatabase(content) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'third-party-'));
+    dirs.push(dir);
+    const file = path.join(dir, 'entities.json');
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+    return file;
+}
+
+test('loads the bundled database', () => {
+    const database = loadEntityDatabase();
+
+    assert.ok(database.version);
+    assert.ok(database.entities.length > 0);
+    assert.ok(database.entities.every(entity => entity.name && entity.category));
+});
+
+test('recognises services by domain, and by path on shared hosts', () => {
+    const matchEntity = createEntityMatcher(loadEntityDatabase().entities);
+    const nameOf = url => matchEntity(url)?.name ?? null;
+
+    assert.equal(nameOf('https://www.google-analytics.com/analytics.js'), 'Google Analytics');
+    assert.equal(nameOf('https://fonts.gstatic.com/s/roboto.woff2'), 'Google Fonts');
+    assert.equal(nameOf('https://www.google.com/maps/embed?pb=1'), 'Google Maps');
+    assert.equal(nameOf('https://www.google.com/recaptcha/api.js'), 'Google reCAPTCHA');
+    // The more specific pattern wins over the domain of the same host
+    assert.equal(nameOf('https://www.facebook.com/tr?id=1'), 'Facebook Pixel');
+    assert.equal(nameOf('https://www.facebook.com/plugins/like.php'), 'Facebook');
+    assert.equal(nameOf('https://www.example.com/'), null);
+    assert.equal(nameOf('not a url'), null);
+});
+
+test('matches subdomains but not look-alike hosts', () => {
+    const tracker = { name: 'Tracker', category: 'analytics', domains: ['*.Tracker.io'] };
+    const widget = { name: 'Widget', category: 'other', urlPatterns: ['https://cdn.example.net'] };
+    const matchEntity = createEntityMatcher([tracker, widget]);
+
+    assert.equal(matchEntity('https://a.b.tracker.io/pixel'), tracker);
+    assert.equal(matchEntity('https://tracker.io./pixel'), tracker);
+    assert.equal(matchEntity('https://nottracker.io/pixel'), null);
+    assert.equal(matchEntity('https://cdn.example.net/widget.js'), widget);
+    assert.equal(matchEntity('https://cdn.example.net.evil.com/widget.js'), null);
+});
+
+test('lets an extra file add and replace entities', () => {
+    const file = writeDatabase({
+        version: 'local-1',
+        entities: [
+            { name: 'Google Fonts', category: 'cdn', domains: ['fonts.example-mirror.net'] },
+            { name: 'In-house CDN', category: 'cdn', domains: ['static.partner.com'] }
+        ]
+    });
+    const bundled = loadEntityDatabase();
+    const database = loadEntityDatabase(file);
+
+    assert.equal(database.version, `${bundled.version}+local-1`);
+    assert.equal(database.entities.length, bundled.entities.length + 1);
+    assert.deepEqual(database.entities.filter(entity => entity.name === 'Google Fonts').map(entity => entity.category), ['cdn']);
+});
+
+test('rejects unreadable or malformed databases', () => {
+    assert.throws(() => loadEntityDatabase(path.join(os.tmpdir(), 'missing-entities.json')), /Could not read third-party database/);
+    assert.throws(() => loadEntityDatabase(writeDatabase('{')), /Could not read third-party database/);
+    assert.throws(() => loadEntityDatabase(writeDatabase({ entities: {} })), /has no "entities" list/);
+    assert.throws(() => loadEntityDatabase(writeDatabase({ entities: [{ name: 'No category', domains: ['a.com'] }] })), /without a name or category/);
+    assert.throws(() => loadEntityDatabase(writeDatabase({ entities: [{ name: 'Nowhere', category: 'other' }] })), /"Nowhere" needs domains or urlPatterns/);
+});
@@ -0,0 +1,87 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { attributeMainThreadTime, summarizeThirdParties } from '../thirdPartySummary.js';
+import { loadEntityDatabase, createEntityMatcher } from '../thirdPartyDatabase.js';
+
+const matchEntity = createEntityMatcher(loadEntityDatabase().entities);
+
+// Trace events in microseconds, as Chrome records them
+const thread = (pid, tid, name = 'CrRendererMain') => ({ ph: 'M', name: 'thread_name', pid, tid, args: { name } });
+const task = (pid, ts, dur) => ({ ph: 'X', name: 'RunTask', pid, tid: 1, ts, dur });
+const script = (pid, name, ts, dur, url) => ({ ph: 'X', name, pid, tid: 1, ts, dur, args: { data: { url } } });
+
+test('attributes each main-thread task to the script that ran longest in it', () => {
+    const times = attributeMainThreadTime([
+        thread(1, 1),
+        thread(2, 1),
+        // A long task mostly spent in a.js, with a nested task that is not counted again
+        task(1, 0, 120000),
+        task(1, 10000, 5000),
+        script(1, 'EvaluateScript', 1000, 80000, 'https://a.example/a.js'),
+        script(1, 'FunctionCall', 85000, 30000, 'https://b.example/b.js'),
+        // A short task found through the stack trace of a timer
+        task(1, 200000, 30000),
+        { ph: 'X', name: 'TimerFire', pid: 1, tid: 1, ts: 201000, dur: 20000, args: { data: { stackTrace: [{ url: 'https://b.example/b.js' }] } } },
+        // Outside any task, and on a quieter renderer
+        script(1, 'FunctionCall', 300000, 1000, 'https://a.example/a.js'),
+        task(2, 0, 10000),
+        script(2, 'EvaluateScript', 0, 10000, 'https://c.example/c.js')
+    ]);
+
+    assert.deepEqual(Object.fromEntries(times), {
+        'https://a.example/a.js': { mainThreadTime: 120, blockingTime: 70 },
+        'https://b.example/b.js': { mainThreadTime: 30, blockingTime: 0 }
+    });
+    assert.equal(attributeMainThreadTime([task(1, 0, 1000)]).size, 0);
+});
+
+test('groups third-party requests by entity and domain', () => {
+    const analytics = 'https://www.google-analytics.com/analytics.js';
+    const report = summarizeThirdParties({
+        pageUrl: 'https://www.shop.example/',
+        requests: [
+            { url: 'https://www.shop.example/app.js', type: 'script', transferSize: 5000 },
+            { url: 'https://img.shop.example/logo.png', type: 'image', transferSize: 2000 },
+            { url: analytics, type: 'script', transferSize: 20000 },
+            { url: analytics, type: 'script', transferSize: 0 },
+            { url: 'https://region1.google-analytics.com/g/collect', type: 'ping', transferSize: 100 },
+            { url: 'https://fonts.googleapis.com/css2?family=Roboto', type: 'stylesheet', transferSize: 1000 },
+            { url: 'https://cdn.unknown.io/widget.js', type: 'script', transferSize: 3000 },
+            { url: 'data:image/png;base64,AAAA', type: 'image' },
+            { url: 'not a url' }
+        ],
+        scriptTimes: new Map([
+            [analytics, { mainThreadTime: 40.04, blockingTime: 0 }],
+            ['https://cdn.unknown.io/widget.js', { mainThreadTime: 90, blockingTime: 40 }]
+        ]),
+        matchEntity
+    });
+
+    assert.equal(report.firstPartyRequests, 2);
+    assert.deepEqual(report.entities.map(entity => entity.name), ['unknown.io', 'Google Analytics', 'Google Fonts']);
+
+    const [unknown, ga] = report.entities;
+    assert.deepEqual([unknown.recognised, unknown.category, unknown.company], [false, 'unknown', null]);
+    assert.deepEqual(ga.domains, ['www.google-analytics.com', 'region1.google-analytics.com']);
+    assert.deepEqual(ga.resourceTypes, { script: 2, ping: 1 });
+    // The script requested twice counts its time once
+    assert.equal(ga.mainThreadTime, 40);
+
+    assert.deepEqual(report.totals, { requestCount: 5, transferSize: 24100, mainThreadTime: 130, blockingTime: 40 });
+    assert.deepEqual(report.categorySummary, { unknown: 1, analytics: 1, fonts: 1 });
+    assert.equal(report.totalThirdPartyDomains, 4);
+    assert.deepEqual(report.details['fonts.googleapis.com'], {
+        entity: 'Google Fonts', category: 'fonts', requestCount: 1, transferSize: 1000, types: ['stylesheet']
+    });
+});
+
+test('counts the page\'s own entity as first party', () => {
+    const report = summarizeThirdParties({
+        pageUrl: 'https://www.youtube.com/watch?v=1',
+        requests: [{ url: 'https://i.ytimg.com/vi/1/hq.jpg', type: 'image', transferSize: 100 }],
+        matchEntity
+    });
+
+    assert.equal(report.firstPartyRequests, 1);
+    assert.equal(report.totalEntities, 0);
+});
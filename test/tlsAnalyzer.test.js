@@ -0,0 +1,84 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import https from 'https';
+import os from 'os';
+import fs from 'fs';
+import path from 'path';
+import selfsigned from 'selfsigned';
+import { inspectTls } from '../tlsAnalyzer.js';
+import WebsiteAuditor from '../index.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// A local HTTPS server with a freshly generated self-signed certificate for 127.0.0.1
+async function startServer({ validDays = 365, serverOptions = {} } = {}) {
+    const notBeforeDate = new Date(Date.now() - DAY);
+    const pems = await selfsigned.generate([{ name: 'commonName', value: 'localhost' }], {
+        keySize: 2048,
+        algorithm: 'sha256',
+        notBeforeDate,
+        notAfterDate: new Date(Date.now() + validDays * DAY)
+    });
+
+    const server = https.createServer({ key: pems.private, cert: pems.cert, ...serverOptions }, (request, response) => response.end('ok'));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { server, port: server.address().port, cert: pems.cert };
+}
+
+const messages = report => report.findings.map(finding => finding.message);
+
+test('reports the certificate, expiry and protocols of a trusted self-signed server', async () => {
+    const { server, port, cert } = await startServer({ validDays: 10, serverOptions: { maxVersion: 'TLSv1.2' } });
+    try {
+        const report = await inspectTls('127.0.0.1', port, { timeout: 5000, ca: cert });
+
+        assert.equal(report.chain.valid, true);
+        assert.equal(report.certificate.subject, 'localhost');
+        assert.ok(report.certificate.subjectAltNames.includes('127.0.0.1'));
+        assert.equal(report.certificate.coversHostname, true);
+        assert.deepEqual(report.certificate.key, { type: 'rsa', bits: 2048, curve: null });
+        assert.ok(report.certificate.daysRemaining >= 9 && report.certificate.daysRemaining <= 10);
+
+        assert.equal(report.negotiated.protocol, 'TLSv1.2');
+        assert.equal(report.protocols['TLSv1.2'], true);
+        assert.equal(report.protocols['TLSv1.3'], false);
+
+        const expiry = report.findings.find(finding => /^Certificate expires in \d+ days/.test(finding.message));
+        assert.equal(expiry?.severity, 'high');
+        assert.ok(messages(report).includes('TLS 1.3 is not supported'));
+        assert.ok(messages(report).some(message => message.startsWith('OCSP stapling is not enabled')));
+        assert.ok(!messages(report).some(message => message.startsWith('Certificate chain is not trusted')));
+    } finally {
+        server.close();
+    }
+});
+
+test('flags an untrusted chain when the self-signed root is not passed as ca', async () => {
+    const { server, port } = await startServer();
+    try {
+        const report = await inspectTls('127.0.0.1', port, { timeout: 5000 });
+
+        assert.equal(report.chain.valid, false);
+        assert.equal(report.chain.error, 'DEPTH_ZERO_SELF_SIGNED_CERT');
+        assert.ok(messages(report).some(message => message.startsWith('Certificate chain is not trusted')));
+        assert.ok(!messages(report).some(message => message.startsWith('Certificate expires')));
+        assert.equal(report.protocols['TLSv1.3'], true);
+    } finally {
+        server.close();
+    }
+});
+
+test('analyzeTls passes the configured ca through and turns findings into recommendations', async () => {
+    const { server, port, cert } = await startServer({ validDays: 5 });
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-tls-'));
+    try {
+        const auditor = new WebsiteAuditor({ outputDir, verbose: false, timeout: 5000, tls: { ca: cert } });
+        const report = await auditor.analyzeTls(`https://127.0.0.1:${port}/`);
+
+        assert.equal(report.chain.valid, true);
+        assert.ok(report.recommendations.some(item => item.priority === 'High' && /expires in \d+ days/.test(item.message)));
+    } finally {
+        server.close();
+        fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+});
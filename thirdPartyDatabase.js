@@ -0,0 +1,85 @@
+import fs from 'fs';
+
+// Fingerprints for third-party services. The bundled database lives in thirdPartyEntities.json
+// and can be extended with a file of the same shape:
+//   { "version": "...", "entities": [{ "name", "company", "category", "domains", "urlPatterns", "privacy" }] }
+// `domains` match the host and its subdomains. `urlPatterns` are "host/path" prefixes for services
+// that share a host with others (www.google.com/maps vs www.google.com/recaptcha) and win over
+// domain matches. Entities in an extra file replace bundled ones of the same name.
+
+const BUNDLED_DATABASE = new URL('./thirdPartyEntities.json', import.meta.url);
+
+function readDatabase(file) {
+    let database;
+    try {
+        database = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read third-party database ${file}: ${error.message}`);
+    }
+    if (!Array.isArray(database.entities)) throw new Error(`Third-party database ${file} has no "entities" list`);
+
+    for (const entity of database.entities) {
+        if (!entity.name || !entity.category) throw new Error(`Third-party database ${file} has an entity without a name or category`);
+        if (!entity.domains?.length && !entity.urlPatterns?.length) {
+            throw new Error(`Third-party entity "${entity.name}" needs domains or urlPatterns`);
+        }
+    }
+    return database;
+}
+
+// Returns { version, entities } for the bundled database merged with an optional extra file
+export function loadEntityDatabase(extraFile = null) {
+    const bundled = readDatabase(BUNDLED_DATABASE);
+    if (!extraFile) return bundled;
+
+    const extra = readDatabase(extraFile);
+    const replaced = new Set(extra.entities.map(entity => entity.name));
+    return {
+        version: [bundled.version, extra.version].filter(Boolean).join('+'),
+        entities: [...extra.entities, ...bundled.entities.filter(entity => !replaced.has(entity.name))]
+    };
+}
+
+const normaliseHost = host => host.toLowerCase().replace(/^\*\./, '').replace(/\.$/, '');
+
+// Builds a lookup from URL to entity over the given entities
+export function createEntityMatcher(entities) {
+    const byDomain = new Map();
+    const patterns = [];
+
+    for (const entity of entities) {
+        for (const domain of entity.domains ?? []) {
+            const host = normaliseHost(domain);
+            if (!byDomain.has(host)) byDomain.set(host, entity);
+        }
+        for (const pattern of entity.urlPatterns ?? []) {
+            // A bare host would also match look-alikes such as host.example.net, so it gets a path
+            const prefix = pattern.toLowerCase().replace(/^https?:\/\//, '');
+            patterns.push({ prefix: prefix.includes('/') ? prefix : `${prefix}/`, entity });
+        }
+    }
+    // The most specific pattern is tried first
+    patterns.sort((a, b) => b.prefix.length - a.prefix.length);
+
+    return url => {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch {
+            return null;
+        }
+        const host = normaliseHost(parsed.hostname);
+
+        const location = `${host}${parsed.pathname.toLowerCase()}`;
+        const pattern = patterns.find(item => location.startsWith(item.prefix));
+        if (pattern) return pattern.entity;
+
+        // Longest matching domain: the host itself, then each parent domain
+        const labels = host.split('.');
+        for (let index = 0; index < labels.length - 1; index++) {
+            const entity = byDomain.get(labels.slice(index).join('.'));
+            if (entity) return entity;
+        }
+        return null;
+    };
+}
@@ -0,0 +1,179 @@
+import { siteOf } from './cookieAnalyzer.js';
+
+// Groups a page load's network traffic and main-thread work by third-party entity. Requests come
+// from the DevTools protocol with their encoded (on the wire) sizes; main-thread time comes from a
+// performance trace of the same load.
+
+// Trace categories that record main-thread tasks and the scripts they run
+export const TRACE_CATEGORIES = ['toplevel', 'devtools.timeline', 'disabled-by-default-devtools.timeline', 'v8', '__metadata'];
+
+// Main-thread tasks longer than this block input; the excess is blocking time, as in Lighthouse
+const LONG_TASK_MS = 50;
+
+// Trace events that name the script running inside a task
+const SCRIPT_EVENTS = ['EvaluateScript', 'FunctionCall', 'v8.compile', 'v8.compileModule', 'v8.evaluateModule', 'TimerFire', 'EventDispatch'];
+const TASK_EVENTS = ['RunTask', 'ThreadControllerImpl::RunTask'];
+
+// The renderer main thread that did the most work; each tab has its own, so the page's is the busiest
+function mainThreadTasks(traceEvents) {
+    const mainThreads = new Set(traceEvents
+        .filter(event => event.ph === 'M' && event.name === 'thread_name' && event.args?.name === 'CrRendererMain')
+        .map(event => `${event.pid}:${event.tid}`));
+
+    const tasksByThread = new Map();
+    for (const event of traceEvents) {
+        const thread = `${event.pid}:${event.tid}`;
+        if (event.ph !== 'X' || !TASK_EVENTS.includes(event.name) || !mainThreads.has(thread)) continue;
+        const tasks = tasksByThread.get(thread) ?? [];
+        tasks.push(event);
+        tasksByThread.set(thread, tasks);
+    }
+
+    let busiest = { thread: null, tasks: [], total: -1 };
+    for (const [thread, tasks] of tasksByThread) {
+        const total = tasks.reduce((sum, task) => sum + (task.dur ?? 0), 0);
+        if (total > busiest.total) busiest = { thread, tasks, total };
+    }
+    return busiest;
+}
+
+const scriptUrlOf = event => event.args?.data?.url || event.args?.data?.stackTrace?.[0]?.url || null;
+
+// Attributes every top-level main-thread task to the script that ran longest inside it, and
+// returns Map(url -> { mainThreadTime, blockingTime }) in milliseconds
+export function attributeMainThreadTime(traceEvents) {
+    const { thread, tasks } = mainThreadTasks(traceEvents);
+    const byUrl = new Map();
+    if (!thread) return byUrl;
+
+    // Nested tasks are already covered by their parent
+    const sorted = tasks.filter(task => task.dur).sort((a, b) => a.ts - b.ts);
+    const topLevel = [];
+    for (const task of sorted) {
+        const last = topLevel[topLevel.length - 1];
+        if (!last || task.ts >= last.ts + last.dur) topLevel.push({ ts: task.ts, dur: task.dur, scripts: new Map() });
+    }
+
+    for (const event of traceEvents) {
+        const url = scriptUrlOf(event);
+        if (event.ph !== 'X' || !event.dur || !url || !SCRIPT_EVENTS.includes(event.name) || `${event.pid}:${event.tid}` !== thread) continue;
+
+        // Binary search for the last task starting at or before the event
+        let low = 0;
+        let high = topLevel.length - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (topLevel[middle].ts <= event.ts) low = middle;
+            else high = middle - 1;
+        }
+        const task = topLevel[low];
+        if (!task || task.ts > event.ts || event.ts >= task.ts + task.dur) continue;
+        task.scripts.set(url, (task.scripts.get(url) ?? 0) + event.dur);
+    }
+
+    for (const task of topLevel) {
+        if (!task.scripts.size) continue;
+        const [url] = Array.from(task.scripts).sort(([, a], [, b]) => b - a)[0];
+        const duration = task.dur / 1000;
+        const totals = byUrl.get(url) ?? { mainThreadTime: 0, blockingTime: 0 };
+        totals.mainThreadTime += duration;
+        totals.blockingTime += Math.max(0, duration - LONG_TASK_MS);
+        byUrl.set(url, totals);
+    }
+    return byUrl;
+}
+
+const round = value => Math.round(value * 10) / 10;
+
+// Builds the report from requests ({ url, type, transferSize }) and the per-script times.
+// Requests to the page's own site, or to the entity the page itself belongs to, are first party.
+export function summarizeThirdParties({ pageUrl, requests, scriptTimes = new Map(), matchEntity }) {
+    const page = new URL(pageUrl);
+    const site = siteOf(page.hostname);
+    const firstPartyEntity = matchEntity(pageUrl);
+
+    const entities = new Map();
+    const details = {};
+    const timedScripts = new Set();
+    let firstPartyRequests = 0;
+
+    for (const request of requests) {
+        let parsed;
+        try {
+            parsed = new URL(request.url);
+        } catch {
+            continue;
+        }
+        if (!parsed.protocol.startsWith('http')) continue;
+
+        const known = matchEntity(request.url);
+        if (siteOf(parsed.hostname) === site || (known && known === firstPartyEntity)) {
+            firstPartyRequests++;
+            continue;
+        }
+
+        // Unknown services are grouped by their registrable domain
+        const name = known?.name ?? siteOf(parsed.hostname);
+        const entity = entities.get(name) ?? {
+            name,
+            company: known?.company ?? null,
+            category: known?.category ?? 'unknown',
+            privacy: known?.privacy ?? null,
+            recognised: !!known,
+            domains: [],
+            requestCount: 0,
+            transferSize: 0,
+            resourceTypes: {},
+            mainThreadTime: 0,
+            blockingTime: 0
+        };
+        const type = request.type ?? 'other';
+        entity.requestCount++;
+        entity.transferSize += request.transferSize ?? 0;
+        entity.resourceTypes[type] = (entity.resourceTypes[type] ?? 0) + 1;
+        if (!entity.domains.includes(parsed.hostname)) entity.domains.push(parsed.hostname);
+
+        // A script requested twice still only counts its time once
+        const times = scriptTimes.get(request.url);
+        if (times && !timedScripts.has(request.url)) {
+            timedScripts.add(request.url);
+            entity.mainThreadTime += times.mainThreadTime;
+            entity.blockingTime += times.blockingTime;
+        }
+        entities.set(name, entity);
+
+        const domain = details[parsed.hostname] ?? {
+            entity: name,
+            category: entity.category,
+            requestCount: 0,
+            transferSize: 0,
+            types: []
+        };
+        domain.requestCount++;
+        domain.transferSize += request.transferSize ?? 0;
+        if (!domain.types.includes(type)) domain.types.push(type);
+        details[parsed.hostname] = domain;
+    }
+
+    const list = Array.from(entities.values())
+        .map(entity => ({ ...entity, mainThreadTime: round(entity.mainThreadTime), blockingTime: round(entity.blockingTime) }))
+        .sort((a, b) => b.blockingTime - a.blockingTime || b.transferSize - a.transferSize);
+
+    return {
+        totalThirdPartyDomains: Object.keys(details).length,
+        totalEntities: list.length,
+        firstPartyRequests,
+        totals: {
+            requestCount: list.reduce((sum, entity) => sum + entity.requestCount, 0),
+            transferSize: list.reduce((sum, entity) => sum + entity.transferSize, 0),
+            mainThreadTime: round(list.reduce((sum, entity) => sum + entity.mainThreadTime, 0)),
+            blockingTime: round(list.reduce((sum, entity) => sum + entity.blockingTime, 0))
+        },
+        categorySummary: list.reduce((acc, entity) => {
+            acc[entity.category] = (acc[entity.category] || 0) + 1;
+            return acc;
+        }, {}),
+        entities: list,
+        details
+    };
+}
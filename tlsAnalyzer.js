@@ -0,0 +1,241 @@
+import tls from 'tls';
+import net from 'net';
+import crypto from 'crypto';
+
+// Local TLS inspection with Node's tls module: certificate chain, protocol versions, weak cipher
+// suites and OCSP stapling. Every check is a handshake from this machine; no outside service is used.
+
+const SEVERITY_PENALTY = { high: 25, medium: 10, low: 5, info: 0 };
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Certificates expiring within this many days get a high-severity finding
+export const EXPIRY_WARNING_DAYS = 30;
+
+const PROTOCOLS = ['TLSv1', 'TLSv1.1', 'TLSv1.2', 'TLSv1.3'];
+const LEGACY_PROTOCOLS = ['TLSv1', 'TLSv1.1'];
+
+// OpenSSL cipher strings for suites a server should no longer accept. They only exist up to
+// TLS 1.2; every TLS 1.3 suite is considered strong.
+const WEAK_CIPHER_GROUPS = [
+    { name: 'NULL, anonymous or export-grade', ciphers: 'eNULL:aNULL:EXPORT', severity: 'high' },
+    { name: 'RC4', ciphers: 'RC4', severity: 'high' },
+    { name: 'DES and 3DES', ciphers: 'DES:3DES', severity: 'medium' },
+    { name: 'Static RSA key exchange (no forward secrecy)', ciphers: 'kRSA', severity: 'low' }
+];
+
+// Errors that mean this machine's OpenSSL could not offer the protocol or ciphers, so the
+// server was never asked
+const LOCAL_LIMITATION = /NO_PROTOCOLS_AVAILABLE|NO_CIPHER_MATCH|NO_CIPHERS_AVAILABLE|No cipher match/i;
+
+const finding = (severity, message) => ({ severity, message });
+
+// One handshake with the certificate check disabled, so broken certificates can still be
+// inspected. Resolves with what inspect() returns, or with { error } when the handshake fails.
+function handshake(host, port, options, { timeout, inspect = () => ({}) }) {
+    return new Promise(resolve => {
+        let socket;
+        let ocspResponse = null;
+        const finish = result => {
+            socket?.destroy();
+            resolve(result);
+        };
+
+        try {
+            socket = tls.connect({
+                host,
+                port,
+                // SNI does not allow IP addresses
+                servername: net.isIP(host) ? undefined : host,
+                rejectUnauthorized: false,
+                ...options
+            }, () => finish({ ...inspect(socket, ocspResponse) }));
+        } catch (error) {
+            resolve({ error, local: true });
+            return;
+        }
+
+        socket.on('OCSPResponse', response => { ocspResponse = response; });
+        socket.setTimeout(timeout, () => finish({ error: new Error(`TLS handshake with ${host}:${port} timed out`) }));
+        socket.once('error', error => finish({ error, local: LOCAL_LIMITATION.test(error.code ?? error.message) }));
+    });
+}
+
+function describeChain(certificate) {
+    const chain = [];
+    const seen = new Set();
+    for (let cert = certificate; cert?.raw && !seen.has(cert.fingerprint256); cert = cert.issuerCertificate) {
+        seen.add(cert.fingerprint256);
+        chain.push({
+            subject: cert.subject?.CN ?? cert.subject?.O ?? null,
+            issuer: cert.issuer?.CN ?? cert.issuer?.O ?? null,
+            validFrom: new Date(cert.valid_from).toISOString(),
+            validTo: new Date(cert.valid_to).toISOString()
+        });
+    }
+    return chain;
+}
+
+function describeKey(certificate) {
+    const { publicKey } = new crypto.X509Certificate(certificate.raw);
+    return {
+        type: publicKey.asymmetricKeyType,
+        bits: certificate.bits ?? publicKey.asymmetricKeyDetails?.modulusLength ?? null,
+        curve: publicKey.asymmetricKeyDetails?.namedCurve ?? null
+    };
+}
+
+// Which of the given protocol versions the server completes a handshake with. null means the
+// local OpenSSL build refused to offer the version, so it could not be tested.
+async function probeProtocols(host, port, { timeout, ca }) {
+    const protocols = {};
+    for (const version of PROTOCOLS) {
+        const result = await handshake(host, port, {
+            minVersion: version,
+            maxVersion: version,
+            // Legacy versions are only offered by OpenSSL at the lowest security level
+            ciphers: 'ALL:@SECLEVEL=0',
+            ca
+        }, { timeout });
+        protocols[version] = result.error ? (result.local ? null : false) : true;
+    }
+    return protocols;
+}
+
+// Repeatedly offers a weak group, excluding each suite the server picks, until it refuses
+async function probeCipherGroup(host, port, group, { timeout, ca }) {
+    const accepted = [];
+    for (let attempt = 0; attempt < 16; attempt++) {
+        const excluded = accepted.map(name => `:!${name}`).join('');
+        const result = await handshake(host, port, {
+            minVersion: 'TLSv1',
+            maxVersion: 'TLSv1.2',
+            ciphers: `${group.ciphers}${excluded}:@SECLEVEL=0`,
+            ca
+        }, { timeout, inspect: socket => ({ cipher: socket.getCipher()?.name }) });
+
+        if (result.error) return { tested: attempt > 0 || !result.local, accepted };
+        if (!result.cipher || accepted.includes(result.cipher)) break;
+        accepted.push(result.cipher);
+    }
+    return { tested: true, accepted };
+}
+
+function scoreFindings(findings) {
+    return Math.max(0, 100 - findings.reduce((sum, item) => sum + SEVERITY_PENALTY[item.severity], 0));
+}
+
+// Inspects the TLS setup of host:port. Throws when no TLS connection can be made at all. Pass
+// `ca` to trust a private or self-signed root, e.g. for a local test server.
+export async function inspectTls(host, port = 443, { timeout = 10000, ca, now = Date.now() } = {}) {
+    const main = await handshake(host, port, { requestOCSP: true, ca }, {
+        timeout,
+        inspect: (socket, ocspResponse) => ({
+            authorized: socket.authorized,
+            authorizationError: socket.authorizationError ? String(socket.authorizationError) : null,
+            protocol: socket.getProtocol(),
+            cipher: socket.getCipher()?.name ?? null,
+            certificate: socket.getPeerCertificate(true),
+            ocspStapled: Boolean(ocspResponse?.length)
+        })
+    });
+    if (main.error) throw main.error;
+
+    const { certificate } = main;
+    if (!certificate?.raw) throw new Error(`${host}:${port} did not present a certificate`);
+
+    const findings = [];
+
+    // Node reports a hostname mismatch as an authorization error too; that is checked separately
+    const chainValid = main.authorized || main.authorizationError === 'ERR_TLS_CERT_ALTNAME_INVALID';
+
+    // Chain validity
+    if (!chainValid) {
+        const hint = main.authorizationError === 'UNABLE_TO_VERIFY_LEAF_SIGNATURE'
+            ? '; the server probably does not send its intermediate certificates' : '';
+        findings.push(finding('high', `Certificate chain is not trusted (${main.authorizationError})${hint}`));
+    }
+
+    // Expiry
+    const validTo = new Date(certificate.valid_to).getTime();
+    const validFrom = new Date(certificate.valid_from).getTime();
+    const daysRemaining = Math.floor((validTo - now) / DAY);
+    if (daysRemaining < 0) {
+        findings.push(finding('high', `Certificate expired ${-daysRemaining} days ago`));
+    } else if (daysRemaining <= EXPIRY_WARNING_DAYS) {
+        findings.push(finding('high', `Certificate expires in ${daysRemaining} days; renew it now`));
+    }
+    if (validFrom > now) {
+        findings.push(finding('high', 'Certificate is not valid yet'));
+    }
+
+    // Hostname coverage
+    const identityError = tls.checkServerIdentity(host, certificate);
+    if (identityError) {
+        findings.push(finding('high', `Certificate does not cover ${host}: ${identityError.reason ?? identityError.message}`));
+    }
+
+    // Key type and size
+    const key = describeKey(certificate);
+    if ((key.type === 'rsa' || key.type === 'rsa-pss' || key.type === 'dsa') && key.bits < 2048) {
+        findings.push(finding('high', `${key.type.toUpperCase()} key of ${key.bits} bits is too small; use at least 2048`));
+    } else if (key.type === 'ec' && key.bits < 256) {
+        findings.push(finding('high', `EC key of ${key.bits} bits is too small; use P-256 or stronger`));
+    }
+
+    // Protocol versions
+    const protocols = await probeProtocols(host, port, { timeout, ca });
+    const legacy = LEGACY_PROTOCOLS.filter(version => protocols[version]);
+    if (legacy.length) {
+        findings.push(finding('medium', `Deprecated protocol versions enabled: ${legacy.join(', ')}; disable them`));
+    }
+    if (protocols['TLSv1.3'] === false) {
+        findings.push(finding('low', 'TLS 1.3 is not supported'));
+    }
+
+    // Weak cipher suites
+    const weakCiphers = [];
+    const untestedCipherGroups = [];
+    for (const group of WEAK_CIPHER_GROUPS) {
+        const { tested, accepted } = await probeCipherGroup(host, port, group, { timeout, ca });
+        if (!tested) untestedCipherGroups.push(group.name);
+        if (!accepted.length) continue;
+
+        weakCiphers.push({ group: group.name, severity: group.severity, ciphers: accepted });
+        findings.push(finding(group.severity, `Weak cipher suites accepted (${group.name}): ${accepted.join(', ')}`));
+    }
+
+    // OCSP stapling
+    if (!main.ocspStapled) {
+        findings.push(finding('low', 'OCSP stapling is not enabled, so clients must contact the CA to check revocation'));
+    }
+
+    return {
+        host,
+        port,
+        negotiated: { protocol: main.protocol, cipher: main.cipher },
+        certificate: {
+            subject: certificate.subject?.CN ?? null,
+            issuer: certificate.issuer?.CN ?? certificate.issuer?.O ?? null,
+            subjectAltNames: certificate.subjectaltname
+                ? certificate.subjectaltname.split(', ').map(name => name.replace(/^(DNS|IP Address):/, ''))
+                : [],
+            validFrom: new Date(validFrom).toISOString(),
+            validTo: new Date(validTo).toISOString(),
+            daysRemaining,
+            coversHostname: !identityError,
+            key
+        },
+        chain: {
+            valid: chainValid,
+            error: chainValid ? null : main.authorizationError,
+            certificates: describeChain(certificate)
+        },
+        protocols,
+        weakCiphers,
+        untestedCipherGroups,
+        ocspStapling: main.ocspStapled,
+        score: scoreFindings(findings),
+        findings
+    };
+}
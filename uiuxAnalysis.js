@@ -1,10 +1,14 @@
 import puppeteer from 'puppeteer';
-import OpenAI from 'openai';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import chalk from 'chalk';
+import { renderHtmlReport } from './htmlReport.js';
+import { createVisionProvider, DEFAULT_VISION_PROMPT } from './visionProviders.js';
+import { DEFAULT_DEVICE_PROFILES, resolveDeviceProfiles, describeDeviceProfile, applyDeviceProfile } from './deviceProfiles.js';
+import { DEFAULT_VISUAL_OPTIONS, BaselineStore, maskElements, compareWithBaseline, pngSize } from './visualRegression.js';
+import { UX_FINDINGS_SCHEMA, JSON_INSTRUCTIONS, repairPrompt, parseUxFindings, mergeUxFindings, summarizeUxFindings } from './uxFindings.js';
 import dotenv from 'dotenv'
 dotenv.config()
 
@@ -17,21 +21,48 @@ class ScreenshotAnalyzer {
             outputDir: path.join(process.cwd(), 'screenshot-analysis'),
             openaiApiKey: process.env.OPENAI_API_KEY || '',
             verbose: true,
-            devices: {
-                mobile: { width: 375, height: 667 },
-                tablet: { width: 768, height: 1024 },
-                desktop: { width: 1440, height: 900 }
-            },
+            timeout: 30000,
+            userAgent: null,
+            html: false,
+            // AI review settings; see visionProviders.js
+            vision: {},
+            // Visual regression settings; see visualRegression.js
+            visual: {},
+            // Device profiles keyed by name; see deviceProfiles.js
+            devices: DEFAULT_DEVICE_PROFILES,
             ...options
         };
 
-        if (!this.options.openaiApiKey) {
-            throw new Error('OpenAI API key is required');
+        this.profiles = resolveDeviceProfiles(this.options.devices);
+
+        this.vision = {
+            // Without a provider the OpenAI review runs when a key is available
+            provider: null,
+            model: 'gpt-4o',
+            prompt: DEFAULT_VISION_PROMPT,
+            // JSON findings take more tokens than the same review in prose
+            maxTokens: 2000,
+            temperature: null,
+            // Extra requests asking the model to fix a reply that is not valid findings JSON
+            maxRetries: 1,
+            apiKey: this.options.openaiApiKey,
+            baseURL: null,
+            ...this.options.vision
+        };
+
+        let provider = this.vision.provider;
+        if (!provider) {
+            provider = this.vision.apiKey ? 'openai' : 'none';
+            if (provider === 'none') this._log('No OpenAI API key set, so screenshots are captured without an AI review', 'warning');
         }
+        this.provider = createVisionProvider(provider, this.vision);
 
-        this.openai = new OpenAI({
-            apiKey: this.options.openaiApiKey
-        });
+        this.visual = {
+            ...DEFAULT_VISUAL_OPTIONS,
+            baselineDir: path.join(this.options.outputDir, 'baselines'),
+            ...this.options.visual
+        };
+        this.baselines = new BaselineStore(this.visual.baselineDir);
 
         if (!fs.existsSync(this.options.outputDir)) {
             fs.mkdirSync(this.options.outputDir, { recursive: true });
@@ -59,31 +90,39 @@ class ScreenshotAnalyzer {
 
         try {
             const screenshots = {};
-            for (const [device, dimensions] of Object.entries(this.options.devices)) {
-                this._log(`Capturing ${device} screenshot for ${url}`);
-                
+            for (const profile of this.profiles) {
+                const device = profile.name;
+                this._log(`Capturing ${describeDeviceProfile(profile)} screenshot for ${url}`);
+
                 const page = await browser.newPage();
-                await page.setViewport(dimensions);
+                page.setDefaultTimeout(this.options.timeout);
+                await applyDeviceProfile(page, profile, { userAgent: this.options.userAgent });
                 await page.goto(url, { waitUntil: 'networkidle0' });
-                
+
                 // Wait for any lazy-loaded content
                 await page.evaluate(() => new Promise(resolve => {
                     setTimeout(resolve, 2000);
                 }));
 
+                const masked = await maskElements(page, this.visual.maskSelectors);
+                if (masked) this._log(`Masked ${masked} dynamic element(s) on ${device}`);
+
                 const screenshotPath = path.join(
                     this.options.outputDir,
                     `${this._sanitizeFilename(url)}_${device}.png`
                 );
                 
-                await page.screenshot({
+                const image = await page.screenshot({
                     path: screenshotPath,
                     fullPage: true
                 });
 
                 screenshots[device] = {
                     path: screenshotPath,
-                    dimensions
+                    // The full page at the device's pixel ratio, not the viewport
+                    dimensions: pngSize(Buffer.from(image)),
+                    label: describeDeviceProfile(profile),
+                    profile
                 };
 
                 await page.close();
@@ -95,43 +134,40 @@ class ScreenshotAnalyzer {
         }
     }
 
-    async analyzeScreenshot(screenshotPath, device) {
+    // Returns { findings, attempts } and, when the reply stayed malformed after every retry,
+    // the validation errors; findings that did validate are kept either way
+    async analyzeScreenshot(screenshotPath, device, profile = null) {
         try {
             const image = await fs.promises.readFile(screenshotPath);
-            const base64Image = image.toString('base64');
-
-            this._log(`Analyzing ${device} screenshot with OpenAI`);
-
-            const response = await this.openai.chat.completions.create({
-                model: "gpt-4o",
-                messages: [
-                    {
-                        role: "user",
-                        content: [
-                            {
-                                type: "text",
-                                text: `Analyze this ${device} screenshot and provide specific UI/UX improvement suggestions. Focus on:
-                                1. Layout and spacing
-                                2. Visual hierarchy
-                                3. Mobile responsiveness
-                                4. Navigation and user flow
-                                5. Color contrast and accessibility
-                                6. Content readability
-                                Respond with actionable recommendations only. Avoid prefacing or additional context.`
-                            },
-                            {
-                                type: "image_url",  // Changed from 'image' to 'image_url'
-                                image_url: {
-                                    url: `data:image/png;base64,${base64Image}`
-                                }
-                            }
-                        ]
-                    }
-                ],
-                max_tokens: 1000
-            });
-
-            return response.choices[0].message.content;
+            const basePrompt = `${this.vision.prompt.replaceAll('{device}', profile ? describeDeviceProfile(profile) : device)}\n\n${JSON_INSTRUCTIONS}`;
+
+            let prompt = basePrompt;
+            let parsed;
+            let attempts = 0;
+            while (attempts <= this.vision.maxRetries) {
+                attempts++;
+                this._log(`Analyzing ${device} screenshot with ${this.provider.name} (${this.vision.model})${attempts > 1 ? `, retry ${attempts - 1}` : ''}`);
+
+                const reply = await this.provider.analyze({
+                    image,
+                    mimeType: 'image/png',
+                    device,
+                    profile,
+                    prompt,
+                    schema: UX_FINDINGS_SCHEMA,
+                    model: this.vision.model,
+                    maxTokens: this.vision.maxTokens,
+                    temperature: this.vision.temperature
+                });
+
+                parsed = parseUxFindings(reply);
+                if (!parsed.errors.length) return { findings: parsed.findings, attempts };
+
+                this._log(`${device} review reply was malformed: ${parsed.errors.join('; ')}`, 'warning');
+                prompt = repairPrompt(basePrompt, parsed.errors);
+            }
+
+            return { findings: parsed.findings, attempts, errors: parsed.errors };
         } catch (error) {
             this._log(`Failed to analyze screenshot: ${error.message}`, 'error');
             throw error;
@@ -142,21 +178,30 @@ class ScreenshotAnalyzer {
         try {
             this._log(`Starting screenshot analysis for ${url}`);
 
-            // Capture screenshots for all devices
+            // Capture screenshots for all device profiles
             const screenshots = await this.captureScreenshots(url);
 
-            // Analyze each screenshot
+            // Analyze each screenshot, unless the provider only captures them
             const analyses = {};
-            for (const [device, screenshot] of Object.entries(screenshots)) {
-                analyses[device] = await this.analyzeScreenshot(screenshot.path, device);
+            if (this.provider.analyze) {
+                for (const [device, screenshot] of Object.entries(screenshots)) {
+                    analyses[device] = await this.analyzeScreenshot(screenshot.path, device, screenshot.profile);
+                }
             }
 
+            // Findings repeated on several devices are reported once
+            const findings = mergeUxFindings(Object.fromEntries(
+                Object.entries(analyses).map(([device, analysis]) => [device, analysis.findings])));
+
             // Generate report
             const report = {
                 url,
                 timestamp: new Date().toISOString(),
+                vision: this.provider.analyze ? { provider: this.provider.name, model: this.vision.model } : { provider: 'none' },
                 screenshots,
-                analyses
+                analyses,
+                findings,
+                summary: this.provider.analyze ? summarizeUxFindings(findings) : null
             };
 
             // Save report
@@ -167,13 +212,25 @@ class ScreenshotAnalyzer {
             fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
             this._log(`Analysis completed. Report saved to ${reportPath}`, 'success');
 
+            if (this.options.html) {
+                const htmlPath = reportPath.replace(/\.json$/, '.html');
+                fs.writeFileSync(htmlPath, renderHtmlReport(null, { screenshotReport: report }));
+                this._log(`HTML report saved to ${htmlPath}`, 'success');
+            }
+
             // Print summary
             console.log('\nScreenshot Analysis Summary:');
             console.log('--------------------------');
             console.log(`URL: ${url}`);
-            for (const [device, analysis] of Object.entries(analyses)) {
-                console.log(`\n${device.toUpperCase()} Analysis:`);
-                console.log(analysis);
+            if (!this.provider.analyze) {
+                Object.entries(screenshots).forEach(([device, screenshot]) => console.log(`${device}: ${screenshot.path}`));
+            }
+            if (report.summary) {
+                console.log(`UX score: ${report.summary.score} (${report.summary.total} findings)`);
+            }
+            for (const finding of findings) {
+                console.log(`\n[${finding.severity}] ${finding.category} (${finding.devices.join(', ')}): ${finding.description}`);
+                console.log(`  Fix: ${finding.fix}`);
             }
 
             return report;
@@ -183,31 +240,64 @@ class ScreenshotAnalyzer {
         }
     }
 
-    _sanitizeFilename(url) {
-        return url.replace(/[^a-z0-9]/gi, '_').toLowerCase();
+    // Captures the current screenshots and approves them as the baseline for later comparisons
+    async approveBaseline(url) {
+        const screenshots = await this.captureScreenshots(url);
+        const manifest = this.baselines.approve(url, screenshots);
+        this._log(`Baseline for ${url} approved in ${this.baselines.directory(url)}`, 'success');
+        return manifest;
     }
-}
 
-// Example usage
-const runAnalysis = async ( urlToTest ) => {
-    try {
-        const analyzer = new ScreenshotAnalyzer({
-            verbose: true,
-            outputDir: './screenshot-analysis'
-        });
+    // Captures the URL and compares every device with its approved baseline. The saved report
+    // is a screenshot report with a `visual` section, so it renders like any other.
+    async runVisualRegression(url) {
+        try {
+            this._log(`Starting visual regression check for ${url}`);
+
+            const screenshots = await this.captureScreenshots(url);
+            const visual = compareWithBaseline(url, screenshots, this.baselines, this.visual);
+
+            const report = {
+                url,
+                timestamp: new Date().toISOString(),
+                screenshots,
+                visual
+            };
+
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const reportPath = path.join(this.options.outputDir, `${this._sanitizeFilename(url)}_${timestamp}_visual_regression.json`);
+            fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+            this._log(`Visual regression report saved to ${reportPath}`, 'success');
 
-        const url = process.argv[2] || urlToTest || 'https://quantmutual.com/';
-        console.log(`Starting screenshot analysis for: ${url}`);
-        await analyzer.generateReport(url);
-    } catch (error) {
-        console.error('Analysis failed:', error);
-        process.exit(1);
+            if (this.options.html) {
+                const htmlPath = reportPath.replace(/\.json$/, '.html');
+                fs.writeFileSync(htmlPath, renderHtmlReport(null, { screenshotReport: report }));
+                this._log(`HTML report saved to ${htmlPath}`, 'success');
+            }
+
+            console.log('\nVisual Regression Summary:');
+            console.log('--------------------------');
+            console.log(`URL: ${url} (baseline approved ${visual.baselineApproved})`);
+            for (const [device, result] of Object.entries(visual.devices)) {
+                const color = result.passed ? chalk.green : chalk.red;
+                console.log(color(result.status === 'missing'
+                    ? `${device}: no baseline`
+                    : `${device}: ${result.mismatchPercentage}% mismatch${result.sizeChanged ? ', page size changed' : ''} (${result.diff})`));
+            }
+            console.log(visual.passed
+                ? chalk.green(`All devices within ${visual.maxMismatch}% mismatch`)
+                : chalk.red(`Visual regression above ${visual.maxMismatch}% mismatch`));
+
+            return report;
+        } catch (error) {
+            this._log(`Visual regression check failed: ${error.message}`, 'error');
+            throw error;
+        }
     }
-};
 
-// Run if called directly
-if (process.argv[1] === fileURLToPath(import.meta.url)) {
-    runAnalysis('https://quantmutual.com/');
+    _sanitizeFilename(url) {
+        return url.replace(/[^a-z0-9]/gi, '_').toLowerCase();
+    }
 }
 
-export default ScreenshotAnalyzer;
\ No newline at end of file
+export default ScreenshotAnalyzer;
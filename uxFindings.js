@@ -0,0 +1,193 @@
+// Structured findings from the AI UX review: the JSON schema the model is asked for, validation
+// and repair of its replies, and merging of findings that repeat across devices.
+
+export const UX_CATEGORIES = ['layout', 'hierarchy', 'responsiveness', 'navigation', 'contrast', 'readability'];
+export const UX_SEVERITIES = ['high', 'medium', 'low'];
+
+const SEVERITY_PENALTY = { high: 15, medium: 7, low: 2 };
+
+// Findings in the same category whose descriptions share this much of their vocabulary are
+// treated as the same issue seen on several devices
+const SIMILARITY_THRESHOLD = 0.5;
+
+// Written to also satisfy strict structured-output modes: every property is required and the
+// optional region is nullable instead
+export const UX_FINDINGS_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    required: ['findings'],
+    properties: {
+        findings: {
+            type: 'array',
+            items: {
+                type: 'object',
+                additionalProperties: false,
+                required: ['category', 'severity', 'description', 'fix', 'region'],
+                properties: {
+                    category: { type: 'string', enum: UX_CATEGORIES },
+                    severity: { type: 'string', enum: UX_SEVERITIES },
+                    description: { type: 'string' },
+                    fix: { type: 'string' },
+                    region: {
+                        anyOf: [
+                            { type: 'null' },
+                            {
+                                type: 'object',
+                                additionalProperties: false,
+                                required: ['x', 'y', 'width', 'height'],
+                                properties: {
+                                    x: { type: 'number' },
+                                    y: { type: 'number' },
+                                    width: { type: 'number' },
+                                    height: { type: 'number' }
+                                }
+                            }
+                        ]
+                    }
+                }
+            }
+        }
+    }
+};
+
+// Appended to the review prompt, so custom prompts get the same output contract
+export const JSON_INSTRUCTIONS = `Reply with JSON only, no prose or code fences, matching this schema:
+${JSON.stringify(UX_FINDINGS_SCHEMA)}
+category is one of ${UX_CATEGORIES.join(', ')}; severity is one of ${UX_SEVERITIES.join(', ')}.
+region is the affected area in screenshot pixels, or null when the issue is page-wide.`;
+
+export function repairPrompt(prompt, errors) {
+    return `${prompt}
+
+Your previous reply could not be used:
+${errors.map(error => `- ${error}`).join('\n')}
+Reply again with only the corrected JSON.`;
+}
+
+// Pulls the JSON object out of a reply, tolerating code fences, surrounding prose and trailing commas
+function extractJson(text) {
+    const unfenced = text.replace(/```(?:json)?/gi, '');
+    const start = unfenced.indexOf('{');
+    const end = unfenced.lastIndexOf('}');
+    if (start === -1 || end <= start) throw new Error('Reply contains no JSON object');
+
+    const candidate = unfenced.slice(start, end + 1);
+    try {
+        return JSON.parse(candidate);
+    } catch (error) {
+        try {
+            return JSON.parse(candidate.replace(/,\s*([}\]])/g, '$1'));
+        } catch {
+            throw new Error(`Reply is not valid JSON: ${error.message}`);
+        }
+    }
+}
+
+function validateRegion(region) {
+    if (region === null || region === undefined) return null;
+    const valid = typeof region === 'object' &&
+        ['x', 'y', 'width', 'height'].every(key => Number.isFinite(region[key]) && region[key] >= 0);
+    return valid ? { x: region.x, y: region.y, width: region.width, height: region.height } : undefined;
+}
+
+// Validates a model reply. Usable findings are kept even when others are rejected; `errors`
+// lists every problem so a repair request can quote them.
+export function parseUxFindings(reply) {
+    const errors = [];
+    let parsed;
+    try {
+        parsed = typeof reply === 'string' ? extractJson(reply) : reply;
+    } catch (error) {
+        return { findings: [], errors: [error.message] };
+    }
+
+    const items = Array.isArray(parsed) ? parsed : parsed?.findings;
+    if (!Array.isArray(items)) return { findings: [], errors: ['Reply has no "findings" array'] };
+
+    const findings = [];
+    items.forEach((item, index) => {
+        const category = String(item?.category ?? '').toLowerCase();
+        const severity = String(item?.severity ?? '').toLowerCase();
+        const description = typeof item?.description === 'string' ? item.description.trim() : '';
+        const fix = typeof item?.fix === 'string' ? item.fix.trim() : '';
+        const region = validateRegion(item?.region);
+
+        const problems = [
+            !UX_CATEGORIES.includes(category) && `category "${item?.category}" is not one of ${UX_CATEGORIES.join(', ')}`,
+            !UX_SEVERITIES.includes(severity) && `severity "${item?.severity}" is not one of ${UX_SEVERITIES.join(', ')}`,
+            !description && 'description is missing',
+            !fix && 'fix is missing',
+            region === undefined && 'region must be null or {x, y, width, height} with non-negative numbers'
+        ].filter(Boolean);
+
+        if (problems.length) {
+            errors.push(`findings[${index}]: ${problems.join('; ')}`);
+            return;
+        }
+        findings.push({ category, severity, description, fix, region });
+    });
+
+    return { findings, errors };
+}
+
+const words = text => new Set(text.toLowerCase().replace(/[^a-z0-9\s]/g, ' ').split(/\s+/).filter(word => word.length > 2));
+
+function similarity(first, second) {
+    const a = words(first);
+    const b = words(second);
+    if (!a.size || !b.size) return 0;
+    const shared = Array.from(a).filter(word => b.has(word)).length;
+    return shared / Math.min(a.size, b.size);
+}
+
+// Merges per-device findings into one list. A repeated finding keeps the highest severity and
+// records every device it was seen on, with the region reported for each.
+export function mergeUxFindings(findingsByDevice) {
+    const merged = [];
+
+    for (const [device, findings] of Object.entries(findingsByDevice)) {
+        for (const finding of findings) {
+            const match = merged.find(item => item.category === finding.category &&
+                similarity(item.description, finding.description) >= SIMILARITY_THRESHOLD);
+
+            if (!match) {
+                merged.push({
+                    category: finding.category,
+                    severity: finding.severity,
+                    description: finding.description,
+                    fix: finding.fix,
+                    devices: [device],
+                    regions: finding.region ? { [device]: finding.region } : {}
+                });
+                continue;
+            }
+
+            if (!match.devices.includes(device)) match.devices.push(device);
+            if (finding.region && !match.regions[device]) match.regions[device] = finding.region;
+            if (UX_SEVERITIES.indexOf(finding.severity) < UX_SEVERITIES.indexOf(match.severity)) {
+                match.severity = finding.severity;
+            }
+        }
+    }
+
+    return merged.sort((a, b) => UX_SEVERITIES.indexOf(a.severity) - UX_SEVERITIES.indexOf(b.severity) ||
+        b.devices.length - a.devices.length);
+}
+
+// Counts per category and severity, and a 0-100 score where each merged finding costs points
+// by severity
+export function summarizeUxFindings(findings) {
+    const byCategory = Object.fromEntries(UX_CATEGORIES.map(category => [category, 0]));
+    const bySeverity = Object.fromEntries(UX_SEVERITIES.map(severity => [severity, 0]));
+    findings.forEach(finding => {
+        byCategory[finding.category]++;
+        bySeverity[finding.severity]++;
+    });
+
+    return {
+        total: findings.length,
+        byCategory,
+        bySeverity,
+        score: Math.max(0, 100 - findings.reduce((sum, finding) => sum + SEVERITY_PENALTY[finding.severity], 0))
+    };
+}
@@ -0,0 +1,94 @@
+import OpenAI from 'openai';
+import { resolvePluginSpecifier } from './analyzerRegistry.js';
+
+// A vision provider reviews one screenshot and returns its suggestions as text:
+//   name     label recorded in the screenshot report
+//   analyze  async ({ image, mimeType, device, profile, prompt, schema, model, maxTokens, temperature }) => string
+// `image` is a Buffer and `profile` the resolved device profile (see deviceProfiles.js). The
+// prompt asks for JSON matching `schema`; providers whose API can enforce a schema should pass it
+// on. The `none` provider has no analyze function and only captures screenshots.
+
+// {device} is replaced with the device profile of the screenshot, e.g. "mobile (iPhone 8, dark mode)"
+export const DEFAULT_VISION_PROMPT = `Review this {device} screenshot for UI/UX problems. Focus on:
+1. Layout and spacing
+2. Visual hierarchy
+3. Mobile responsiveness
+4. Navigation and user flow
+5. Color contrast and accessibility
+6. Content readability
+Report each problem as a separate finding with a specific, actionable fix.`;
+
+// Chat completions with an image part, as served by OpenAI and by OpenAI-compatible servers.
+// With structuredOutput the schema is enforced through response_format, which not every
+// compatible server supports.
+function chatCompletionsProvider(name, clientOptions, { structuredOutput = false } = {}) {
+    const client = new OpenAI(clientOptions);
+
+    return {
+        name,
+        async analyze({ image, mimeType, prompt, schema, model, maxTokens, temperature }) {
+            const response = await client.chat.completions.create({
+                model,
+                messages: [{
+                    role: 'user',
+                    content: [
+                        { type: 'text', text: prompt },
+                        { type: 'image_url', image_url: { url: `data:${mimeType};base64,${image.toString('base64')}` } }
+                    ]
+                }],
+                max_tokens: maxTokens,
+                ...(temperature !== null && temperature !== undefined && { temperature }),
+                ...(structuredOutput && schema && {
+                    response_format: { type: 'json_schema', json_schema: { name: 'ux_findings', schema, strict: true } }
+                })
+            });
+
+            return response.choices[0].message.content;
+        }
+    };
+}
+
+export const VISION_PROVIDERS = {
+    openai: ({ apiKey, baseURL } = {}) => {
+        if (!apiKey) throw new Error('The openai vision provider needs an API key; set OPENAI_API_KEY');
+        return chatCompletionsProvider('openai', { apiKey, ...(baseURL && { baseURL }) }, { structuredOutput: true });
+    },
+    // Self-hosted model servers rarely check the key, but the SDK insists on one
+    'openai-compatible': ({ apiKey, baseURL, structuredOutput = false } = {}) => {
+        if (!baseURL) throw new Error('The openai-compatible vision provider needs a baseURL, e.g. http://localhost:8000/v1');
+        return chatCompletionsProvider('openai-compatible', { apiKey: apiKey || 'not-needed', baseURL }, { structuredOutput });
+    },
+    none: () => ({ name: 'none', analyze: null })
+};
+
+function validateProvider(provider, source) {
+    if (!provider || typeof provider !== 'object') {
+        throw new Error(`Vision provider from ${source} is not an object`);
+    }
+    if (provider.analyze !== null && typeof provider.analyze !== 'function') {
+        throw new Error(`Vision provider from ${source} needs an analyze function`);
+    }
+    return { name: source, ...provider };
+}
+
+// Resolves a provider given by name or as a provider object
+export function createVisionProvider(provider, options = {}) {
+    if (provider && typeof provider === 'object') return validateProvider(provider, 'options');
+
+    const factory = VISION_PROVIDERS[provider];
+    if (!factory) {
+        throw new Error(`Unknown vision provider "${provider}"; use one of ${Object.keys(VISION_PROVIDERS).join(', ')} or a module path`);
+    }
+    return factory(options);
+}
+
+// Loads a custom provider from a file path (relative to baseDir) or package. The default export
+// is a provider object, or a factory called with the vision options that returns one.
+export async function loadVisionProvider(specifier, options = {}, baseDir = process.cwd()) {
+    const module = await import(resolvePluginSpecifier(specifier, baseDir));
+    const exported = module.default;
+    if (!exported) throw new Error(`Vision provider module "${specifier}" has no default export`);
+
+    const provider = typeof exported === 'function' ? await exported(options) : exported;
+    return validateProvider(provider, specifier);
+}
@@ -0,0 +1,206 @@
+import fs from 'fs';
+import path from 'path';
+import { PNG } from 'pngjs';
+import pixelmatch from 'pixelmatch';
+
+// Pixel comparison of device screenshots against approved baselines. Baselines are stored
+// per URL as <baselineDir>/<url>/<device>.png next to a baseline.json describing them.
+
+export const DEFAULT_VISUAL_OPTIONS = {
+    baselineDir: null,
+    // Per-pixel colour tolerance from 0 to 1; higher accepts larger colour differences
+    threshold: 0.1,
+    // Anti-aliased edges are detected and not counted as mismatches unless this is false
+    ignoreAntialiasing: true,
+    // Highest share of mismatched pixels, in percent, that still passes
+    maxMismatch: 0.1,
+    // Areas left out of the comparison, in CSS page pixels: { x, y, width, height, device? }.
+    // They are scaled by each device's deviceScaleFactor to match the screenshot.
+    ignoreRegions: [],
+    // Elements covered with a solid box before capture, e.g. carousels and timestamps
+    maskSelectors: []
+};
+
+const MASK_COLOR = '#ff00ff';
+
+// Covers every element matching the selectors with an opaque box, so content that changes
+// between runs captures identically. Returns how many elements were masked.
+export async function maskElements(page, selectors) {
+    if (!selectors.length) return 0;
+
+    return page.evaluate((selectorList, color) => {
+        let masked = 0;
+        for (const selector of selectorList) {
+            for (const element of document.querySelectorAll(selector)) {
+                const rect = element.getBoundingClientRect();
+                if (!rect.width || !rect.height) continue;
+
+                const mask = document.createElement('div');
+                mask.setAttribute('data-visual-mask', '');
+                Object.assign(mask.style, {
+                    position: 'absolute',
+                    left: `${rect.left + window.scrollX}px`,
+                    top: `${rect.top + window.scrollY}px`,
+                    width: `${rect.width}px`,
+                    height: `${rect.height}px`,
+                    background: color,
+                    zIndex: 2147483647,
+                    pointerEvents: 'none'
+                });
+                document.body.appendChild(mask);
+                masked++;
+            }
+        }
+        return masked;
+    }, selectors, MASK_COLOR);
+}
+
+// Width and height of a PNG, read from its header without decoding the image
+export function pngSize(buffer) {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+// Converts a region from CSS pixels to the screenshot's device pixels
+const scaleRegion = ({ x, y, width, height }, scale) => ({ x: x * scale, y: y * scale, width: width * scale, height: height * scale });
+
+// Copies an image onto a transparent canvas of the given size
+function padImage(image, width, height) {
+    if (image.width === width && image.height === height) return image;
+
+    const padded = new PNG({ width, height });
+    PNG.bitblt(image, padded, 0, 0, image.width, image.height, 0, 0);
+    return padded;
+}
+
+// Blanks a region in both images so it always matches
+function clearRegion(images, { x, y, width, height }) {
+    for (const image of images) {
+        const left = Math.max(0, Math.floor(x));
+        const top = Math.max(0, Math.floor(y));
+        const right = Math.min(image.width, Math.ceil(x + width));
+        const bottom = Math.min(image.height, Math.ceil(y + height));
+
+        for (let row = top; row < bottom; row++) {
+            image.data.fill(0, (row * image.width + left) * 4, (row * image.width + right) * 4);
+        }
+    }
+}
+
+// Compares two PNG buffers. Images of different sizes are compared on a canvas large enough for
+// both, so the area only one of them covers counts as changed. Returns the diff image as a PNG buffer.
+export function compareImages(baselineBuffer, currentBuffer, options = {}) {
+    const { threshold, ignoreAntialiasing, ignoreRegions } = { ...DEFAULT_VISUAL_OPTIONS, ...options };
+
+    const baseline = PNG.sync.read(baselineBuffer);
+    const current = PNG.sync.read(currentBuffer);
+    const width = Math.max(baseline.width, current.width);
+    const height = Math.max(baseline.height, current.height);
+
+    const images = [padImage(baseline, width, height), padImage(current, width, height)];
+    ignoreRegions.forEach(region => clearRegion(images, region));
+
+    const diff = new PNG({ width, height });
+    const mismatchedPixels = pixelmatch(images[0].data, images[1].data, diff.data, width, height, {
+        threshold,
+        includeAA: !ignoreAntialiasing
+    });
+
+    return {
+        width,
+        height,
+        sizeChanged: baseline.width !== current.width || baseline.height !== current.height,
+        mismatchedPixels,
+        mismatchPercentage: Math.round((mismatchedPixels / (width * height)) * 10000) / 100,
+        diff: PNG.sync.write(diff)
+    };
+}
+
+const urlDirectory = url => url.replace(/[^a-z0-9]/gi, '_').toLowerCase();
+
+// Approved screenshots per URL and device
+export class BaselineStore {
+    constructor(baselineDir) {
+        this.baselineDir = baselineDir;
+    }
+
+    directory(url) {
+        return path.join(this.baselineDir, urlDirectory(url));
+    }
+
+    path(url, device) {
+        return path.join(this.directory(url), `${device}.png`);
+    }
+
+    // Replaces the baseline of every captured device with the current screenshot
+    approve(url, screenshots) {
+        const directory = this.directory(url);
+        fs.mkdirSync(directory, { recursive: true });
+
+        const devices = {};
+        for (const [device, screenshot] of Object.entries(screenshots)) {
+            fs.copyFileSync(screenshot.path, this.path(url, device));
+            devices[device] = { dimensions: screenshot.dimensions, file: `${device}.png` };
+        }
+
+        const manifest = { url, approved: new Date().toISOString(), devices };
+        fs.writeFileSync(path.join(directory, 'baseline.json'), JSON.stringify(manifest, null, 2));
+        return manifest;
+    }
+
+    load(url) {
+        const manifestPath = path.join(this.directory(url), 'baseline.json');
+        if (!fs.existsSync(manifestPath)) return null;
+        return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    }
+}
+
+// Compares each captured device against its baseline and writes a diff image next to the
+// screenshot. A device without a baseline is reported as missing and fails the run.
+export function compareWithBaseline(url, screenshots, store, options = {}) {
+    const settings = { ...DEFAULT_VISUAL_OPTIONS, ...options };
+    const manifest = store.load(url);
+    if (!manifest) throw new Error(`No approved baseline for ${url}; approve one first`);
+
+    const devices = {};
+    for (const [device, screenshot] of Object.entries(screenshots)) {
+        const baselinePath = store.path(url, device);
+        if (!manifest.devices[device] || !fs.existsSync(baselinePath)) {
+            devices[device] = { status: 'missing', baseline: null, current: screenshot.path, passed: false };
+            continue;
+        }
+
+        const scale = screenshot.profile?.viewport?.deviceScaleFactor ?? 1;
+        const comparison = compareImages(fs.readFileSync(baselinePath), fs.readFileSync(screenshot.path), {
+            ...settings,
+            ignoreRegions: settings.ignoreRegions
+                .filter(region => !region.device || region.device === device)
+                .map(region => scaleRegion(region, scale))
+        });
+
+        const diffPath = screenshot.path.replace(/\.png$/, '_diff.png');
+        fs.writeFileSync(diffPath, comparison.diff);
+
+        const passed = comparison.mismatchPercentage <= settings.maxMismatch;
+        devices[device] = {
+            status: passed ? 'passed' : 'failed',
+            baseline: baselinePath,
+            current: screenshot.path,
+            diff: diffPath,
+            width: comparison.width,
+            height: comparison.height,
+            sizeChanged: comparison.sizeChanged,
+            mismatchedPixels: comparison.mismatchedPixels,
+            mismatchPercentage: comparison.mismatchPercentage,
+            passed
+        };
+    }
+
+    return {
+        baselineApproved: manifest.approved,
+        maxMismatch: settings.maxMismatch,
+        threshold: settings.threshold,
+        ignoreAntialiasing: settings.ignoreAntialiasing,
+        devices,
+        passed: Object.values(devices).every(result => result.passed)
+    };
+}
@@ -0,0 +1,319 @@
+import { installPageHelpers } from './pageHelpers.js';
+
+// Rule-based WCAG 2.2 checks that run inside a loaded page. Each rule maps to a success
+// criterion and an impact level; violations point at the offending element with a CSS selector
+// and an HTML snippet.
+
+const IMPACT_PENALTY = { critical: 15, serious: 10, moderate: 5, minor: 2 };
+
+export const WCAG_RULES = {
+    'image-alt': { criterion: '1.1.1', impact: 'critical', description: 'Images must have an alt attribute' },
+    'image-alt-informative': { criterion: '1.1.1', impact: 'serious', description: 'Informative images must not have empty alt text' },
+    'input-image-alt': { criterion: '1.1.1', impact: 'critical', description: 'Image buttons must have alt text' },
+    'heading-order': { criterion: '1.3.1', impact: 'moderate', description: 'Heading levels should only increase by one' },
+    'empty-heading': { criterion: '2.4.6', impact: 'minor', description: 'Headings must have text' },
+    'label': { criterion: '4.1.2', impact: 'critical', description: 'Form fields must have a label' },
+    'duplicate-id-aria': { criterion: '4.1.2', impact: 'serious', description: 'IDs used by labels and ARIA must be unique' },
+    // 4.1.1 Parsing is obsolete in WCAG 2.2; plain duplicate ids are only kept as a minor issue
+    'duplicate-id': { criterion: '4.1.1', impact: 'minor', description: 'IDs should be unique' },
+    'aria-roles': { criterion: '4.1.2', impact: 'serious', description: 'ARIA roles must be valid' },
+    'aria-valid-attr': { criterion: '4.1.2', impact: 'serious', description: 'ARIA attributes must be valid names' },
+    'aria-valid-attr-value': { criterion: '4.1.2', impact: 'serious', description: 'ARIA attributes must have valid values' },
+    'aria-required-attr': { criterion: '4.1.2', impact: 'serious', description: 'ARIA roles must have their required attributes' },
+    'aria-hidden-focus': { criterion: '4.1.2', impact: 'serious', description: 'aria-hidden elements must not be focusable' },
+    'html-has-lang': { criterion: '3.1.1', impact: 'serious', description: 'The html element must have a lang attribute' },
+    'html-lang-valid': { criterion: '3.1.1', impact: 'serious', description: 'The lang attribute must be a valid language tag' },
+    'document-title': { criterion: '2.4.2', impact: 'serious', description: 'Pages must have a title' },
+    'link-name': { criterion: '2.4.4', impact: 'serious', description: 'Links must have an accessible name' },
+    'link-name-generic': { criterion: '2.4.4', impact: 'moderate', description: 'Link text must describe the destination' },
+    'button-name': { criterion: '4.1.2', impact: 'critical', description: 'Buttons must have an accessible name' }
+};
+
+// Runs in the page after installPageHelpers()
+function collectViolations() {
+    const VALID_ROLES = new Set(['alert', 'alertdialog', 'application', 'article', 'banner', 'blockquote', 'button',
+        'caption', 'cell', 'checkbox', 'code', 'columnheader', 'combobox', 'complementary', 'contentinfo', 'definition',
+        'deletion', 'dialog', 'directory', 'document', 'emphasis', 'feed', 'figure', 'form', 'generic', 'grid',
+        'gridcell', 'group', 'heading', 'img', 'insertion', 'link', 'list', 'listbox', 'listitem', 'log', 'main',
+        'mark', 'marquee', 'math', 'menu', 'menubar', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'meter',
+        'navigation', 'none', 'note', 'option', 'paragraph', 'presentation', 'progressbar', 'radio', 'radiogroup',
+        'region', 'row', 'rowgroup', 'rowheader', 'scrollbar', 'search', 'searchbox', 'separator', 'slider',
+        'spinbutton', 'status', 'strong', 'subscript', 'suggestion', 'superscript', 'switch', 'tab', 'table',
+        'tablist', 'tabpanel', 'term', 'textbox', 'time', 'timer', 'toolbar', 'tooltip', 'tree', 'treegrid', 'treeitem']);
+
+    // Attribute name -> value type
+    const ARIA_ATTRIBUTES = {
+        'aria-activedescendant': 'idref', 'aria-atomic': 'boolean', 'aria-autocomplete': ['inline', 'list', 'both', 'none'],
+        'aria-braillelabel': 'string', 'aria-brailleroledescription': 'string', 'aria-busy': 'boolean',
+        'aria-checked': 'tristate', 'aria-colcount': 'integer', 'aria-colindex': 'integer', 'aria-colindextext': 'string',
+        'aria-colspan': 'integer', 'aria-controls': 'idrefs', 'aria-current': ['page', 'step', 'location', 'date', 'time', 'true', 'false'],
+        'aria-describedby': 'idrefs', 'aria-description': 'string', 'aria-details': 'idref', 'aria-disabled': 'boolean',
+        'aria-dropeffect': 'string', 'aria-errormessage': 'idref', 'aria-expanded': 'boolean', 'aria-flowto': 'idrefs',
+        'aria-grabbed': 'boolean', 'aria-haspopup': ['false', 'true', 'menu', 'listbox', 'tree', 'grid', 'dialog'],
+        'aria-hidden': 'boolean', 'aria-invalid': ['grammar', 'false', 'spelling', 'true'], 'aria-keyshortcuts': 'string',
+        'aria-label': 'string', 'aria-labelledby': 'idrefs', 'aria-level': 'integer', 'aria-live': ['assertive', 'off', 'polite'],
+        'aria-modal': 'boolean', 'aria-multiline': 'boolean', 'aria-multiselectable': 'boolean',
+        'aria-orientation': ['horizontal', 'undefined', 'vertical'], 'aria-owns': 'idrefs', 'aria-placeholder': 'string',
+        'aria-posinset': 'integer', 'aria-pressed': 'tristate', 'aria-readonly': 'boolean', 'aria-relevant': 'string',
+        'aria-required': 'boolean', 'aria-roledescription': 'string', 'aria-rowcount': 'integer', 'aria-rowindex': 'integer',
+        'aria-rowindextext': 'string', 'aria-rowspan': 'integer', 'aria-selected': 'boolean', 'aria-setsize': 'integer',
+        'aria-sort': ['ascending', 'descending', 'none', 'other'], 'aria-valuemax': 'number', 'aria-valuemin': 'number',
+        'aria-valuenow': 'number', 'aria-valuetext': 'string'
+    };
+
+    // Attributes a role is useless without, unless native semantics already provide them
+    const REQUIRED_ATTRIBUTES = {
+        checkbox: ['aria-checked'], combobox: ['aria-expanded'], heading: ['aria-level'], meter: ['aria-valuenow'],
+        menuitemcheckbox: ['aria-checked'], menuitemradio: ['aria-checked'], radio: ['aria-checked'],
+        scrollbar: ['aria-controls', 'aria-valuenow'], slider: ['aria-valuenow'], switch: ['aria-checked']
+    };
+
+    const GENERIC_LINK_TEXT = /^(click here|here|read more|more|learn more|link|this|continue|details|more info|go)$/i;
+    const FIELD_SELECTOR = 'input:not([type="hidden"]):not([type="submit"]):not([type="reset"]):not([type="button"]):not([type="image"]), select, textarea';
+    const FOCUSABLE_SELECTOR = 'a[href], button, input:not([type="hidden"]), select, textarea, [tabindex], [contenteditable="true"]';
+
+    const violations = [];
+
+    const isHidden = element => element.closest('[aria-hidden="true"]') !== null ||
+        !element.getClientRects().length ||
+        getComputedStyle(element).visibility === 'hidden';
+
+    const { selectorFor } = window.__auditHelpers;
+
+    const snippet = element => {
+        const html = element.outerHTML;
+        if (html.length <= 250) return html;
+
+        // Long elements are shown by their opening tag
+        const openingTag = html.slice(0, html.indexOf('>') + 1);
+        return openingTag.length <= 250 ? `${openingTag}...` : `${html.slice(0, 250)}...`;
+    };
+
+    const report = (rule, element, message) => violations.push({
+        rule,
+        selector: selectorFor(element),
+        html: snippet(element),
+        message
+    });
+
+    const textOf = ids => ids.split(/\s+/).filter(Boolean)
+        .map(id => document.getElementById(id)?.textContent.trim() ?? '').join(' ').trim();
+
+    // A simplified accessible name computation: labelledby, label, native labelling, content, title
+    const accessibleName = element => {
+        const labelledBy = element.getAttribute('aria-labelledby');
+        if (labelledBy && textOf(labelledBy)) return textOf(labelledBy);
+        if (element.getAttribute('aria-label')?.trim()) return element.getAttribute('aria-label').trim();
+
+        if (element.labels?.length) {
+            const label = Array.from(element.labels).map(item => item.textContent.trim()).join(' ').trim();
+            if (label) return label;
+        }
+        if (element.matches('img, input[type="image"], area') && element.getAttribute('alt')?.trim()) {
+            return element.getAttribute('alt').trim();
+        }
+        if (element.matches('input[type="submit"], input[type="reset"], input[type="button"]')) {
+            return element.value || (element.type === 'submit' ? 'Submit' : element.type === 'reset' ? 'Reset' : '');
+        }
+
+        if (!element.matches('input, select, textarea')) {
+            const walk = node => Array.from(node.childNodes).map(child => {
+                if (child.nodeType === Node.TEXT_NODE) return child.textContent;
+                if (child.nodeType !== Node.ELEMENT_NODE || child.getAttribute('aria-hidden') === 'true') return '';
+                if (child.matches('img')) return child.getAttribute('alt') ?? '';
+                return child.getAttribute('aria-label') ?? walk(child);
+            }).join(' ');
+            const content = walk(element).replace(/\s+/g, ' ').trim();
+            if (content) return content;
+        }
+
+        return element.getAttribute('title')?.trim() ?? '';
+    };
+
+    // Document-level rules
+    const html = document.documentElement;
+    const lang = html.getAttribute('lang')?.trim();
+    if (!lang) report('html-has-lang', html, 'The html element has no lang attribute');
+    else if (!/^[a-z]{2,3}(-[a-z0-9]{1,8})*$/i.test(lang)) report('html-lang-valid', html, `"${lang}" is not a valid BCP 47 language tag`);
+
+    if (!document.title.trim()) report('document-title', document.querySelector('title') ?? html, 'The page has no title');
+
+    // Images
+    for (const image of document.querySelectorAll('img')) {
+        if (isHidden(image) || ['presentation', 'none'].includes(image.getAttribute('role'))) continue;
+
+        if (!image.hasAttribute('alt')) {
+            if (!image.getAttribute('aria-label') && !image.getAttribute('aria-labelledby')) {
+                report('image-alt', image, 'Image has no alt attribute; add alt text, or alt="" if it is decorative');
+            }
+            continue;
+        }
+
+        // An empty alt hides the image, which is wrong when it is the only content of a link or
+        // button, or when a title shows the author meant it to convey something
+        const control = image.closest('a[href], button');
+        if (image.getAttribute('alt').trim() === '') {
+            if (control && !accessibleName(control)) {
+                report('image-alt-informative', image, 'Image is the only content of a link or button but has empty alt text');
+            } else if (image.getAttribute('title')?.trim()) {
+                report('image-alt-informative', image, 'Image has a title but empty alt text, so screen readers skip it');
+            }
+        }
+    }
+
+    for (const input of document.querySelectorAll('input[type="image"]')) {
+        if (!isHidden(input) && !accessibleName(input)) report('input-image-alt', input, 'Image button has no alt text');
+    }
+
+    // Headings
+    let previousLevel = 0;
+    for (const heading of document.querySelectorAll('h1, h2, h3, h4, h5, h6, [role="heading"]')) {
+        if (isHidden(heading)) continue;
+
+        const level = heading.matches('[role="heading"]')
+            ? Number(heading.getAttribute('aria-level')) || 2
+            : Number(heading.tagName[1]);
+        if (previousLevel && level > previousLevel + 1) {
+            report('heading-order', heading, `Heading level jumps from h${previousLevel} to h${level}`);
+        }
+        if (!accessibleName(heading)) report('empty-heading', heading, 'Heading has no text');
+        previousLevel = level;
+    }
+
+    // Form fields, each judged on its own label rather than a count per form
+    for (const field of document.querySelectorAll(FIELD_SELECTOR)) {
+        if (isHidden(field)) continue;
+        if (accessibleName(field)) continue;
+
+        const placeholder = field.getAttribute('placeholder');
+        report('label', field, placeholder
+            ? `Field only has a placeholder ("${placeholder}"), which disappears on input and is not a label`
+            : 'Field has no label, aria-label or aria-labelledby');
+    }
+
+    // Duplicate ids
+    const ids = new Map();
+    for (const element of document.querySelectorAll('[id]')) {
+        if (!ids.has(element.id)) ids.set(element.id, []);
+        ids.get(element.id).push(element);
+    }
+    const referenced = new Set();
+    for (const element of document.querySelectorAll('[aria-labelledby], [aria-describedby], [aria-controls], [aria-owns], [aria-activedescendant], [aria-errormessage], [aria-details], [aria-flowto], label[for]')) {
+        for (const attribute of ['aria-labelledby', 'aria-describedby', 'aria-controls', 'aria-owns', 'aria-activedescendant', 'aria-errormessage', 'aria-details', 'aria-flowto', 'for']) {
+            element.getAttribute(attribute)?.split(/\s+/).filter(Boolean).forEach(id => referenced.add(id));
+        }
+    }
+    for (const [id, elements] of ids) {
+        if (elements.length < 2) continue;
+        const rule = referenced.has(id) ? 'duplicate-id-aria' : 'duplicate-id';
+        report(rule, elements[1], `id "${id}" is used by ${elements.length} elements`);
+    }
+
+    // ARIA roles and attributes
+    for (const element of document.querySelectorAll('*')) {
+        const role = element.getAttribute('role');
+        if (role !== null) {
+            // The first recognised token of a role list is used
+            const roles = role.trim().split(/\s+/).filter(Boolean);
+            if (!roles.some(token => VALID_ROLES.has(token))) {
+                report('aria-roles', element, `role="${role}" is not a valid ARIA role`);
+            } else {
+                const effective = roles.find(token => VALID_ROLES.has(token));
+                const native = element.matches('input[type="checkbox"], input[type="radio"], input[type="range"], h1, h2, h3, h4, h5, h6, meter, select');
+                const missing = native ? [] : (REQUIRED_ATTRIBUTES[effective] ?? []).filter(name => !element.hasAttribute(name));
+                if (missing.length) {
+                    report('aria-required-attr', element, `role="${effective}" requires ${missing.join(', ')}`);
+                }
+            }
+        }
+
+        for (const { name, value } of Array.from(element.attributes)) {
+            if (!name.startsWith('aria-')) continue;
+
+            const type = ARIA_ATTRIBUTES[name];
+            if (!type) {
+                report('aria-valid-attr', element, `${name} is not an ARIA attribute`);
+                continue;
+            }
+
+            const trimmed = value.trim();
+            const valid = Array.isArray(type) ? type.includes(trimmed.toLowerCase())
+                : type === 'boolean' ? ['true', 'false'].includes(trimmed)
+                    : type === 'tristate' ? ['true', 'false', 'mixed'].includes(trimmed)
+                        : type === 'integer' ? /^-?\d+$/.test(trimmed)
+                            : type === 'number' ? trimmed !== '' && Number.isFinite(Number(trimmed))
+                                : type === 'idref' ? Boolean(document.getElementById(trimmed))
+                                    : type === 'idrefs' ? trimmed.split(/\s+/).some(id => document.getElementById(id))
+                                        : true;
+            if (!valid) {
+                report('aria-valid-attr-value', element, type === 'idref' || type === 'idrefs'
+                    ? `${name}="${value}" does not reference an element on the page`
+                    : `${name}="${value}" is not a valid value`);
+            }
+        }
+    }
+
+    for (const element of document.querySelectorAll('[aria-hidden="true"]')) {
+        const focusable = [element, ...element.querySelectorAll(FOCUSABLE_SELECTOR)]
+            .filter(item => item.matches(FOCUSABLE_SELECTOR) && item.tabIndex >= 0 && !item.disabled &&
+                item.getClientRects().length);
+        for (const item of focusable) {
+            report('aria-hidden-focus', item, 'Element can receive focus but is hidden from assistive technology');
+        }
+    }
+
+    // Links and buttons
+    for (const link of document.querySelectorAll('a[href], [role="link"]')) {
+        if (isHidden(link)) continue;
+
+        const name = accessibleName(link);
+        if (!name) {
+            report('link-name', link, 'Link has no text, aria-label or image alt text');
+        } else if (GENERIC_LINK_TEXT.test(name.replace(/[.!…»›>]+$/, '').trim())) {
+            report('link-name-generic', link, `Link text "${name}" does not say where it goes`);
+        }
+    }
+
+    for (const button of document.querySelectorAll('button, [role="button"], input[type="submit"], input[type="reset"], input[type="button"]')) {
+        if (!isHidden(button) && !accessibleName(button)) report('button-name', button, 'Button has no text or aria-label');
+    }
+
+    return violations;
+}
+
+// Runs every rule in the page and scores the result: each violated rule costs its impact
+// penalty once, however many elements fail it.
+export async function runWcagRules(page) {
+    await installPageHelpers(page);
+    const found = await page.evaluate(collectViolations);
+
+    const violations = found.map(violation => ({
+        rule: violation.rule,
+        criterion: WCAG_RULES[violation.rule].criterion,
+        impact: WCAG_RULES[violation.rule].impact,
+        selector: violation.selector,
+        html: violation.html,
+        message: violation.message
+    }));
+
+    const rules = {};
+    for (const violation of violations) {
+        rules[violation.rule] ??= { ...WCAG_RULES[violation.rule], count: 0 };
+        rules[violation.rule].count++;
+    }
+
+    const impacts = { critical: 0, serious: 0, moderate: 0, minor: 0 };
+    violations.forEach(violation => impacts[violation.impact]++);
+
+    const penalty = Object.values(rules).reduce((sum, rule) => sum + IMPACT_PENALTY[rule.impact], 0);
+
+    return {
+        standard: 'WCAG 2.2',
+        rulesChecked: Object.keys(WCAG_RULES).length,
+        rulesFailed: Object.keys(rules).length,
+        impacts,
+        rules,
+        violations,
+        score: Math.max(0, 100 - penalty)
+    };
+}